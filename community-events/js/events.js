@@ -6,14 +6,42 @@ document.addEventListener('DOMContentLoaded', function () {
     const DATA_PATH = 'data/events.json';
 
     let allEvents = [];
+    // Selected values per facet: an event matches a facet if it has any of
+    // the selected values, and must match every facet with a selection
     let currentFilters = {
-        region: '',
-        type: '',
-        category: '',
-        format: '',
-        language: ''
+        region: [],
+        type: [],
+        category: [],
+        format: [],
+        language: [],
+        organizer: []
     };
 
+    // Query string keys used for shareable links: repeatable facet values, plus the
+    // view mode and the archive's page
+    const FILTER_KEYS = Object.keys(currentFilters);
+    const URL_SCALAR_KEYS = ['view', 'archive', 'page'];
+
+    // Past events archive: shown instead of the upcoming events, a page at a time
+    const ARCHIVE_PAGE_SIZE = 24;
+    let archiveOpen = false;
+    let archivePage = 1;
+
+    // Event times are also shown in this zone: the viewer's own unless they picked another
+    const viewerTimeZone = ISOC.Timezones.getLocalZone();
+    const savedTimeZone = localStorage.getItem('eventsTimeZone');
+    let displayTimeZone = savedTimeZone && ISOC.Timezones.isValidZone(savedTimeZone) ? savedTimeZone : viewerTimeZone;
+
+    // View modes: cards, table, or the calendar's month and week layouts
+    const VIEW_MODES = ['cards', 'table', ...ISOC.EventCalendar.MODES];
+    // The calendar shows every filtered event, past ones included, from the month or week of this day
+    let calendarEvents = [];
+    let calendarDate = ISOC.EventCalendar.today();
+
+    // Recurring events are listed once per date this many days ahead (and at
+    // least for their next date); the calendar shows every date in view
+    const RECURRENCE_WINDOW_DAYS = 90;
+
     // Mobile menu functionality
     const nav = document.querySelector('.top-nav');
     if (nav) {
@@ -113,7 +141,8 @@ document.addEventListener('DOMContentLoaded', function () {
                     if (e.target.classList.contains('nav-month-link')) {
                         e.preventDefault();
                         const targetId = e.target.getAttribute('href').substring(1);
-                        const targetElement = document.getElementById(targetId);
+                        const targetElement = (window.showEventsMonth && window.showEventsMonth(targetId)) ||
+                            document.getElementById(targetId);
                         
                         if (targetElement) {
                             // Close menu first
@@ -153,203 +182,327 @@ document.addEventListener('DOMContentLoaded', function () {
         try {
             const response = await fetch(DATA_PATH);
             const data = await response.json();
-            return data;
+            // Offline, the service worker answers with its cached copy; note how old it is
+            ISOC.Offline.noteData(response);
+            return data.map(normalizeEvent);
         } catch (error) {
-            container.innerHTML = '<p>Error loading events. Please try again later.</p>';
+            container.innerHTML = `<p>${ISOC.Offline.loadErrorMessage('events')}</p>`;
             return [];
         }
     }
 
-    // Populate filter dropdowns
-    function populateFilters(events) {
-        const regions = new Set();
-        const types = new Set();
-        const categories = new Set();
-        const formats = new Set();
-        const languages = new Set();
+    // Map region and language to the controlled vocabulary. A cell such as
+    // "Español e Inglés" becomes ['Spanish', 'English'], so the event matches
+    // either language filter; `language` keeps a display string of the same.
+    // `organizers` are the ISOC groups named in the organizer cell, which
+    // stays as written for display. A recurrence the page can't expand is
+    // dropped, so the event shows once on its start date.
+    function normalizeEvent(event) {
+        const languages = ISOC.Vocabulary.languages(event.language);
+        return {
+            ...event,
+            region: ISOC.Vocabulary.region(event.region),
+            languages,
+            language: languages.join(', '),
+            organizers: ISOC.Vocabulary.organizers(event.organizer),
+            recurrence: ISOC.Recurrence.parse(event.recurrence) ? event.recurrence : null
+        };
+    }
 
-        events.forEach(event => {
-            if (event.region) regions.add(event.region);
-            if (event.type) types.add(event.type);
-            if (event.category) categories.add(event.category);
-            if (event.format) formats.add(event.format);
-            if (event.language) languages.add(event.language);
-        });
+    // Stable ID for the shortlist and calendar menus; the dates of a recurring
+    // event share their series' ID
+    function getEventId(event) {
+        return ISOC.Ids.eventId(event.series || event);
+    }
 
-        // Populate region filter
-        const regionFilter = document.getElementById('region-filter');
-        Array.from(regions).sort().forEach(region => {
-            const option = document.createElement('option');
-            option.value = region;
-            option.textContent = region;
-            regionFilter.appendChild(option);
-        });
+    // "Weekly on Tuesday" for an occurrence of a recurring event, '' otherwise
+    function describeRecurrence(event) {
+        return event.series ? ISOC.Recurrence.describe(ISOC.Recurrence.parse(event.recurrence)) : '';
+    }
 
-        // Populate type filter
-        const typeFilter = document.getElementById('type-filter');
-        Array.from(types).sort().forEach(type => {
-            const option = document.createElement('option');
-            option.value = type;
-            option.textContent = type;
-            typeFilter.appendChild(option);
-        });
+    // Values an event has for a facet; language and organizer may have several
+    function getFacetValues(event, key) {
+        if (key === 'language') return event.languages;
+        if (key === 'organizer') return event.organizers;
+        return event[key] ? [event[key]] : [];
+    }
 
-        // Populate category filter
-        const categoryFilter = document.getElementById('category-filter');
-        Array.from(categories).sort().forEach(category => {
-            const option = document.createElement('option');
-            option.value = category;
-            option.textContent = category;
-            categoryFilter.appendChild(option);
-        });
+    function matchesFacet(event, key) {
+        const selected = currentFilters[key];
+        return selected.length === 0 || getFacetValues(event, key).some(value => selected.includes(value));
+    }
 
-        // Populate format filter
-        const formatFilter = document.getElementById('format-filter');
-        Array.from(formats).sort().forEach(format => {
-            const option = document.createElement('option');
-            option.value = format;
-            option.textContent = format;
-            formatFilter.appendChild(option);
+    // Build the option buttons of each facet from the values present in the data
+    function populateFilters(events) {
+        FILTER_KEYS.forEach(key => {
+            const values = new Set();
+            events.forEach(event => getFacetValues(event, key).forEach(value => values.add(value)));
+
+            const group = document.getElementById(`${key}-filter`);
+            Array.from(values).sort().forEach(value => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'filter-option';
+                option.dataset.value = value;
+                option.setAttribute('aria-pressed', 'false');
+                option.innerHTML = `<span class="filter-option-label"></span> <span class="filter-option-count"></span>`;
+                option.querySelector('.filter-option-label').textContent = value;
+                option.addEventListener('click', () => {
+                    const selected = currentFilters[key];
+                    currentFilters[key] = selected.includes(value)
+                        ? selected.filter(v => v !== value)
+                        : [...selected, value];
+                    archivePage = 1;
+                    applyEventFilters();
+                    updateUrl();
+                });
+                group.appendChild(option);
+            });
         });
+    }
 
-        // Populate language filter
-        const languageFilter = document.getElementById('language-filter');
-        Array.from(languages).sort().forEach(language => {
-            const option = document.createElement('option');
-            option.value = language;
-            option.textContent = language;
-            languageFilter.appendChild(option);
+    // Reflect the selection in the option buttons, and show next to each option
+    // how many upcoming (or, in the archive, past) events it would yield given the other facets
+    function updateFacetOptions() {
+        const listed = getListedEvents(allEvents);
+        const noun = archiveOpen ? 'past event' : 'upcoming event';
+        FILTER_KEYS.forEach(key => {
+            const counts = new Map();
+            listed
+                .filter(event => FILTER_KEYS.every(other => other === key || matchesFacet(event, other)))
+                .forEach(event => getFacetValues(event, key).forEach(value => {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                }));
+
+            document.querySelectorAll(`#${key}-filter .filter-option`).forEach(option => {
+                const count = counts.get(option.dataset.value) || 0;
+                const selected = currentFilters[key].includes(option.dataset.value);
+                option.classList.toggle('selected', selected);
+                option.classList.toggle('is-empty', count === 0 && !selected);
+                option.setAttribute('aria-pressed', String(selected));
+                option.querySelector('.filter-option-count').textContent = count;
+                option.setAttribute('aria-label', `${option.dataset.value}, ${count} ${noun}${count !== 1 ? 's' : ''}`);
+            });
         });
     }
 
     // Filter events based on current filters
     function filterEvents(events) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Set to start of day for proper comparison
-        
-        return events.filter(event => {
-            // Apply existing filters
-            if (currentFilters.region && event.region !== currentFilters.region) return false;
-            if (currentFilters.type && event.type !== currentFilters.type) return false;
-            if (currentFilters.category && event.category !== currentFilters.category) return false;
-            if (currentFilters.format && event.format !== currentFilters.format) return false;
-            if (currentFilters.language && event.language !== currentFilters.language) return false;
-            return true;
-        });
+        return events.filter(event => FILTER_KEYS.every(key => matchesFacet(event, key)));
+    }
+
+    // Where an event stands: 'past' once it has ended, 'now' while it's on (any
+    // day of an all-day event, or between a timed event's start and end in its
+    // own zone, as in the calendar feed) and 'upcoming' before then. Undated and
+    // "Ongoing" events count as upcoming.
+    function getEventStatus(event) {
+        if (!event.startDate || event.startDate === 'Ongoing') return 'upcoming';
+        if (!event.startTime) {
+            const today = ISOC.EventCalendar.today();
+            const lastDay = event.endDate && event.endDate > event.startDate ? event.endDate : event.startDate;
+            if (lastDay < today) return 'past';
+            return event.startDate > today ? 'upcoming' : 'now';
+        }
+
+        const range = ISOC.ICS.getRange(ISOC.ICS.fromCommunityEvent(event));
+        const now = Date.now();
+        if (now < new Date(range.start).getTime()) return 'upcoming';
+        return now < new Date(range.end).getTime() ? 'now' : 'past';
     }
 
-    // Get future events (events that haven't ended yet)
+    // Get future events (events that haven't ended yet, in progress ones included);
+    // a recurring event becomes its dates within the next RECURRENCE_WINDOW_DAYS
     function getFutureEvents(events) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Set to start of day for proper comparison
-        
-        return events.filter(event => {
-            // Filter out past events
-            if (event.startDate && event.startDate !== 'Ongoing') {
-                const eventDate = new Date(event.startDate);
-                eventDate.setHours(0, 0, 0, 0);
-                if (eventDate < today) return false;
-            }
-            return true;
+        const from = ISOC.EventCalendar.today();
+        const to = ISOC.Recurrence.addDays(from, RECURRENCE_WINDOW_DAYS);
+
+        return events.flatMap(event => {
+            if (!event.recurrence) return getEventStatus(event) !== 'past' ? [event] : [];
+            // From yesterday, for an occurrence that is still on in its organizer's zone
+            const isCurrent = occurrence => getEventStatus(occurrence) !== 'past';
+            const occurrences = ISOC.Recurrence.expand(event, ISOC.Recurrence.addDays(from, -1), to).filter(isCurrent);
+            return occurrences.length
+                ? occurrences
+                : ISOC.Recurrence.expand(event, from, '9999-12-31', 2).filter(isCurrent).slice(0, 1);
         });
     }
 
     // Get past events (events that have already ended)
     function getPastEvents(events, limit = 6) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Set to start of day for proper comparison
-        
+        const today = ISOC.EventCalendar.today();
         return events
-            .filter(event => {
-                // Only include past events
-                if (event.startDate && event.startDate !== 'Ongoing') {
-                    const eventDate = new Date(event.startDate);
-                    eventDate.setHours(0, 0, 0, 0);
-                    return eventDate < today;
-                }
-                return false;
-            })
+            // Each date a recurring event has had, while the series runs on too
+            .flatMap(event => ISOC.Recurrence.occurrencesSoFar(event, today))
+            .filter(event => getEventStatus(event) === 'past')
             .sort((a, b) => new Date(b.startDate) - new Date(a.startDate)) // Sort by most recent first
             .slice(0, limit); // Limit to specified number
     }
 
-    // Update event count
-    function updateEventCount(count) {
-        const eventCountEl = document.getElementById('event-count');
-        if (eventCountEl) {
-            eventCountEl.textContent = `Showing ${count} upcoming event${count !== 1 ? 's' : ''}`;
-        }
+    // Events the count and facet numbers refer to: upcoming ones, or in the archive every past one
+    function getListedEvents(events) {
+        return archiveOpen ? getPastEvents(events, Infinity) : getFutureEvents(events);
     }
 
-    // Initialize filters
-    function initializeFilters() {
-        const regionFilter = document.getElementById('region-filter');
-        const typeFilter = document.getElementById('type-filter');
-        const categoryFilter = document.getElementById('category-filter');
-        const formatFilter = document.getElementById('format-filter');
-        const languageFilter = document.getElementById('language-filter');
-
-        regionFilter.addEventListener('change', (e) => {
-            currentFilters.region = e.target.value;
-            const filteredEvents = filterEvents(allEvents);
-            const futureEvents = getFutureEvents(filteredEvents);
-            renderEvents(filteredEvents);
-            updateEventCount(futureEvents.length);
-            // Update mobile menu with available months
-            if (window.updateMobileMenuWithMonths) {
-                window.updateMobileMenuWithMonths(futureEvents);
-            }
-        });
+    // The archive page being shown, clamped to the pages there are
+    function getArchivePage(pastEvents) {
+        const page = ISOC.Utils.paginate(pastEvents, archivePage, ARCHIVE_PAGE_SIZE);
+        archivePage = page.page;
+        return page;
+    }
 
-        typeFilter.addEventListener('change', (e) => {
-            currentFilters.type = e.target.value;
-            const filteredEvents = filterEvents(allEvents);
-            const futureEvents = getFutureEvents(filteredEvents);
-            renderEvents(filteredEvents);
-            updateEventCount(futureEvents.length);
-            // Update mobile menu with available months
-            if (window.updateMobileMenuWithMonths) {
-                window.updateMobileMenuWithMonths(futureEvents);
-            }
+    // Shareable link to an archive page, keeping the selected facets; an organizer
+    // replaces the selected ones ('' for all organizers)
+    function getArchiveHref(page, organizer) {
+        const filters = organizer === undefined
+            ? currentFilters
+            : { ...currentFilters, organizer: organizer ? [organizer] : [] };
+        const params = new URLSearchParams();
+        FILTER_KEYS.forEach(key => filters[key].forEach(value => params.append(key, value)));
+        params.set('archive', '1');
+        if (page > 1) params.set('page', page);
+        return `?${params}`;
+    }
+
+    // Fill the "show times in" selector with the viewer's zone and every zone events resolve to
+    function populateTimeZoneSelect() {
+        const select = document.getElementById('timezone-select');
+        if (!select) return;
+
+        const zones = new Set(['UTC']);
+        Object.values(ISOC.Timezones.ABBREVIATIONS).forEach(entry => {
+            Object.values(entry).forEach(zone => zones.add(zone));
         });
+        zones.delete(viewerTimeZone);
 
-        categoryFilter.addEventListener('change', (e) => {
-            currentFilters.category = e.target.value;
-            const filteredEvents = filterEvents(allEvents);
-            const futureEvents = getFutureEvents(filteredEvents);
-            renderEvents(filteredEvents);
-            updateEventCount(futureEvents.length);
-            // Update mobile menu with available months
-            if (window.updateMobileMenuWithMonths) {
-                window.updateMobileMenuWithMonths(futureEvents);
-            }
+        const options = [[viewerTimeZone, `My time zone (${formatZoneName(viewerTimeZone)})`]];
+        Array.from(zones)
+            .sort((a, b) => formatZoneName(a).localeCompare(formatZoneName(b)))
+            .forEach(zone => options.push([zone, formatZoneName(zone)]));
+
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
         });
+        select.value = displayTimeZone;
 
-        formatFilter.addEventListener('change', (e) => {
-            currentFilters.format = e.target.value;
-            const filteredEvents = filterEvents(allEvents);
-            const futureEvents = getFutureEvents(filteredEvents);
-            renderEvents(filteredEvents);
-            updateEventCount(futureEvents.length);
-            // Update mobile menu with available months
-            if (window.updateMobileMenuWithMonths) {
-                window.updateMobileMenuWithMonths(futureEvents);
+        select.addEventListener('change', (e) => {
+            displayTimeZone = e.target.value;
+            if (displayTimeZone === viewerTimeZone) {
+                localStorage.removeItem('eventsTimeZone');
+            } else {
+                localStorage.setItem('eventsTimeZone', displayTimeZone);
             }
+            applyEventFilters();
         });
+    }
 
-        languageFilter.addEventListener('change', (e) => {
-            currentFilters.language = e.target.value;
-            const filteredEvents = filterEvents(allEvents);
-            const futureEvents = getFutureEvents(filteredEvents);
-            renderEvents(filteredEvents);
-            updateEventCount(futureEvents.length);
-            // Update mobile menu with available months
-            if (window.updateMobileMenuWithMonths) {
-                window.updateMobileMenuWithMonths(futureEvents);
-            }
+    // "America/Argentina/Buenos_Aires" -> "Buenos Aires"
+    function formatZoneName(zone) {
+        return zone.split('/').pop().replace(/_/g, ' ');
+    }
+
+    // Format an event's time in the organizer's zone, plus the same time in the display zone.
+    // `converted` is empty when the zone can't be resolved or the times already match.
+    function formatEventTime(event) {
+        if (!event.startTime) return null;
+
+        const range = (start, end) => end ? `${start}–${end}` : start;
+        const original = `${range(event.startTime, event.endTime)}${event.timeZone ? ` ${event.timeZone}` : ''}`;
+        const zone = ISOC.Timezones.resolve(event.timeZone, event.region);
+        if (!zone || !event.startDate) return { original, converted: '' };
+
+        const { start, end } = ISOC.Timezones.convertTimes(event, zone, displayTimeZone);
+        const [hours, minutes] = event.startTime.split(':');
+        if (start.date === event.startDate && start.time === `${hours.padStart(2, '0')}:${minutes}`) {
+            return { original, converted: '' };
+        }
+
+        const label = displayTimeZone === viewerTimeZone ? 'your time' : `${formatZoneName(displayTimeZone)} time`;
+        const dayLabel = date => {
+            const [year, month, day] = date.split('-').map(Number);
+            return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                timeZone: 'UTC'
+            });
+        };
+        // Name the day when the conversion crosses midnight, and the day the
+        // event ends on when that isn't the day it starts
+        const days = [];
+        if (start.date !== event.startDate) days.push(dayLabel(start.date));
+        if (end && end.date !== start.date) days.push(`ends ${dayLabel(end.date)}`);
+        const converted = `${range(start.time, end && end.time)} ${label}${days.length ? ` (${days.join(', ')})` : ''}`;
+        return { original, converted };
+    }
+
+    // Time line for cards: organizer's time with the converted time underneath
+    function renderEventTimeHtml(event, className) {
+        const time = formatEventTime(event);
+        if (!time) return '';
+        return `<div class="${className}"><i class="fa-regular fa-clock"></i> ${time.original}${time.converted ? `<span class="event-converted-time">${time.converted}</span>` : ''}</div>`;
+    }
+
+    // Update event count
+    function updateEventCount(count) {
+        const eventCountEl = document.getElementById('event-count');
+        if (eventCountEl) {
+            eventCountEl.textContent = `Showing ${count} ${archiveOpen ? 'past' : 'upcoming'} event${count !== 1 ? 's' : ''}`;
+        }
+    }
+
+    // Re-render events for the current filters
+    function applyEventFilters() {
+        updateFacetOptions();
+        const filteredEvents = filterEvents(allEvents);
+        const listedEvents = getListedEvents(filteredEvents);
+        renderEvents(filteredEvents);
+        updateEventCount(listedEvents.length);
+        applyViewMode(localStorage.getItem('eventsViewMode') || 'cards');
+        // Update mobile menu with available months (of the upcoming section, not "Happening now")
+        if (window.updateMobileMenuWithMonths) {
+            window.updateMobileMenuWithMonths(archiveOpen
+                ? getArchivePage(listedEvents).items
+                : listedEvents.filter(event => getEventStatus(event) !== 'now'));
+        }
+    }
+
+    // Reflect the current filters and view mode in the URL
+    function updateUrl(options) {
+        const viewMode = localStorage.getItem('eventsViewMode') || 'cards';
+        ISOC.Utils.writeUrlState({
+            ...currentFilters,
+            view: viewMode !== 'cards' ? viewMode : null,
+            archive: archiveOpen ? '1' : null,
+            page: archiveOpen && archivePage > 1 ? String(archivePage) : null
+        }, options);
+    }
+
+    // Set filters and view mode from the URL
+    function restoreFromUrl() {
+        const urlState = ISOC.Utils.readUrlState(FILTER_KEYS, URL_SCALAR_KEYS);
+        // Links shared before the controlled vocabulary may use another spelling
+        if (urlState.region) urlState.region = ISOC.Vocabulary.regions(urlState.region);
+        if (urlState.language) urlState.language = ISOC.Vocabulary.languages(urlState.language);
+        if (urlState.organizer) urlState.organizer = urlState.organizer.flatMap(ISOC.Vocabulary.organizers);
+        if (urlState.view && !VIEW_MODES.includes(urlState.view)) delete urlState.view;
+        FILTER_KEYS.forEach(key => {
+            currentFilters[key] = urlState[key] || [];
         });
+        archiveOpen = Boolean(urlState.archive);
+        archivePage = parseInt(urlState.page, 10) || 1;
+        return urlState;
     }
 
+    // Restore filters and view mode when moving through history
+    window.addEventListener('popstate', () => {
+        const urlState = restoreFromUrl();
+        localStorage.setItem('eventsViewMode', urlState.view || 'cards');
+        applyEventFilters();
+    });
+
     // Get alternating background image for event cards
     let backgroundIndex = 0;
     function getAlternatingBackgroundImage() {
@@ -365,19 +518,37 @@ document.addEventListener('DOMContentLoaded', function () {
     // Render events
     function renderEvents(events) {
         container.innerHTML = '';
+        calendarEvents = events;
+
+        const organizerProfile = createOrganizerProfile();
+        if (organizerProfile) {
+            container.appendChild(organizerProfile);
+        }
+
+        if (archiveOpen) {
+            renderArchive(getListedEvents(events));
+            return;
+        }
 
         // Reset background index for consistent rendering
         backgroundIndex = 0;
 
-        // Get future and past events
+        // Get future and past events; those already under way get their own section
         const futureEvents = getFutureEvents(events);
         const pastEvents = getPastEvents(events);
+        const happeningNow = futureEvents.filter(event => getEventStatus(event) === 'now');
+        const upcomingEvents = futureEvents.filter(event => getEventStatus(event) !== 'now');
 
-        if (futureEvents.length <= 4) {
-            // Show upcoming events first
-            if (futureEvents.length > 0) {
+        if (happeningNow.length > 0) {
+            container.appendChild(createHappeningNowSection(happeningNow));
+        }
+
+        if (upcomingEvents.length <= 4) {
+            // Show upcoming events first; the section also holds the view toggle and
+            // the calendar, so it stays when every listed event is already under way
+            if (upcomingEvents.length > 0 || happeningNow.length > 0) {
                 // Sort events chronologically by start date
-                const sortedEvents = [...futureEvents].sort((a, b) => {
+                const sortedEvents = [...upcomingEvents].sort((a, b) => {
                     if (!a.startDate) return 1;
                     if (!b.startDate) return -1;
                     return new Date(a.startDate) - new Date(b.startDate);
@@ -399,18 +570,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 headerContainer.className = 'section-header-container';
                 headerContainer.appendChild(header);
 
-                const viewControls = document.createElement('div');
-                viewControls.className = 'view-controls';
-                viewControls.innerHTML = `
-                    <div class="view-toggle" id="view-toggle" title="Toggle view">
-                        <button class="view-option active" data-view="cards" aria-label="Card View">
-                            <i class="fas fa-square"></i>
-                        </button>
-                        <button class="view-option" data-view="table" aria-label="Table View">
-                            <i class="fas fa-table"></i>
-                        </button>
-                    </div>
-                `;
+                const viewControls = createViewControls();
 
                 headerContainer.appendChild(viewControls);
                 section.appendChild(headerContainer);
@@ -450,92 +610,23 @@ document.addEventListener('DOMContentLoaded', function () {
                         }
                     }
 
-                    // Card View - matching the screenshot style
-                    const card = document.createElement('div');
-                    card.className = 'action-card event-card';
-
-                    // Set alternating background image
-                    const backgroundImage = getAlternatingBackgroundImage();
-
-                    // Parse and format date
-                    let dateObj = null;
-                    let monthStr = '';
-                    let dayStr = '';
-                    let dateRangeText = '';
-                    if (event.startDate) {
-                        const [year, month, day] = event.startDate.split('-').map(Number);
-                        dateObj = new Date(year, month - 1, day);
-                        monthStr = dateObj.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
-
-                        if (event.endDate && event.endDate !== event.startDate) {
-                            // Multi-day event - show date range
-                            const [endYear, endMonth, endDay] = event.endDate.split('-').map(Number);
-                            const endDateObj = new Date(endYear, endMonth - 1, endDay);
-
-                            if (year === endYear && month === endMonth) {
-                                // Same month and year: "Dec 1-6"
-                                dayStr = `${day}-${endDay}`;
-                            } else if (year === endYear) {
-                                // Same year, different month: "Dec 1 - Jan 6"
-                                const endMonthStr = endDateObj.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
-                                dayStr = `${day} ${monthStr} - ${endDay} ${endMonthStr}`;
-                            } else {
-                                // Different year: "Dec 1, 2025 - Jan 6, 2026"
-                                dayStr = `${day} ${monthStr} ${year} - ${endDay} ${endDateObj.toLocaleDateString('en-US', { month: 'short' }).toUpperCase()} ${endYear}`;
-                            }
-                        } else {
-                            // Single day event
-                            dayStr = dateObj.getDate().toString();
-                        }
-                    }
-
-                    // Format time
-                    const timeStr = event.startTime && event.timeZone ?
-                        `${event.startTime} ${event.timeZone}` :
-                        event.startTime || '';
-
-                    // Build card content matching screenshot style
-                    const headerTag = event.registrationUrl ? 'a' : 'div';
-                    const headerAttrs = event.registrationUrl ? ` href="${event.registrationUrl}" target="_blank" rel="noopener noreferrer"` : '';
-
-                    card.innerHTML = `
-                        ${event.startDate && event.startDate !== 'Ongoing' ? `<button class="event-calendar-btn add-to-calendar" data-title="${event.title}" data-date="${event.startDate}" data-time="${event.startTime || ''}" data-timezone="${event.timeZone || ''}" data-description="${event.description || ''}" data-link="${event.registrationUrl || ''}" title="Add to calendar" aria-label="Add to calendar"><i class="fa-solid fa-calendar-plus"></i></button>` : ''}
-                        <${headerTag} class="event-card-header"${headerAttrs}>
-                            <div class="event-cover-image" style="background-image: url('${backgroundImage}');">
-                                ${dateObj ? `
-                                <div class="event-date-badge">
-                                    <div class="event-month">${monthStr}</div>
-                                    <div class="event-day">${dayStr}</div>
-                                </div>
-                                ` : ''}
-                                <div class="event-cover-content">
-                                    <h3 class="event-title">${event.title}</h3>
-                                </div>
-                            </div>
-                            <div class="event-content">
-                                <div class="event-badges">
-                                    ${event.type ? `<span class="event-type-badge">${event.type.toUpperCase()}</span>` : ''}
-                                    ${event.category ? `<span class="event-type-badge" style="background-color: #555;">${event.category.toUpperCase()}</span>` : ''}
-                                    ${event.language ? `<span class="event-type-badge" style="background-color: #6c757d;">${event.language.toUpperCase()}</span>` : ''}
-                                </div>
-                                <p class="event-description">${event.description || ''}</p>
-                                <div class="event-meta-info">
-                                    ${timeStr ? `<div class="event-meta-item"><i class="fa-regular fa-clock"></i> ${timeStr}</div>` : ''}
-                                    ${event.region ? `<div class="event-meta-item"><i class="fa-solid fa-location-dot"></i> ${event.region}${event.format === 'Online' ? ' (Online)' : ''}</div>` : ''}
-                                </div>
-                                ${event.organizer ? `<div class="event-organizer"><i class="fa-solid fa-users"></i> ${event.organizer}</div>` : ''}
-                            </div>
-                        </${headerTag}>
-                    `;
-                    cardGrid.appendChild(card);
+                    cardGrid.appendChild(createEventCard(event));
                 });
 
                 // Build table matching main site style
-                const table = renderEventTable(futureEvents);
+                const table = renderEventTable(upcomingEvents);
                 tableContainer.appendChild(table);
 
-                sectionContent.appendChild(cardGrid);
-                sectionContent.appendChild(tableContainer);
+                if (sortedEvents.length === 0) {
+                    const empty = document.createElement('p');
+                    empty.className = 'upcoming-empty';
+                    empty.textContent = 'No other upcoming events match these filters.';
+                    sectionContent.appendChild(empty);
+                } else {
+                    sectionContent.appendChild(cardGrid);
+                    sectionContent.appendChild(tableContainer);
+                }
+                sectionContent.appendChild(createCalendarContainer());
                 section.appendChild(sectionContent);
                 container.appendChild(section);
             }
@@ -560,13 +651,14 @@ document.addEventListener('DOMContentLoaded', function () {
 
                 pastEventsSection.appendChild(pastEventsHeader);
                 pastEventsSection.appendChild(pastEventsContainer);
+                pastEventsSection.appendChild(createArchiveLink(events));
                 container.appendChild(pastEventsSection);
             }
             return;
         }
 
         // Sort events chronologically by start date
-        const sortedEvents = [...futureEvents].sort((a, b) => {
+        const sortedEvents = [...upcomingEvents].sort((a, b) => {
             if (!a.startDate) return 1;
             if (!b.startDate) return -1;
             return new Date(a.startDate) - new Date(b.startDate);
@@ -588,18 +680,7 @@ document.addEventListener('DOMContentLoaded', function () {
         headerContainer.className = 'section-header-container';
         headerContainer.appendChild(header);
 
-        const viewControls = document.createElement('div');
-        viewControls.className = 'view-controls';
-        viewControls.innerHTML = `
-            <div class="view-toggle" id="view-toggle" title="Toggle view">
-                <button class="view-option active" data-view="cards" aria-label="Card View">
-                    <i class="fas fa-square"></i>
-                </button>
-                <button class="view-option" data-view="table" aria-label="Table View">
-                    <i class="fas fa-table"></i>
-                </button>
-            </div>
-        `;
+        const viewControls = createViewControls();
 
         headerContainer.appendChild(viewControls);
         section.appendChild(headerContainer);
@@ -639,94 +720,267 @@ document.addEventListener('DOMContentLoaded', function () {
                 }
             }
 
-            // Card View - matching the screenshot style
-            const card = document.createElement('div');
-            card.className = 'action-card event-card';
-
-            // Set alternating background image
-            const backgroundImage = getAlternatingBackgroundImage();
-
-            // Parse and format date
-            let dateObj = null;
-            let monthStr = '';
-            let dayStr = '';
-            let dateRangeText = '';
-            if (event.startDate) {
-                const [year, month, day] = event.startDate.split('-').map(Number);
-                dateObj = new Date(year, month - 1, day);
-                monthStr = dateObj.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
-
-                if (event.endDate && event.endDate !== event.startDate) {
-                    // Multi-day event - show date range
-                    const [endYear, endMonth, endDay] = event.endDate.split('-').map(Number);
-                    const endDateObj = new Date(endYear, endMonth - 1, endDay);
-
-                    if (year === endYear && month === endMonth) {
-                        // Same month and year: "Dec 1-6"
-                        dayStr = `${day}-${endDay}`;
-                    } else if (year === endYear) {
-                        // Same year, different month: "Dec 1 - Jan 6"
-                        const endMonthStr = endDateObj.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
-                        dayStr = `${day} ${monthStr} - ${endDay} ${endMonthStr}`;
-                    } else {
-                        // Different year: "Dec 1, 2025 - Jan 6, 2026"
-                        dayStr = `${day} ${monthStr} ${year} - ${endDay} ${endDateObj.toLocaleDateString('en-US', { month: 'short' }).toUpperCase()} ${endYear}`;
-                    }
-                } else {
-                    // Single day event
-                    dayStr = dateObj.getDate().toString();
-                }
-            }
-
-            // Format time
-            const timeStr = event.startTime && event.timeZone ?
-                `${event.startTime} ${event.timeZone}` :
-                event.startTime || '';
-
-            // Build card content matching screenshot style
-            const headerTag = event.registrationUrl ? 'a' : 'div';
-            const headerAttrs = event.registrationUrl ? ` href="${event.registrationUrl}" target="_blank" rel="noopener noreferrer"` : '';
-
-            card.innerHTML = `
-                ${event.startDate && event.startDate !== 'Ongoing' ? `<button class="event-calendar-btn add-to-calendar" data-title="${event.title}" data-date="${event.startDate}" data-time="${event.startTime || ''}" data-timezone="${event.timeZone || ''}" data-description="${event.description || ''}" data-link="${event.registrationUrl || ''}" title="Add to calendar" aria-label="Add to calendar"><i class="fa-solid fa-calendar-plus"></i></button>` : ''}
-                <${headerTag} class="event-card-header"${headerAttrs}>
-                    <div class="event-cover-image" style="background-image: url('${backgroundImage}');">
-                        ${dateObj ? `
-                        <div class="event-date-badge">
-                            <div class="event-month">${monthStr}</div>
-                            <div class="event-day">${dayStr}</div>
-                        </div>
-                        ` : ''}
-                        <div class="event-cover-content">
-                            <h3 class="event-title">${event.title}</h3>
-                        </div>
-                    </div>
-                    <div class="event-content">
-                        <div class="event-badges">
-                            ${event.type ? `<span class="event-type-badge">${event.type.toUpperCase()}</span>` : ''}
-                            ${event.category ? `<span class="event-type-badge" style="background-color: #555;">${event.category.toUpperCase()}</span>` : ''}
-                            ${event.language ? `<span class="event-type-badge" style="background-color: #6c757d;">${event.language.toUpperCase()}</span>` : ''}
-                        </div>
-                        <p class="event-description">${event.description || ''}</p>
-                        <div class="event-meta-info">
-                            ${timeStr ? `<div class="event-meta-item"><i class="fa-regular fa-clock"></i> ${timeStr}</div>` : ''}
-                            ${event.region ? `<div class="event-meta-item"><i class="fa-solid fa-location-dot"></i> ${event.region}${event.format === 'Online' ? ' (Online)' : ''}</div>` : ''}
-                        </div>
-                        ${event.organizer ? `<div class="event-organizer"><i class="fa-solid fa-users"></i> ${event.organizer}</div>` : ''}
-                    </div>
-                </${headerTag}>
-            `;
-            cardGrid.appendChild(card);
+            cardGrid.appendChild(createEventCard(event));
         });
 
         // Build table matching main site style
-        const table = renderEventTable(futureEvents);
+        const table = renderEventTable(upcomingEvents);
         tableContainer.appendChild(table);
 
         sectionContent.appendChild(cardGrid);
         sectionContent.appendChild(tableContainer);
+        sectionContent.appendChild(createCalendarContainer());
         section.appendChild(sectionContent);
         container.appendChild(section);
+        container.appendChild(createArchiveLink(events));
+    }
+
+    // "Happening now": events under way today, as cards or a table like the upcoming
+    // ones (the calendar shows them on their own days)
+    function createHappeningNowSection(happeningNow) {
+        const section = document.createElement('section');
+        section.className = 'dynamic-section happening-now-section';
+        section.id = 'happening-now';
+
+        const header = document.createElement('h2');
+        header.className = 'section-header';
+        header.innerHTML = '<i class="icon fa-solid fa-tower-broadcast"></i>Happening now';
+
+        // Cards and table rows in the same order, earliest start first
+        const sortedEvents = [...happeningNow].sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+        const cardGrid = document.createElement('div');
+        cardGrid.className = 'card-grid';
+        sortedEvents.forEach(event => cardGrid.appendChild(createEventCard(event)));
+
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'table-container';
+        tableContainer.appendChild(renderEventTable(sortedEvents));
+
+        section.appendChild(header);
+        section.appendChild(cardGrid);
+        section.appendChild(tableContainer);
+        return section;
+    }
+
+    // Summary of the one selected organizer: its events by type and format, and its
+    // own calendar and RSS feeds (which chapters can embed on their sites)
+    function createOrganizerProfile() {
+        if (currentFilters.organizer.length !== 1) return null;
+        const organizer = currentFilters.organizer[0];
+        const events = allEvents.filter(event => event.organizers.includes(organizer));
+        const upcomingCount = getFutureEvents(events).length;
+        const pastCount = getPastEvents(events, Infinity).length;
+        const escapeHtml = ISOC.Cards.escapeHtml;
+
+        // "Webinar 3", "Workshop 1", ... most frequent first
+        const breakdown = (key, label) => {
+            const counts = ISOC.Utils.countValues(events, key);
+            if (counts.length === 0) return '';
+            const items = counts
+                .map(([value, count]) => `<li class="organizer-profile-count">${escapeHtml(value)} <span>${count}</span></li>`);
+            return `<div class="organizer-profile-breakdown"><span class="organizer-profile-label">${label}</span><ul>${items.join('')}</ul></div>`;
+        };
+
+        const profile = document.createElement('section');
+        profile.className = 'organizer-profile';
+        profile.setAttribute('aria-label', `${organizer} events`);
+        profile.innerHTML = `
+            <div class="organizer-profile-header">
+                <h2 class="organizer-profile-name"><i class="fa-solid fa-users"></i> ${escapeHtml(organizer)}</h2>
+                <p class="organizer-profile-stats">${upcomingCount} upcoming · ${pastCount} past event${pastCount !== 1 ? 's' : ''}</p>
+            </div>
+            ${breakdown('type', 'Type')}
+            ${breakdown('format', 'Format')}
+            <div class="organizer-profile-feeds">
+                <button class="sub-btn subscription-link" data-feed-type="ical" data-feed-url="/${ISOC.Feeds.organizerFeedPath(organizer, 'ics')}" data-feed-label="${escapeHtml(organizer)}">
+                    <i class="fas fa-calendar-alt"></i> Calendar (iCal)
+                </button>
+                <button class="sub-btn subscription-link" data-feed-type="rss" data-feed-url="/${ISOC.Feeds.organizerFeedPath(organizer, 'rss')}" data-feed-label="${escapeHtml(organizer)}">
+                    <i class="fas fa-rss"></i> RSS Feed
+                </button>
+                ${archiveOpen || pastCount === 0 ? '' : `<a href="${getArchiveHref(1)}" class="archive-link"><i class="fa-solid fa-history"></i> Past events</a>`}
+            </div>
+        `;
+        return profile;
+    }
+
+    // "Browse all past events" entry to the archive, when there are any
+    function createArchiveLink(events) {
+        const count = getPastEvents(events, Infinity).length;
+        const entry = document.createElement('p');
+        entry.className = 'archive-entry';
+        if (count > 0) {
+            entry.innerHTML = `<a href="${getArchiveHref(1)}" class="archive-link"><i class="fa-solid fa-box-archive"></i> Browse all ${count} past event${count !== 1 ? 's' : ''}</a>`;
+        }
+        return entry;
+    }
+
+    // Past events archive: one page of events, newest first, grouped by year and month
+    function renderArchive(pastEvents) {
+        const { items: pageEvents, pageCount } = getArchivePage(pastEvents);
+        const organizerName = currentFilters.organizer.length === 1 ? currentFilters.organizer[0] : '';
+
+        const section = document.createElement('section');
+        section.className = 'dynamic-section past-events-section archive-section';
+        section.id = 'past-events-archive';
+
+        const headerContainer = document.createElement('div');
+        headerContainer.className = 'section-header-container archive-header';
+        headerContainer.innerHTML = `
+            <h2 class="section-header"><i class="icon fa-solid fa-history"></i>${organizerName ? `Past events by ${ISOC.Cards.escapeHtml(organizerName)}` : 'Past events archive'}</h2>
+            <div class="archive-actions">
+                ${organizerName ? `<a href="${getArchiveHref(1, '')}" class="archive-link" data-organizer=""><i class="fa-solid fa-users"></i> All organizers</a>` : ''}
+                <a href="./" class="archive-close"><i class="fa-solid fa-arrow-left"></i> Upcoming events</a>
+            </div>
+        `;
+        section.appendChild(headerContainer);
+
+        if (pageEvents.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'archive-empty';
+            empty.textContent = 'No past events match these filters.';
+            section.appendChild(empty);
+            container.appendChild(section);
+            return;
+        }
+
+        let lastYear = '';
+        let lastMonth = '';
+        let monthContainer = null;
+        pageEvents.forEach(event => {
+            const [year, month] = event.startDate.split('-').map(Number);
+            if (String(year) !== lastYear) {
+                const yearHeader = document.createElement('h3');
+                yearHeader.className = 'archive-year';
+                yearHeader.textContent = year;
+                section.appendChild(yearHeader);
+                lastYear = String(year);
+                lastMonth = '';
+            }
+
+            const monthId = `month-${year}-${month.toString().padStart(2, '0')}`;
+            if (monthId !== lastMonth) {
+                const monthHeader = document.createElement('h4');
+                monthHeader.className = 'archive-month';
+                monthHeader.id = monthId;
+                monthHeader.textContent = new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long' });
+                monthContainer = document.createElement('div');
+                monthContainer.className = 'past-events-container';
+                section.appendChild(monthHeader);
+                section.appendChild(monthContainer);
+                lastMonth = monthId;
+            }
+
+            monthContainer.appendChild(createPastEventCard(event));
+        });
+
+        if (pageCount > 1) {
+            const pagination = document.createElement('nav');
+            pagination.className = 'archive-pagination';
+            pagination.setAttribute('aria-label', 'Archive pages');
+            pagination.innerHTML = `
+                ${archivePage > 1 ? `<a href="${getArchiveHref(archivePage - 1)}" class="archive-page-link" data-archive-page="${archivePage - 1}"><i class="fa-solid fa-chevron-left"></i> Newer</a>` : '<span></span>'}
+                <span class="archive-page-status">Page ${archivePage} of ${pageCount}</span>
+                ${archivePage < pageCount ? `<a href="${getArchiveHref(archivePage + 1)}" class="archive-page-link" data-archive-page="${archivePage + 1}">Older <i class="fa-solid fa-chevron-right"></i></a>` : '<span></span>'}
+            `;
+            section.appendChild(pagination);
+        }
+
+        container.appendChild(section);
+    }
+
+    // Open, page through and leave the archive without reloading the page
+    container.addEventListener('click', function (e) {
+        const link = e.target.closest('.archive-link, .archive-page-link, .archive-close');
+        if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        e.preventDefault();
+
+        if (link.classList.contains('archive-close')) {
+            archiveOpen = false;
+            archivePage = 1;
+        } else {
+            archiveOpen = true;
+            archivePage = Number(link.dataset.archivePage) || 1;
+            if (link.dataset.organizer !== undefined) {
+                currentFilters.organizer = link.dataset.organizer ? [link.dataset.organizer] : [];
+            }
+        }
+        applyEventFilters();
+        updateUrl();
+        const target = document.getElementById(archiveOpen ? 'past-events-archive' : 'community-events');
+        if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    // Toggle between the card, table and calendar views
+    function createViewControls() {
+        const viewControls = document.createElement('div');
+        viewControls.className = 'view-controls';
+        viewControls.innerHTML = `
+            <div class="view-toggle" id="view-toggle" title="Toggle view">
+                <button class="view-option active" data-view="cards" aria-label="Card View">
+                    <i class="fas fa-square"></i>
+                </button>
+                <button class="view-option" data-view="table" aria-label="Table View">
+                    <i class="fas fa-table"></i>
+                </button>
+                <button class="view-option" data-view="month" aria-label="Calendar View">
+                    <i class="fas fa-calendar-days"></i>
+                </button>
+            </div>
+        `;
+        return viewControls;
+    }
+
+    // Filled by renderCalendar when a calendar view is shown
+    function createCalendarContainer() {
+        const calendarContainer = document.createElement('div');
+        calendarContainer.className = 'calendar-container';
+        return calendarContainer;
+    }
+
+    // Draw the month grid or week agenda, in the zone the cards convert times to
+    function renderCalendar(mode) {
+        const zoneLabel = displayTimeZone === viewerTimeZone
+            ? `your time zone (${formatZoneName(viewerTimeZone)})`
+            : `${formatZoneName(displayTimeZone)} time`;
+        document.querySelectorAll('.calendar-container').forEach(calendarContainer => {
+            calendarContainer.innerHTML = ISOC.EventCalendar.render(calendarEvents, {
+                mode,
+                date: calendarDate,
+                zone: displayTimeZone,
+                zoneLabel
+            });
+        });
+    }
+
+    // "Happening now", with the day a multi-day event is on
+    function renderHappeningNowHtml(event) {
+        const days = event.endDate && event.endDate > event.startDate
+            ? ISOC.Recurrence.daysBetween(event.startDate, event.endDate) + 1
+            : 1;
+        const day = Math.min(Math.max(ISOC.Recurrence.daysBetween(event.startDate, ISOC.EventCalendar.today()) + 1, 1), days);
+        return `<div class="event-status"><span class="event-status-dot" aria-hidden="true"></span> Happening now${days > 1 ? ` · Day ${day} of ${days}` : ''}</div>`;
+    }
+
+    // Create the card for an upcoming or in-progress event (the markup is shared with the embeddable widget)
+    function createEventCard(event) {
+        const card = document.createElement('div');
+        const happening = getEventStatus(event) === 'now';
+        card.className = `action-card event-card${happening ? ' is-happening-now' : ''}`;
+        const calendarButton = event.startDate && event.startDate !== 'Ongoing'
+            ? `<button class="event-calendar-btn add-to-calendar" data-event-id="${getEventId(event)}" title="Add to calendar" aria-label="Add to calendar" aria-haspopup="menu" aria-expanded="false"><i class="fa-solid fa-calendar-plus"></i></button>`
+            : '';
+
+        card.innerHTML = ISOC.Cards.eventCard(event, {
+            // Set alternating background image
+            backgroundImage: getAlternatingBackgroundImage(),
+            timeHtml: renderEventTimeHtml(event, 'event-meta-item'),
+            statusHtml: happening ? renderHappeningNowHtml(event) : '',
+            actions: `${calendarButton}
+            ${ISOC.Shortlist.renderToggle('event', getEventId(event), event.title, 'event-save-toggle')}`
+        });
+        return card;
     }
 
     // Create compact card for past events
@@ -745,11 +999,6 @@ document.addEventListener('DOMContentLoaded', function () {
             });
         }
 
-        // Format time
-        const timeStr = event.startTime && event.timeZone ?
-            `${event.startTime} ${event.timeZone}` :
-            event.startTime || '';
-
         // Create the content wrapper - use <a> tag if there's a registration URL
         let contentWrapper;
         if (event.registrationUrl) {
@@ -767,17 +1016,23 @@ document.addEventListener('DOMContentLoaded', function () {
             <h4 class="past-event-title">${event.title}</h4>
             <div class="past-event-meta">
                 ${dateStr ? `<span class="past-event-date"><i class="fa-regular fa-calendar"></i> ${dateStr}</span>` : ''}
-                ${timeStr ? `<span class="past-event-time"><i class="fa-regular fa-clock"></i> ${timeStr}</span>` : ''}
+                ${event.startTime ? `<span class="past-event-time"><i class="fa-regular fa-clock"></i> ${formatEventTime(event).original}</span>` : ''}
+                ${event.series ? `<span class="past-event-recurrence"><i class="fa-solid fa-repeat"></i> ${describeRecurrence(event)}</span>` : ''}
                 ${event.region ? `<span class="past-event-region"><i class="fa-solid fa-location-dot"></i> ${event.region}</span>` : ''}
             </div>
             <div class="past-event-badges">
                 ${event.type ? `<span class="past-event-type">${event.type}</span>` : ''}
                 ${event.category ? `<span class="past-event-category">${event.category}</span>` : ''}
             </div>
-            ${event.organizer ? `<div class="past-event-organizer"><i class="fa-solid fa-users"></i> ${event.organizer}</div>` : ''}
         `;
 
         card.appendChild(contentWrapper);
+        // The (first) organizer's history in the archive
+        if (event.organizer) {
+            const organizer = ISOC.Cards.escapeHtml(event.organizers[0]);
+            card.insertAdjacentHTML('beforeend', `<a href="${getArchiveHref(1, event.organizers[0])}" class="past-event-organizer archive-link" data-organizer="${organizer}" title="Past events by ${organizer}"><i class="fa-solid fa-users"></i> ${ISOC.Cards.escapeHtml(event.organizer.trim())}</a>`);
+        }
+        card.insertAdjacentHTML('beforeend', ISOC.Shortlist.renderToggle('event', getEventId(event), event.title, 'past-event-save-toggle'));
         return card;
     }
 
@@ -823,6 +1078,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 eventName.textContent = event.title;
             }
 
+            eventName.insertAdjacentHTML('beforeend', ISOC.Shortlist.renderToggle('event', getEventId(event), event.title, 'table-save-toggle'));
             eventCell.appendChild(eventName);
 
             // Add type, category, language, and organizer as subtle metadata
@@ -878,11 +1134,27 @@ document.addEventListener('DOMContentLoaded', function () {
                 dateDiv.textContent = dateStr;
                 whenCell.appendChild(dateDiv);
 
-                if (event.startTime) {
+                if (event.series) {
+                    const recurrenceDiv = document.createElement('div');
+                    recurrenceDiv.className = 'event-time event-recurrence';
+                    recurrenceDiv.innerHTML = '<i class="fa-solid fa-repeat"></i> ';
+                    recurrenceDiv.appendChild(document.createTextNode(describeRecurrence(event)));
+                    whenCell.appendChild(recurrenceDiv);
+                }
+
+                const time = formatEventTime(event);
+                if (time) {
                     const timeDiv = document.createElement('div');
                     timeDiv.className = 'event-time';
-                    timeDiv.textContent = event.timeZone ? `${event.startTime} ${event.timeZone}` : event.startTime;
+                    timeDiv.textContent = time.original;
                     whenCell.appendChild(timeDiv);
+
+                    if (time.converted) {
+                        const convertedDiv = document.createElement('div');
+                        convertedDiv.className = 'event-time event-converted-time';
+                        convertedDiv.textContent = time.converted;
+                        whenCell.appendChild(convertedDiv);
+                    }
                 }
             } else {
                 whenCell.textContent = 'TBD';
@@ -909,57 +1181,111 @@ document.addEventListener('DOMContentLoaded', function () {
         return table;
     }
 
-    // Calendar download functionality
+    // Add to calendar menu
     document.addEventListener('click', function (e) {
         if (e.target.closest('.add-to-calendar')) {
             e.preventDefault();
             e.stopPropagation();
             const button = e.target.closest('.add-to-calendar');
-            const title = button.getAttribute('data-title');
-            const dateStr = button.getAttribute('data-date');
-            const timeStr = button.getAttribute('data-time');
-            const timeZone = button.getAttribute('data-timezone');
-            const description = button.getAttribute('data-description');
-            const eventLink = button.getAttribute('data-link') || window.location.href;
-
-            const icsContent = ISOC.Utils.generateICS({
-                title: title,
-                description: description,
-                startDate: dateStr,
-                startTime: timeStr,
-                url: eventLink
-            });
+            const eventId = button.getAttribute('data-event-id');
+            const event = allEvents.find(item => ISOC.Ids.eventId(item) === eventId);
+            if (!event) return;
 
-            ISOC.Utils.downloadFile(icsContent, `event-${ISOC.Utils.slugify(title)}.ics`, 'text/calendar;charset=utf-8');
+            // Same entry as in the events calendar feed
+            ISOC.CalendarMenu.toggle(button, ISOC.ICS.fromCommunityEvent(event), {
+                prodId: '-//Internet Society//Events//EN'
+            });
         }
     });
 
-    // Initialize View Toggle
-    function initializeViewToggle() {
-        const viewToggle = document.getElementById('view-toggle');
-        if (!viewToggle) return;
-
-        const updateView = (viewMode) => {
-            const sections = document.querySelectorAll('.dynamic-section');
-            sections.forEach(section => {
-                if (viewMode === 'table') {
-                    section.classList.add('view-table');
-                } else {
-                    section.classList.remove('view-table');
-                }
-            });
+    // Snapshot kept on the shortlist, so a saved event can still be shown after it's removed
+    // A recurring event is saved as its current or next date, or its last once the
+    // series is over, and its calendar entry repeats from that date under the feed's UID
+    function toShortlistItem(event) {
+        const occurrence = ISOC.Recurrence.currentOccurrence(event, ISOC.EventCalendar.today());
+        const rest = ISOC.Recurrence.startingFrom(event, occurrence.startDate);
+        return {
+            title: event.title,
+            date: occurrence.startDate || null,
+            endDate: occurrence.endDate || null,
+            link: event.registrationUrl || '/community-events/',
+            calendar: event.startDate ? {
+                ...ISOC.ICS.fromCommunityEvent(event),
+                startDate: rest.startDate,
+                endDate: rest.endDate || null,
+                recurrence: rest.recurrence
+            } : null
+        };
+    }
 
-            document.querySelectorAll('.view-option').forEach(opt => {
-                if (opt.dataset.view === viewMode) {
-                    opt.classList.add('active');
-                } else {
-                    opt.classList.remove('active');
-                }
-            });
+    // Show sections in the given view mode and mark the matching toggle option
+    function applyViewMode(viewMode) {
+        const isCalendar = ISOC.EventCalendar.MODES.includes(viewMode);
+        const sections = document.querySelectorAll('.dynamic-section');
+        sections.forEach(section => {
+            if (viewMode === 'table') {
+                section.classList.add('view-table');
+            } else {
+                section.classList.remove('view-table');
+            }
+            section.classList.toggle('view-calendar', isCalendar);
+        });
 
-            localStorage.setItem('eventsViewMode', viewMode);
-        };
+        if (isCalendar) {
+            renderCalendar(viewMode);
+        }
+
+        // The calendar option stays marked in both the month and week layouts
+        document.querySelectorAll('.view-option').forEach(opt => {
+            if (opt.dataset.view === viewMode || (isCalendar && opt.dataset.view === 'month')) {
+                opt.classList.add('active');
+            } else {
+                opt.classList.remove('active');
+            }
+        });
+    }
+
+    // Switch view mode, remember it and put it in the URL
+    function updateView(viewMode) {
+        applyViewMode(viewMode);
+        localStorage.setItem('eventsViewMode', viewMode);
+        updateUrl();
+    }
 
+    // Calendar toolbar: previous/today/next, month/week, and "+N more" opening that day's week
+    document.addEventListener('click', function (e) {
+        const viewMode = localStorage.getItem('eventsViewMode');
+        const navButton = e.target.closest('[data-calendar-nav]');
+        if (navButton) {
+            const step = { prev: -1, next: 1 }[navButton.dataset.calendarNav];
+            calendarDate = step ? ISOC.EventCalendar.shift(calendarDate, viewMode, step) : ISOC.EventCalendar.today();
+            renderCalendar(viewMode);
+            return;
+        }
+
+        const modeButton = e.target.closest('[data-calendar-mode]');
+        if (modeButton) {
+            updateView(modeButton.dataset.calendarMode);
+            return;
+        }
+
+        const moreButton = e.target.closest('.calendar-more');
+        if (moreButton) {
+            calendarDate = moreButton.dataset.calendarDate;
+            updateView('week');
+        }
+    });
+
+    // Month links in the mobile menu page the calendar instead of scrolling to the cards' divider
+    window.showEventsMonth = function (monthId) {
+        if (archiveOpen || !ISOC.EventCalendar.MODES.includes(localStorage.getItem('eventsViewMode'))) return null;
+        calendarDate = `${monthId.replace('month-', '')}-01`;
+        updateView('month');
+        return document.querySelector('.calendar-container');
+    };
+
+    // Initialize View Toggle
+    function initializeViewToggle() {
         // Use event delegation since the toggle is re-created when filtering
         document.addEventListener('click', function (e) {
             const viewToggle = e.target.closest('.view-toggle');
@@ -975,24 +1301,42 @@ document.addEventListener('DOMContentLoaded', function () {
         });
 
         const savedViewMode = localStorage.getItem('eventsViewMode') || 'cards';
-        updateView(savedViewMode);
+        applyViewMode(savedViewMode);
     }
 
     // Init
     async function init() {
         allEvents = await fetchEvents();
+        // Saved events that were taken off the sheet stay on the shortlist, marked as such;
+        // ones saved before the import recorded row IDs move to their current ID
+        const legacyIds = Object.fromEntries(allEvents.map(event => [ISOC.Ids.legacyEventId(event), ISOC.Ids.eventId(event)]));
+        ISOC.Shortlist.connect('event', id => {
+            const event = allEvents.find(item => ISOC.Ids.eventId(item) === id);
+            return event ? toShortlistItem(event) : null;
+        }, [], legacyIds);
         populateFilters(allEvents);
-        initializeFilters();
+        populateTimeZoneSelect();
+        // Filters and view mode from a shared link take precedence over the saved view
+        const urlState = restoreFromUrl();
+        if (urlState.view) {
+            localStorage.setItem('eventsViewMode', urlState.view);
+        }
+        updateFacetOptions();
         const filteredEvents = filterEvents(allEvents);
-        const futureEvents = getFutureEvents(filteredEvents);
+        const listedEvents = getListedEvents(filteredEvents);
         renderEvents(filteredEvents);
-        updateEventCount(futureEvents.length);
+        updateEventCount(listedEvents.length);
         initializeViewToggle();
         
         // Update mobile menu with month navigation links
         if (window.updateMobileMenuWithMonths) {
-            window.updateMobileMenuWithMonths(futureEvents);
+            window.updateMobileMenuWithMonths(archiveOpen
+                ? getArchivePage(listedEvents).items
+                : listedEvents.filter(event => getEventStatus(event) !== 'now'));
         }
+
+        // Make the current state shareable without adding a history entry
+        updateUrl({ replace: true });
     }
 
     // Subscription dialog functionality
@@ -1025,7 +1369,7 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
 
-    function showSubscriptionDialog(feedType, feedUrl) {
+    function showSubscriptionDialog(feedType, feedUrl, feedLabel) {
         // Remove any existing subscription modal
         const existingModal = document.getElementById('subscription-modal');
         if (existingModal) {
@@ -1042,9 +1386,11 @@ document.addEventListener('DOMContentLoaded', function () {
 
         const isRSS = feedType === 'rss';
         const feedTitle = isRSS ? 'RSS Feed' : 'Calendar Feed (iCal)';
+        // An organizer's own feed names the organizer
+        const byOrganizer = feedLabel ? ` by ${ISOC.Cards.escapeHtml(feedLabel)}` : '';
         const feedDescription = isRSS
-            ? 'Stay updated with the latest Internet Society community-led events'
-            : 'Add upcoming Internet Society community-led events to your calendar';
+            ? `Stay updated with the latest Internet Society community-led events${byOrganizer}`
+            : `Add upcoming Internet Society community-led events${byOrganizer} to your calendar`;
 
         // Popular RSS readers and calendar apps with verified subscription URLs
         const popularApps = isRSS ? [
@@ -1234,7 +1580,7 @@ document.addEventListener('DOMContentLoaded', function () {
             // Convert relative URL to absolute URL
             const absoluteUrl = feedUrl.startsWith('http') ? feedUrl : new URL(feedUrl, window.location.href).href;
 
-            showSubscriptionDialog(feedType, absoluteUrl);
+            showSubscriptionDialog(feedType, absoluteUrl, link.getAttribute('data-feed-label'));
         }
     });
 
@@ -0,0 +1,114 @@
+// Namespace for the "Add to calendar" menu
+window.ISOC = window.ISOC || {};
+
+window.ISOC.CalendarMenu = (function () {
+    const SERVICES = [
+        { key: 'google', label: 'Google Calendar', icon: 'fa-brands fa-google' },
+        { key: 'outlook', label: 'Outlook.com', icon: 'fa-brands fa-microsoft' },
+        { key: 'office365', label: 'Office 365', icon: 'fa-brands fa-microsoft' },
+        { key: 'yahoo', label: 'Yahoo Calendar', icon: 'fa-brands fa-yahoo' }
+    ];
+
+    let menu = null;
+    let currentTrigger = null;
+
+    /**
+     * Close the open menu, if any
+     * @param {boolean} [restoreFocus] - Return focus to the button that opened it
+     */
+    function close(restoreFocus = false) {
+        if (!menu) return;
+        menu.remove();
+        menu = null;
+        if (currentTrigger) {
+            currentTrigger.setAttribute('aria-expanded', 'false');
+            if (restoreFocus) currentTrigger.focus();
+        }
+        currentTrigger = null;
+    }
+
+    function position(trigger) {
+        const rect = trigger.getBoundingClientRect();
+        const width = menu.offsetWidth;
+        const left = Math.max(8, Math.min(rect.right - width, document.documentElement.clientWidth - width - 8));
+        menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+        menu.style.left = `${left + window.scrollX}px`;
+    }
+
+    /**
+     * Open the menu below a trigger, or close it if it's already open for that trigger
+     * @param {HTMLElement} trigger
+     * @param {CalendarEntry} entry - From ISOC.ICS.fromOpportunity or ISOC.ICS.fromCommunityEvent
+     * @param {Object} [options]
+     * @param {string} [options.prodId] - PRODID for the downloaded .ics file
+     */
+    function toggle(trigger, entry, options = {}) {
+        if (menu && currentTrigger === trigger) {
+            close();
+            return;
+        }
+        close();
+
+        const links = ISOC.ICS.buildCalendarLinks(entry);
+        menu = document.createElement('div');
+        menu.className = 'calendar-menu';
+        menu.setAttribute('role', 'menu');
+        menu.innerHTML = `
+            ${SERVICES.map(service => `
+                <a href="${links[service.key].replace(/&/g, '&amp;')}" class="calendar-menu-item" role="menuitem" target="_blank" rel="noopener noreferrer" data-service="${service.key}">
+                    <i class="${service.icon}" aria-hidden="true"></i> ${service.label}
+                </a>
+            `).join('')}
+            <button type="button" class="calendar-menu-item" role="menuitem" data-service="ics">
+                <i class="fas fa-download" aria-hidden="true"></i> Download .ics file
+            </button>
+        `;
+
+        menu.addEventListener('click', function (e) {
+            const item = e.target.closest('.calendar-menu-item');
+            if (!item) return;
+            if (item.dataset.service === 'ics') {
+                const icsContent = ISOC.ICS.buildCalendar([entry], options.prodId ? { prodId: options.prodId } : {});
+                ISOC.Utils.downloadFile(icsContent, `event-${ISOC.Utils.slugify(entry.title)}.ics`, 'text/calendar;charset=utf-8');
+            }
+            close();
+        });
+
+        menu.addEventListener('keydown', function (e) {
+            const items = Array.from(menu.querySelectorAll('.calendar-menu-item'));
+            const index = items.indexOf(document.activeElement);
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                items[(index + step + items.length) % items.length].focus();
+            } else if (e.key === 'Tab') {
+                close();
+            }
+        });
+
+        document.body.appendChild(menu);
+        currentTrigger = trigger;
+        trigger.setAttribute('aria-haspopup', 'menu');
+        trigger.setAttribute('aria-expanded', 'true');
+        position(trigger);
+        menu.querySelector('.calendar-menu-item').focus();
+    }
+
+    // Close when clicking elsewhere, pressing Escape or resizing the window
+    document.addEventListener('click', function (e) {
+        if (menu && !menu.contains(e.target) && !(currentTrigger && currentTrigger.contains(e.target))) {
+            close();
+        }
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape' && menu) close(true);
+    });
+
+    window.addEventListener('resize', () => close());
+
+    return {
+        toggle,
+        close
+    };
+})();
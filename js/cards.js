@@ -0,0 +1,215 @@
+// Namespace for the opportunity and event card markup, shared by the
+// dashboard, the community events page and the embeddable widget
+window.ISOC = window.ISOC || {};
+
+window.ISOC.Cards = (function () {
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Icon for an opportunity's call to action, picked from its wording
+     * @param {string} actionText - e.g. "Apply now"
+     * @returns {string} Font Awesome class
+     */
+    function ctaIcon(actionText) {
+        const text = (actionText || '').toLowerCase();
+        if (text.includes('sign')) return 'fa-pen-to-square';
+        if (text.includes('submit')) return 'fa-file-lines';
+        if (text.includes('apply')) return 'fa-user-plus';
+        if (text.includes('register')) return 'fa-right-to-bracket';
+        if (text.includes('learn')) return 'fa-circle-info';
+        if (text.includes('express')) return 'fa-handshake-angle';
+        if (text.includes('nominate')) return 'fa-award';
+        return 'fa-arrow-right';
+    }
+
+    /**
+     * Card for an opportunity
+     * @param {Opportunity} o
+     * @param {Object} [options]
+     * @param {function(string): string} [options.text] - Renders title and description text as HTML, e.g. with search highlights
+     * @param {string} [options.className] - Extra classes for the card
+     * @param {string} [options.titleSuffix] - HTML after the title, e.g. a NEW badge
+     * @param {string} [options.dateSuffix] - HTML after the date, e.g. a countdown
+     * @param {string} [options.actions] - HTML for the buttons in the card's corner
+     * @param {string} [options.detailsUrl] - Link to the detail view; the dashboard's own route by default
+     * @param {string} [options.linkTarget] - Target for the details link
+     * @param {boolean} [options.audienceModal] - Add the "Who can participate?" button and dialog
+     * @returns {string} HTML
+     */
+    function opportunityCard(o, options = {}) {
+        const text = options.text || escapeHtml;
+        const detailsUrl = options.detailsUrl || `#opp/${o.id}`;
+        const detailsTarget = options.linkTarget ? ` target="${options.linkTarget}" rel="noopener noreferrer"` : '';
+        const audience = options.audienceModal !== false && o.who_can_get_involved && o.who_can_get_involved.length > 0;
+
+        // Modal ID derived from the opportunity's stable ID
+        const modalId = `audience-modal-${o.id}`;
+
+        // Format tags for region and internet issue
+        const tags = [];
+        o.region.forEach(region => tags.push(`<span class="tag tag-region"><i class="fa-solid fa-map-marker-alt"></i> ${escapeHtml(region)}</span>`));
+        (o.internet_issue || []).forEach(issue => {
+            tags.push(`<span class="tag tag-issue"><i class="fa-solid fa-globe"></i> ${escapeHtml(issue)}</span>`);
+        });
+
+        const tagsHtml = tags.length ? `<div class="card-tags">${tags.join('')}</div>` : '';
+
+        const date = o.date ?
+            `<li class="date">
+                <i class="icon fa-regular fa-calendar"></i>
+                <div>
+                    <strong>Date:</strong>
+                    <span class="date-date">${escapeHtml(ISOC.Utils.formatDate(o.date))}</span>
+                    ${options.dateSuffix || ''}
+                </div>
+            </li>` : '';
+
+        const description = o.opportunity_description ?
+            `<li><i class="icon fa-solid fa-bullseye"></i><strong>Opportunity:</strong> ${text(o.opportunity_description)}</li>` : '';
+
+        const whyItMatters = o.why_it_matters ?
+            `<li><i class="icon fa-solid fa-lightbulb"></i><strong>Why It Matters:</strong> ${text(o.why_it_matters)}</li>` : '';
+
+        const titleHtml = text(o.title);
+        const link = o.link ? escapeHtml(o.link) : '';
+
+        return `
+            <div class="action-card${options.className ? ` ${options.className}` : ''}" id="opp-${o.id}">
+                <div class="card-header">
+                    <h3>${link ? `<a href="${link}" target="_blank" rel="noopener noreferrer" class="card-title-link">${titleHtml}</a>` : titleHtml}${options.titleSuffix || ''}</h3>
+                    ${options.actions || ''}
+                </div>
+                ${tagsHtml}
+                <ul>
+                    ${date}
+                    ${description}
+                    ${whyItMatters}
+                </ul>
+                <div class="card-footer">
+                    ${link ? `<a href="${link}" target="_blank" rel="noopener noreferrer" class="cta-button">
+                        <i class="icon fa-solid ${ctaIcon(o.action_text)}"></i>${escapeHtml(o.action_text || 'Learn More')}
+                    </a>` : ''}
+                    <div class="audience-link-container">
+                        ${audience ? `
+                        <button class="audience-link" data-modal="${modalId}">
+                            <i class="fa-solid fa-users"></i> Who can participate?
+                        </button>` : ''}
+                        <a href="${escapeHtml(detailsUrl)}" class="audience-link card-permalink" title="Details and link to this opportunity"${detailsTarget}>
+                            <i class="fa-solid fa-link"></i> Details
+                        </a>
+                    </div>
+                    ${audience ? `
+                        <div id="${modalId}" class="audience-modal" style="display: none;">
+                            <div class="audience-modal-content">
+                                <span class="audience-modal-close">&times;</span>
+                                <h3>This opportunity is for</h3>
+                                <ul class="audience-list">
+                                    ${o.who_can_get_involved.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+                                </ul>
+                            </div>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Month and day(s) shown on an event's date badge
+     * @param {CommunityEvent} event
+     * @returns {?{ month: string, day: string }} Null when the event has no start date
+     */
+    function eventDateBadge(event) {
+        if (!event.startDate) return null;
+        const [year, month, day] = event.startDate.split('-').map(Number);
+        const dateObj = new Date(year, month - 1, day);
+        const monthStr = dateObj.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
+
+        if (!event.endDate || event.endDate === event.startDate) {
+            return { month: monthStr, day: String(day) };
+        }
+
+        // Multi-day event - show date range
+        const [endYear, endMonth, endDay] = event.endDate.split('-').map(Number);
+        const endMonthStr = new Date(endYear, endMonth - 1, endDay).toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
+        if (year === endYear && month === endMonth) {
+            // Same month and year: "Dec 1-6"
+            return { month: monthStr, day: `${day}-${endDay}` };
+        }
+        if (year === endYear) {
+            // Same year, different month: "Dec 1 - Jan 6"
+            return { month: monthStr, day: `${day} ${monthStr} - ${endDay} ${endMonthStr}` };
+        }
+        // Different year: "Dec 1, 2025 - Jan 6, 2026"
+        return { month: monthStr, day: `${day} ${monthStr} ${year} - ${endDay} ${endMonthStr} ${endYear}` };
+    }
+
+    /**
+     * Inner HTML of an event card (the caller creates the `.action-card.event-card` element).
+     * An occurrence of a recurring event (from ISOC.Recurrence.expand) is badged
+     * as recurring and says how often it repeats.
+     * @param {CommunityEvent} event
+     * @param {Object} [options]
+     * @param {string} [options.backgroundImage] - Cover image URL
+     * @param {string} [options.timeHtml] - Time line, e.g. with the time converted to the viewer's zone
+     * @param {string} [options.statusHtml] - Line above the badges, e.g. "Happening now"
+     * @param {string} [options.actions] - HTML for the buttons in the card's corner
+     * @returns {string} HTML
+     */
+    function eventCard(event, options = {}) {
+        const badge = eventDateBadge(event);
+        const url = event.registrationUrl ? escapeHtml(event.registrationUrl) : '';
+        const headerTag = url ? 'a' : 'div';
+        const headerAttrs = url ? ` href="${url}" target="_blank" rel="noopener noreferrer"` : '';
+        const cover = options.backgroundImage ? ` style="background-image: url('${escapeHtml(options.backgroundImage)}');"` : '';
+        const repeats = event.series ? ISOC.Recurrence.describe(ISOC.Recurrence.parse(event.recurrence)) : '';
+
+        return `
+            ${options.actions || ''}
+            <${headerTag} class="event-card-header"${headerAttrs}>
+                <div class="event-cover-image"${cover}>
+                    ${badge ? `
+                    <div class="event-date-badge">
+                        <div class="event-month">${badge.month}</div>
+                        <div class="event-day">${badge.day}</div>
+                    </div>
+                    ` : ''}
+                    <div class="event-cover-content">
+                        <h3 class="event-title">${escapeHtml(event.title)}</h3>
+                    </div>
+                </div>
+                <div class="event-content">
+                    ${options.statusHtml || ''}
+                    <div class="event-badges">
+                        ${event.type ? `<span class="event-type-badge">${escapeHtml(event.type.toUpperCase())}</span>` : ''}
+                        ${event.category ? `<span class="event-type-badge" style="background-color: #555;">${escapeHtml(event.category.toUpperCase())}</span>` : ''}
+                        ${event.language ? `<span class="event-type-badge" style="background-color: #6c757d;">${escapeHtml(event.language.toUpperCase())}</span>` : ''}
+                        ${repeats ? `<span class="event-type-badge event-recurring-badge" title="${escapeHtml(repeats)}"><i class="fa-solid fa-repeat"></i> RECURRING</span>` : ''}
+                    </div>
+                    <p class="event-description">${escapeHtml(event.description || '')}</p>
+                    <div class="event-meta-info">
+                        ${options.timeHtml || ''}
+                        ${repeats ? `<div class="event-meta-item event-recurrence"><i class="fa-solid fa-repeat"></i> ${escapeHtml(repeats)}</div>` : ''}
+                        ${event.region ? `<div class="event-meta-item"><i class="fa-solid fa-location-dot"></i> ${escapeHtml(event.region)}${event.format === 'Online' ? ' (Online)' : ''}</div>` : ''}
+                    </div>
+                    ${event.organizer ? `<div class="event-organizer"><i class="fa-solid fa-users"></i> ${escapeHtml(event.organizer)}</div>` : ''}
+                </div>
+            </${headerTag}>
+        `;
+    }
+
+    return {
+        escapeHtml,
+        ctaIcon,
+        opportunityCard,
+        eventDateBadge,
+        eventCard
+    };
+})();
@@ -0,0 +1,263 @@
+// Embeddable widget: <isoc-widget> shows opportunities or community events on
+// a chapter's own website
+//
+//   <script src="https://opportunities.internetsociety.org/js/embed.js" async></script>
+//   <isoc-widget kind="events" organizer="ISOC Kenya Chapter" max-items="3"></isoc-widget>
+//
+// Attributes (lists are comma-separated; an item matches any listed value):
+//   kind       - "opportunities" (default) or "events"
+//   region     - e.g. "Africa, Global"
+//   issue      - Internet issue (opportunities only)
+//   organizer  - Organizer name (events only)
+//   language   - e.g. "Spanish" (events only)
+//   max-items  - How many cards to show (default 3)
+//   from-url   - Read the attributes from the page's query string instead (used by embed/index.html)
+//
+// Cards use the dashboard's markup (js/cards.js) and render in a shadow root
+// styled by css/widget.css, so the host page's CSS doesn't reach them.
+(function () {
+    const script = document.currentScript;
+    // Site root, from this script's own URL, so the widget works from any host page
+    const BASE_URL = new URL('../', script ? script.src : window.location.href).href;
+    // Loaded in order when the host page doesn't already have them; the first
+    // gives the ?v= stamp the others and the stylesheet are loaded with
+    const DEPENDENCIES = [
+        ['Version', 'js/version.js'],
+        ['Vocabulary', 'js/vocabulary.js'],
+        ['Ids', 'js/ids.js'],
+        ['Recurrence', 'js/recurrence.js'],
+        ['Utils', 'js/utils.js'],
+        ['Cards', 'js/cards.js']
+    ];
+
+    const DATA_PATHS = {
+        opportunities: 'data/opportunities.json',
+        events: 'community-events/data/events.json'
+    };
+
+    const EVENT_BACKGROUNDS = ['img/event-bg-white.jpg', 'img/event-bg-neutral.jpg'];
+
+    const DEFAULT_MAX_ITEMS = 3;
+
+    const ATTRIBUTES = ['kind', 'region', 'issue', 'organizer', 'language', 'max-items'];
+
+    let dependencies = null;
+    const dataRequests = {};
+
+    // URL of a file of the site, with the asset stamp once js/version.js has loaded
+    function assetUrl(path) {
+        const version = window.ISOC && window.ISOC.Version;
+        return `${BASE_URL}${path}${version ? `?v=${version.ASSETS}` : ''}`;
+    }
+
+    function loadScript(path) {
+        return new Promise((resolve, reject) => {
+            const tag = document.createElement('script');
+            tag.src = assetUrl(path);
+            tag.onload = resolve;
+            tag.onerror = () => reject(new Error(`Couldn't load ${path}`));
+            document.head.appendChild(tag);
+        });
+    }
+
+    function loadDependencies() {
+        if (!dependencies) {
+            window.ISOC = window.ISOC || {};
+            dependencies = DEPENDENCIES.reduce((previous, [name, path]) =>
+                previous.then(() => window.ISOC[name] ? null : loadScript(path)), Promise.resolve());
+        }
+        return dependencies;
+    }
+
+    // One request per data file, however many widgets the page has
+    function loadData(kind) {
+        if (!dataRequests[kind]) {
+            dataRequests[kind] = fetch(`${BASE_URL}${DATA_PATHS[kind]}`).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            });
+        }
+        return dataRequests[kind];
+    }
+
+    function toList(value) {
+        return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    // The fields the opportunity card uses, normalized the way main.js does
+    function normalizeOpportunity(item) {
+        return {
+            id: ISOC.Ids.opportunityId(item),
+            title: item['Outreach Activity [Title]'] || item.title || '',
+            action_text: item['Action [CTA]'] || item.action_text || '',
+            link: item['Link'] || item.link || '',
+            opportunity_description: item['Opportunity [Description]'] || item.opportunity_description || '',
+            why_it_matters: item['Why It Matters'] || item.why_it_matters || '',
+            who_can_get_involved: ISOC.Vocabulary.audiences(item['Who Can Get Involved'] || item.who_can_get_involved),
+            internet_issue: toList(item['Internet Issue'] || item.internet_issue),
+            region: ISOC.Vocabulary.regions(item['Region'] || item.region),
+            date: item['Deadline'] || item['Date'] || item.date || null,
+            archived: item['Archived'] || item.archived || null
+        };
+    }
+
+    function normalizeEvent(event) {
+        const languages = ISOC.Vocabulary.languages(event.language);
+        return {
+            ...event,
+            region: ISOC.Vocabulary.region(event.region),
+            languages,
+            language: languages.join(', '),
+            organizers: ISOC.Vocabulary.organizers(event.organizer)
+        };
+    }
+
+    function matchesAny(values, selected) {
+        return selected.length === 0 || values.some(value => selected.includes(value));
+    }
+
+    function isIsoDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    // Open opportunities matching the filters, soonest deadline first and ongoing ones last
+    function selectOpportunities(data, filters) {
+        return data.map(normalizeOpportunity)
+            .filter(o => o.title && !o.archived && !ISOC.Utils.isDateInPast(o.date))
+            .filter(o => matchesAny(o.region, filters.region) && matchesAny(o.internet_issue, filters.issue))
+            .sort((a, b) => {
+                if (isIsoDate(a.date) !== isIsoDate(b.date)) return isIsoDate(a.date) ? -1 : 1;
+                return isIsoDate(a.date) ? a.date.localeCompare(b.date) : 0;
+            });
+    }
+
+    // Upcoming events matching the filters, in date order; a recurring event by its next date
+    function selectEvents(data, filters) {
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        return data.map(normalizeEvent)
+            .flatMap(event => ISOC.Recurrence.parse(event.recurrence) ? ISOC.Recurrence.expand(event, today, '9999-12-31', 1) : [event])
+            .filter(event => isIsoDate(event.startDate) && !ISOC.Utils.isDateInPast(event.endDate || event.startDate))
+            .filter(event => matchesAny([event.region], filters.region) &&
+                matchesAny(event.languages, filters.language) &&
+                matchesAny(event.organizers, filters.organizer))
+            .sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    function renderOpportunity(o) {
+        return ISOC.Cards.opportunityCard(o, {
+            detailsUrl: `${BASE_URL}?id=${o.id}`,
+            linkTarget: '_blank',
+            audienceModal: false
+        });
+    }
+
+    function renderEvent(event, index) {
+        const time = event.startTime
+            ? `${event.startTime}${event.endTime ? `–${event.endTime}` : ''}${event.timeZone ? ` ${event.timeZone}` : ''}`
+            : '';
+        return `<div class="action-card event-card">${ISOC.Cards.eventCard(event, {
+            backgroundImage: `${BASE_URL}${EVENT_BACKGROUNDS[index % EVENT_BACKGROUNDS.length]}`,
+            timeHtml: time ? `<div class="event-meta-item">${ISOC.Cards.escapeHtml(time)}</div>` : ''
+        })}</div>`;
+    }
+
+    // Link to the same selection on the dashboard or the events page
+    function moreUrl(kind, filters) {
+        const params = new URLSearchParams();
+        const keys = kind === 'events' ? ['region', 'language', 'organizer'] : ['region', 'issue'];
+        keys.forEach(key => filters[key].forEach(value => params.append(key, value)));
+        const query = params.toString();
+        return `${BASE_URL}${kind === 'events' ? 'community-events/' : ''}${query ? `?${query}` : ''}`;
+    }
+
+    class IsocWidget extends HTMLElement {
+        static get observedAttributes() {
+            return ATTRIBUTES;
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+        }
+
+        connectedCallback() {
+            if (this.hasAttribute('from-url')) {
+                const params = new URLSearchParams(window.location.search);
+                ATTRIBUTES.forEach(name => {
+                    if (params.has(name)) this.setAttribute(name, params.getAll(name).join(', '));
+                });
+            }
+            this.render();
+        }
+
+        attributeChangedCallback() {
+            if (this.isConnected) this.render();
+        }
+
+        readFilters() {
+            return {
+                region: ISOC.Vocabulary.regions(this.getAttribute('region') || ''),
+                issue: toList(this.getAttribute('issue')),
+                organizer: toList(this.getAttribute('organizer')).flatMap(ISOC.Vocabulary.organizers),
+                language: ISOC.Vocabulary.languages(this.getAttribute('language') || '')
+            };
+        }
+
+        showStatus(message) {
+            this.shadowRoot.innerHTML = `
+                <link rel="stylesheet" href="${assetUrl('css/widget.css')}">
+                <p class="isoc-widget-status" role="status">${message}</p>
+            `;
+        }
+
+        render() {
+            const kind = this.getAttribute('kind') === 'events' ? 'events' : 'opportunities';
+            const maxItems = parseInt(this.getAttribute('max-items'), 10) > 0
+                ? parseInt(this.getAttribute('max-items'), 10)
+                : DEFAULT_MAX_ITEMS;
+            // Attribute changes while loading start a new render; only the latest one draws
+            const renderId = (this.renderId || 0) + 1;
+            this.renderId = renderId;
+
+            if (!this.shadowRoot.firstChild) this.showStatus('Loading…');
+
+            loadDependencies()
+                .then(() => loadData(kind))
+                .then(data => {
+                    if (this.renderId !== renderId) return;
+                    const filters = this.readFilters();
+                    const items = kind === 'events' ? selectEvents(data, filters) : selectOpportunities(data, filters);
+                    const cards = items.slice(0, maxItems).map(kind === 'events' ? renderEvent : renderOpportunity);
+                    const label = kind === 'events' ? 'upcoming events' : 'open opportunities';
+
+                    this.shadowRoot.innerHTML = `
+                        <link rel="stylesheet" href="${assetUrl('css/widget.css')}">
+                        ${cards.length
+                            ? `<div class="isoc-widget-grid">${cards.join('')}</div>`
+                            : `<p class="isoc-widget-status">No ${label} match right now.</p>`}
+                        <div class="isoc-widget-footer">
+                            <a href="${ISOC.Cards.escapeHtml(moreUrl(kind, filters))}" target="_blank" rel="noopener noreferrer">
+                                ${items.length > cards.length ? `See all ${items.length} ${label}` : `More ${label}`} from the Internet Society →
+                            </a>
+                        </div>
+                    `;
+                })
+                .catch(error => {
+                    console.error('ISOC widget:', error);
+                    if (this.renderId === renderId) this.showStatus('Couldn’t load the Internet Society listings.');
+                });
+        }
+    }
+
+    if (!window.customElements.get('isoc-widget')) {
+        window.customElements.define('isoc-widget', IsocWidget);
+    }
+
+    // The selection, for scripts/smoke_test.js
+    window.ISOC = window.ISOC || {};
+    window.ISOC.Embed = {
+        selectOpportunities,
+        selectEvents
+    };
+})();
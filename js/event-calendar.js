@@ -0,0 +1,281 @@
+// Namespace for the month grid and week agenda of the community events page
+window.ISOC = window.ISOC || {};
+
+window.ISOC.EventCalendar = (function () {
+    const MODES = ['month', 'week'];
+
+    // Bars per week row of the month grid; further events on a day sit behind "+N more"
+    const MAX_LANES = 3;
+
+    // Weeks start on Monday
+    const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    // Dates are YYYY-MM-DD strings; arithmetic is done in UTC so DST never shifts a day
+    function parse(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    function format(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    function addDays(date, days) {
+        const result = parse(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return format(result);
+    }
+
+    function daysBetween(from, to) {
+        return Math.round((parse(to) - parse(from)) / MS_PER_DAY);
+    }
+
+    function startOfWeek(date) {
+        return addDays(date, -((parse(date).getUTCDay() + 6) % 7));
+    }
+
+    function startOfMonth(date) {
+        return `${date.slice(0, 7)}-01`;
+    }
+
+    function isIsoDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    function label(date, options) {
+        return parse(date).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    }
+
+    /**
+     * Today's date on the viewer's clock
+     * @returns {string} YYYY-MM-DD
+     */
+    function today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Days an event covers as seen from the display zone. Timed events move to
+     * the dates their start and end fall on there, the same conversion as the
+     * cards' "your time" line; all-day events keep their own dates.
+     * @param {CommunityEvent} event
+     * @param {string} zone - IANA display zone
+     * @returns {?{ start: string, end: string, time: ?string }} Null when the event has no usable start date
+     */
+    function getSpan(event, zone) {
+        if (!isIsoDate(event.startDate)) return null;
+        const start = event.startDate;
+        const end = isIsoDate(event.endDate) && event.endDate > start ? event.endDate : start;
+        if (!event.startTime) return { start, end, time: null };
+
+        const fromZone = ISOC.Timezones.resolve(event.timeZone, event.region);
+        if (!fromZone) return { start, end, time: event.startTime };
+
+        const from = ISOC.Timezones.convertWallClock(start, event.startTime, fromZone, zone);
+        const to = ISOC.Timezones.convertWallClock(end, event.endTime || event.startTime, fromZone, zone);
+        return { start: from.date, end: to.date > from.date ? to.date : from.date, time: from.time };
+    }
+
+    /**
+     * Move the calendar by whole months or weeks
+     * @param {string} date - Any day in the current month or week
+     * @param {string} mode - 'month' or 'week'
+     * @param {number} step - e.g. -1 for the previous one
+     * @returns {string} YYYY-MM-DD
+     */
+    function shift(date, mode, step) {
+        if (mode === 'week') return addDays(date, 7 * step);
+        const result = parse(startOfMonth(date));
+        result.setUTCMonth(result.getUTCMonth() + step);
+        return format(result);
+    }
+
+    function getTitle(date, mode) {
+        if (mode === 'month') return label(date, { month: 'long', year: 'numeric' });
+        const from = startOfWeek(date);
+        const to = addDays(from, 6);
+        const end = from.slice(0, 7) === to.slice(0, 7) ? Number(to.slice(8)) : label(to, { month: 'short', day: 'numeric' });
+        return `${label(from, { month: 'short', day: 'numeric' })} – ${end}, ${to.slice(0, 4)}`;
+    }
+
+    function describe(entry) {
+        const dates = entry.start === entry.end
+            ? label(entry.start, { weekday: 'short', month: 'short', day: 'numeric' })
+            : `${label(entry.start, { month: 'short', day: 'numeric' })} – ${label(entry.end, { month: 'short', day: 'numeric' })}`;
+        const repeats = entry.event.series ? ISOC.Recurrence.describe(ISOC.Recurrence.parse(entry.event.recurrence)) : '';
+        return [entry.event.title, dates + (entry.time ? `, ${entry.time}` : ''), repeats, entry.event.region, entry.event.format]
+            .filter(Boolean).join(' · ');
+    }
+
+    // Link to the registration page, or plain text when there is none
+    function eventLink(entry, className, content, style = '') {
+        const escapeHtml = ISOC.Cards.escapeHtml;
+        const attrs = `class="${className}" title="${escapeHtml(describe(entry))}"${style ? ` style="${style}"` : ''}`;
+        return entry.event.registrationUrl
+            ? `<a href="${escapeHtml(entry.event.registrationUrl)}" target="_blank" rel="noopener noreferrer" ${attrs}>${content}</a>`
+            : `<span ${attrs}>${content}</span>`;
+    }
+
+    // Marks an occurrence of a recurring event
+    function recurringIcon(entry) {
+        return entry.event.series ? '<i class="fa-solid fa-repeat calendar-event-recurring" aria-hidden="true"></i> ' : '';
+    }
+
+    function compareEntries(a, b) {
+        return a.start.localeCompare(b.start) ||
+            daysBetween(b.start, b.end) - daysBetween(a.start, a.end) ||
+            (a.time || '').localeCompare(b.time || '') ||
+            a.event.title.localeCompare(b.event.title);
+    }
+
+    // One week row of the month grid: day cells, then bars packed into lanes
+    function renderWeek(entries, weekStart, month, todayDate) {
+        const escapeHtml = ISOC.Cards.escapeHtml;
+        const weekEnd = addDays(weekStart, 6);
+        const segments = entries
+            .filter(entry => entry.start <= weekEnd && entry.end >= weekStart)
+            .sort(compareEntries);
+
+        // Each lane holds bars that don't overlap; lanes[i] is the last column it uses
+        const lanes = [];
+        const hidden = new Array(7).fill(0);
+        const bars = [];
+        segments.forEach(entry => {
+            const from = daysBetween(weekStart, entry.start < weekStart ? weekStart : entry.start);
+            const to = daysBetween(weekStart, entry.end > weekEnd ? weekEnd : entry.end);
+            let lane = lanes.findIndex(lastColumn => lastColumn < from);
+            if (lane === -1) {
+                lane = lanes.length;
+                lanes.push(-1);
+            }
+            lanes[lane] = to;
+            if (lane >= MAX_LANES) {
+                for (let day = from; day <= to; day++) hidden[day]++;
+                return;
+            }
+
+            const classes = ['calendar-event'];
+            if (entry.start !== entry.end) classes.push('is-multi-day');
+            if (entry.start < weekStart) classes.push('continues-before');
+            if (entry.end > weekEnd) classes.push('continues-after');
+            if (entry.event.series) classes.push('is-recurring');
+            const time = entry.time && entry.start >= weekStart ? `<span class="calendar-event-time">${entry.time}</span> ` : '';
+            bars.push(eventLink(entry, classes.join(' '), `${recurringIcon(entry)}${time}${escapeHtml(entry.event.title)}`,
+                `grid-column: ${from + 1} / span ${to - from + 1}; grid-row: ${lane + 2};`));
+        });
+
+        const rows = Math.min(lanes.length, MAX_LANES);
+        const moreRow = rows + 2;
+        const days = WEEKDAYS.map((_, index) => {
+            const date = addDays(weekStart, index);
+            const classes = ['calendar-day'];
+            if (date.slice(0, 7) !== month) classes.push('outside-month');
+            if (date === todayDate) classes.push('is-today');
+            return `
+                <div class="${classes.join(' ')}" style="grid-column: ${index + 1}; grid-row: 1 / ${moreRow + 1};"></div>
+                <span class="calendar-day-number${date === todayDate ? ' is-today' : ''}" style="grid-column: ${index + 1}; grid-row: 1;">${Number(date.slice(8))}</span>
+                ${hidden[index] ? `<button type="button" class="calendar-more" data-calendar-date="${date}" style="grid-column: ${index + 1}; grid-row: ${moreRow};">+${hidden[index]} more</button>` : ''}
+            `;
+        }).join('');
+
+        return `<div class="calendar-week" style="grid-template-rows: auto repeat(${rows}, auto) minmax(12px, 1fr);">${days}${bars.join('')}</div>`;
+    }
+
+    function renderMonth(entries, date, todayDate) {
+        const first = startOfMonth(date);
+        const last = addDays(shift(first, 'month', 1), -1);
+        const weeks = [];
+        for (let weekStart = startOfWeek(first); weekStart <= last; weekStart = addDays(weekStart, 7)) {
+            weeks.push(renderWeek(entries, weekStart, first.slice(0, 7), todayDate));
+        }
+        return `
+            <div class="calendar-month" role="group" aria-label="${getTitle(date, 'month')}">
+                <div class="calendar-weekdays">${WEEKDAYS.map(day => `<span>${day}</span>`).join('')}</div>
+                ${weeks.join('')}
+            </div>
+        `;
+    }
+
+    // Agenda of the seven days of a week, multi-day events on every day they cover
+    function renderWeekAgenda(entries, date, todayDate) {
+        const escapeHtml = ISOC.Cards.escapeHtml;
+        const weekStart = startOfWeek(date);
+        return `<div class="calendar-agenda">${WEEKDAYS.map((_, index) => {
+            const day = addDays(weekStart, index);
+            const items = entries.filter(entry => entry.start <= day && entry.end >= day).sort(compareEntries);
+            return `
+                <section class="calendar-agenda-day${day === todayDate ? ' is-today' : ''}">
+                    <h4 class="calendar-agenda-date">${label(day, { weekday: 'long', month: 'short', day: 'numeric' })}</h4>
+                    ${items.length ? `<ul class="calendar-agenda-list">${items.map(entry => {
+                        const span = daysBetween(entry.start, entry.end) + 1;
+                        const when = [
+                            entry.time && day === entry.start ? entry.time : (entry.time ? '' : 'All day'),
+                            span > 1 ? `Day ${daysBetween(entry.start, day) + 1} of ${span}` : ''
+                        ].filter(Boolean).join(' · ');
+                        const meta = [entry.event.region, entry.event.format, entry.event.organizer].filter(Boolean).map(escapeHtml).join(' · ');
+                        return `
+                            <li class="calendar-agenda-item">
+                                <span class="calendar-agenda-time">${when}</span>
+                                <div>
+                                    ${eventLink(entry, 'calendar-agenda-title', `${recurringIcon(entry)}${escapeHtml(entry.event.title)}`)}
+                                    ${meta ? `<div class="calendar-agenda-meta">${meta}</div>` : ''}
+                                </div>
+                            </li>
+                        `;
+                    }).join('')}</ul>` : '<p class="calendar-agenda-empty">No events</p>'}
+                </section>
+            `;
+        }).join('')}</div>`;
+    }
+
+    /**
+     * Calendar for a month or a week, with its toolbar. Recurring events appear
+     * on each of their dates in view.
+     * @param {CommunityEvent[]} events
+     * @param {Object} options
+     * @param {string} options.mode - 'month' or 'week'
+     * @param {string} options.date - Any day in the month or week to show
+     * @param {string} options.zone - IANA zone the days and times are shown in
+     * @param {string} options.zoneLabel - e.g. "your time zone (Berlin)"
+     * @returns {string} HTML
+     */
+    function render(events, options) {
+        const mode = MODES.includes(options.mode) ? options.mode : 'month';
+        const todayDate = today();
+        // The days in view, a day wider on each side for times that move across midnight
+        const first = mode === 'month' ? startOfWeek(startOfMonth(options.date)) : startOfWeek(options.date);
+        const last = mode === 'month' ? addDays(startOfWeek(addDays(shift(options.date, 'month', 1), -1)), 6) : addDays(first, 6);
+        const entries = events
+            .flatMap(event => event.recurrence ? ISOC.Recurrence.expand(event, addDays(first, -1), addDays(last, 1)) : [event])
+            .map(event => ({ event, ...getSpan(event, options.zone) }))
+            .filter(entry => entry.start);
+        const unit = mode === 'month' ? 'month' : 'week';
+
+        return `
+            <div class="calendar-toolbar">
+                <div class="calendar-nav">
+                    <button type="button" class="calendar-nav-btn" data-calendar-nav="prev" aria-label="Previous ${unit}"><i class="fas fa-chevron-left" aria-hidden="true"></i></button>
+                    <button type="button" class="calendar-nav-btn" data-calendar-nav="today">Today</button>
+                    <button type="button" class="calendar-nav-btn" data-calendar-nav="next" aria-label="Next ${unit}"><i class="fas fa-chevron-right" aria-hidden="true"></i></button>
+                </div>
+                <h3 class="calendar-title" aria-live="polite">${getTitle(options.date, mode)}</h3>
+                <div class="calendar-modes" role="group" aria-label="Calendar layout">
+                    ${MODES.map(value => `<button type="button" class="calendar-mode${value === mode ? ' active' : ''}" data-calendar-mode="${value}" aria-pressed="${value === mode}">${value === 'month' ? 'Month' : 'Week'}</button>`).join('')}
+                </div>
+            </div>
+            <p class="calendar-zone-note"><i class="fa-regular fa-clock" aria-hidden="true"></i> Dates and times in ${ISOC.Cards.escapeHtml(options.zoneLabel)}</p>
+            ${mode === 'month' ? renderMonth(entries, options.date, todayDate) : renderWeekAgenda(entries, options.date, todayDate)}
+        `;
+    }
+
+    return {
+        MODES,
+        today,
+        getSpan,
+        shift,
+        render
+    };
+})();
@@ -0,0 +1,137 @@
+/**
+ * Per-region, per-issue and per-type feeds, and per-organizer event feeds.
+ *
+ * Shared by the subscription dialog (as window.ISOC.Feeds) and the feed
+ * generators in scripts/ (via require), so the dialog links to the files
+ * the generators write.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vocabulary.js'));
+    } else {
+        root.ISOC = root.ISOC || {};
+        root.ISOC.Feeds = factory(root.ISOC.Vocabulary);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Vocabulary) {
+    const FEEDS_DIR = 'data/feeds';
+
+    // Community event feeds, one folder per facet (only organizer so far)
+    const EVENT_FEEDS_DIR = 'community-events/data/feeds';
+
+    const FACET_LABELS = {
+        region: 'Region',
+        issue: 'Internet issue',
+        type: 'Type'
+    };
+
+    // Words dropped from slugs so "Latin America and The Caribbean" and
+    // "Latin America & Caribbean" share a feed
+    const SLUG_STOPWORDS = new Set(['and', 'the']);
+
+    /**
+     * File name (without extension) for a facet value
+     * @param {string} value
+     * @returns {string}
+     */
+    function slug(value) {
+        return String(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word && !SLUG_STOPWORDS.has(word))
+            .join('-');
+    }
+
+    /**
+     * Site-relative path of a facet feed
+     * @param {string} facet - region, issue or type
+     * @param {string} value
+     * @param {string} format - File extension, e.g. rss or ics
+     * @returns {string}
+     */
+    function feedPath(facet, value, format) {
+        return `${FEEDS_DIR}/${facet}/${slug(value)}.${format}`;
+    }
+
+    /**
+     * Site-relative path of an organizer's community events feed
+     * @param {string} organizer - e.g. "ISOC Kenya Chapter"
+     * @param {string} format - File extension, e.g. rss or ics
+     * @returns {string}
+     */
+    function organizerFeedPath(organizer, format) {
+        return `${EVENT_FEEDS_DIR}/organizer/${slug(organizer)}.${format}`;
+    }
+
+    function toList(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+        return String(value).split(',').map(v => v.trim()).filter(Boolean);
+    }
+
+    /**
+     * Facet values of an opportunity, from either the raw Smartsheet row or
+     * the normalized object built by main.js
+     * @param {Object} item
+     * @returns {{ region: string[], issue: string[], type: string[] }}
+     */
+    function opportunityFacets(item) {
+        return {
+            region: Vocabulary.regions(item.Region || item.region),
+            issue: toList(item['Internet Issue'] || item.internet_issue),
+            type: toList(item.Type)
+        };
+    }
+
+    /**
+     * Facet values of a community event. Events have no internet issue, and
+     * their types are not opportunity types, so they only appear in region feeds
+     * of the opportunity facets; `organizer` is for the event feeds.
+     * @param {CommunityEvent} event
+     * @returns {{ region: string[], issue: string[], type: string[], organizer: string[] }}
+     */
+    function eventFacets(event) {
+        return {
+            region: Vocabulary.regions(event.region),
+            issue: [],
+            type: [],
+            organizer: Vocabulary.organizers(event.organizer)
+        };
+    }
+
+    /**
+     * Group items into one feed per facet value
+     * @param {Object[]} items - Each with a `facets` property from opportunityFacets or eventFacets
+     * @param {string[]} [facets] - Facets to group by; the opportunity facets by default
+     * @returns {{ facet: string, value: string, items: Object[] }[]} Sorted by facet and slug
+     */
+    function partition(items, facets = Object.keys(FACET_LABELS)) {
+        const groups = new Map();
+        items.forEach(item => {
+            facets.forEach(facet => {
+                (item.facets[facet] || []).forEach(value => {
+                    const valueSlug = slug(value);
+                    if (!valueSlug) return;
+                    const key = `${facet}/${valueSlug}`;
+                    if (!groups.has(key)) groups.set(key, { facet, value, items: [] });
+                    const group = groups.get(key);
+                    if (!group.items.includes(item)) group.items.push(item);
+                });
+            });
+        });
+        return Array.from(groups.keys()).sort().map(key => groups.get(key));
+    }
+
+    return {
+        FEEDS_DIR,
+        EVENT_FEEDS_DIR,
+        FACET_LABELS,
+        slug,
+        feedPath,
+        organizerFeedPath,
+        opportunityFacets,
+        eventFacets,
+        partition
+    };
+});
@@ -0,0 +1,447 @@
+/**
+ * RFC 5545 iCalendar builder.
+ *
+ * Shared by the "Add to calendar" menus (as window.ISOC.ICS) and
+ * scripts/generate_ical.js (via require), so a single downloaded entry or
+ * web-calendar link carries the same details as the subscribed feeds.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ids.js'), require('./timezones.js'), require('./recurrence.js'));
+    } else {
+        root.ISOC = root.ISOC || {};
+        root.ISOC.ICS = factory(root.ISOC.Ids, root.ISOC.Timezones, root.ISOC.Recurrence);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Ids, Timezones, Recurrence) {
+    const SITE_URL = 'https://opportunities.internetsociety.org';
+    const UID_DOMAIN = 'opportunities.internetsociety.org';
+
+    // Used for DTSTAMP when an item has no creation or modification time
+    const DEFAULT_TIMESTAMP = '20240101T000000Z';
+
+    // Content lines longer than this many octets are folded (RFC 5545 §3.1)
+    const MAX_LINE_OCTETS = 75;
+
+    /**
+     * Escape a TEXT property value (RFC 5545 §3.3.11)
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeText(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    // Quote a parameter value such as CN; DQUOTE itself isn't allowed inside
+    function quoteParam(value) {
+        return `"${String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ')}"`;
+    }
+
+    function utf8Length(codePoint) {
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        if (codePoint < 0x10000) return 3;
+        return 4;
+    }
+
+    /**
+     * Fold a content line into chunks of at most 75 octets, continued with a
+     * leading space, without splitting a multi-byte character
+     * @param {string} line
+     * @returns {string}
+     */
+    function foldLine(line) {
+        const chunks = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = utf8Length(char.codePointAt(0));
+            // Continuation lines lose one octet to the leading space
+            const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                chunks.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        chunks.push(current);
+        return chunks.join('\r\n ');
+    }
+
+    function isIsoDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    // YYYY-MM-DD -> YYYYMMDD, optionally shifted by a number of days
+    function formatDate(date, addDays = 0) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + addDays)).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // YYYY-MM-DD and H:MM -> YYYYMMDDTHHMMSS
+    function formatDateTime(date, time) {
+        const [hours = '0', minutes = '0'] = time.split(':');
+        return `${date.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+    }
+
+    // ISO timestamp -> YYYYMMDDTHHMMSSZ
+    function formatTimestamp(value) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return DEFAULT_TIMESTAMP;
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    }
+
+    // Wall-clock time a number of minutes later, rolling over into the next day if needed
+    function addMinutes(date, time, minutes) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, mins] = time.split(':').map(Number);
+        const iso = new Date(Date.UTC(year, month - 1, day, hours, mins + minutes)).toISOString();
+        return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+    }
+
+    /**
+     * Wall-clock end of a timed entry: its end time, or an hour after the start
+     * when there's no end time or it isn't after the start
+     * @param {CalendarEntry} entry
+     * @returns {{ date: string, time: string }}
+     */
+    function getEnd(entry) {
+        const sortable = (date, time) => `${date}T${time.padStart(5, '0')}`;
+        if (entry.endTime) {
+            const end = { date: entry.endDate || entry.startDate, time: entry.endTime };
+            if (sortable(end.date, end.time) > sortable(entry.startDate, entry.startTime)) return end;
+        }
+        return addMinutes(entry.startDate, entry.startTime, 60);
+    }
+
+    /**
+     * Normalize a web URL from the sheet, adding https:// when it's missing
+     * @param {string} rawValue
+     * @returns {string|null} The URL, or null if it isn't a usable http(s) URL
+     */
+    function normalizeWebUrl(rawValue) {
+        if (rawValue === null || rawValue === undefined) return null;
+        const value = String(rawValue).trim();
+        if (!value) return null;
+        const hasScheme = /^https?:\/\//i.test(value);
+        const candidate = hasScheme ? value : `https://${value}`;
+        try {
+            const parsed = new URL(candidate);
+            const protocol = parsed.protocol.toLowerCase();
+            if ((protocol !== 'http:' && protocol !== 'https:') || !parsed.hostname || /\s/.test(parsed.hostname)) {
+                return null;
+            }
+            return parsed.toString();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @typedef {Object} CalendarEntry
+     * @property {string} uid
+     * @property {string} title
+     * @property {string} [description]
+     * @property {string} [url]
+     * @property {string} [location]
+     * @property {{ name: string, uri: string }} [organizer]
+     * @property {string} startDate - YYYY-MM-DD
+     * @property {string} [endDate] - YYYY-MM-DD, inclusive
+     * @property {string} [startTime] - H:MM; all-day when omitted
+     * @property {string} [endTime] - H:MM; one hour after the start when omitted or not after the start
+     * @property {string|null} [zone] - IANA zone for the times; floating when null
+     * @property {string} [recurrence] - RRULE from ISOC.Recurrence; startDate is the first occurrence
+     * @property {string[]} [recurrenceExceptions] - YYYY-MM-DD dates the series skips
+     * @property {string} [stamp] - ISO timestamp the entry was last changed
+     */
+
+    /**
+     * Calendar entry for a community event from events.json
+     * @param {CommunityEvent} event
+     * @returns {CalendarEntry}
+     */
+    function fromCommunityEvent(event) {
+        const region = event.region || '';
+        const locations = {
+            'Online': 'Online',
+            'In-person': region,
+            'Hybrid': region ? `${region} and online` : 'Online'
+        };
+        const url = normalizeWebUrl(event.registrationUrl);
+
+        return {
+            uid: `${Ids.eventId(event)}@${UID_DOMAIN}`,
+            title: event.title || 'Untitled Event',
+            description: event.description || '',
+            url,
+            location: locations[event.format] !== undefined ? locations[event.format] : region,
+            organizer: event.organizer ? { name: event.organizer, uri: url || `${SITE_URL}/community-events/` } : null,
+            startDate: event.startDate,
+            endDate: event.endDate || null,
+            startTime: event.startTime || null,
+            endTime: event.endTime || null,
+            zone: event.startTime ? Timezones.resolve(event.timeZone || 'UTC', region) : null,
+            recurrence: Recurrence.parse(event.recurrence) ? event.recurrence : null,
+            recurrenceExceptions: Recurrence.parseDates(event.recurrenceExceptions),
+            stamp: event.updated_at || event.modificationDate || event.creationDate || null
+        };
+    }
+
+    /**
+     * Calendar entry for an opportunity, linking to its detail view on the dashboard
+     * @param {Object} opportunity
+     * @param {string} opportunity.id - Stable ID from ISOC.Ids.opportunityId
+     * @param {string} opportunity.title
+     * @param {string} [opportunity.description]
+     * @param {string} [opportunity.whyItMatters]
+     * @param {string} opportunity.date - YYYY-MM-DD
+     * @param {string} [opportunity.endDate] - YYYY-MM-DD
+     * @param {string} [opportunity.creationDate]
+     * @param {string} [opportunity.updatedAt] - When a substantive field last changed
+     * @returns {CalendarEntry}
+     */
+    function fromOpportunity(opportunity) {
+        const description = [
+            opportunity.description || '',
+            opportunity.whyItMatters ? `Why it matters: ${opportunity.whyItMatters}` : ''
+        ].filter(Boolean).join('\n\n');
+
+        return {
+            uid: `${opportunity.id}@${UID_DOMAIN}`,
+            title: opportunity.title || 'Untitled Opportunity',
+            description,
+            url: `${SITE_URL}/?id=${opportunity.id}`,
+            startDate: opportunity.date,
+            endDate: opportunity.endDate || null,
+            stamp: opportunity.updatedAt || opportunity.creationDate || null
+        };
+    }
+
+    /**
+     * RRULE and EXDATE lines for a recurring entry. UNTIL and EXDATE take the
+     * DTSTART's form: dates for all-day entries, UTC for zoned times (RFC 5545
+     * §3.3.10 requires UNTIL in UTC when DTSTART has a TZID)
+     * @param {CalendarEntry} entry
+     * @returns {string[]} Empty when the entry doesn't recur
+     */
+    function buildRecurrence(entry) {
+        const rule = entry.recurrence ? Recurrence.parse(entry.recurrence) : null;
+        if (!rule) return [];
+
+        const zone = entry.startTime ? entry.zone || null : null;
+        const formatOccurrence = date => {
+            if (!entry.startTime) return formatDate(date);
+            if (zone === 'UTC') return `${formatDateTime(date, entry.startTime)}Z`;
+            return formatDateTime(date, entry.startTime);
+        };
+        let until = rule.until ? formatOccurrence(rule.until) : null;
+        if (until && zone && zone !== 'UTC') {
+            until = formatTimestamp(Timezones.toUtc(rule.until, entry.startTime, zone).toISOString());
+        }
+
+        const lines = [`RRULE:${Recurrence.toRRule(rule, until)}`];
+        const exceptions = entry.recurrenceExceptions || [];
+        if (exceptions.length) {
+            let parameter = '';
+            if (!entry.startTime) parameter = ';VALUE=DATE';
+            else if (zone && zone !== 'UTC') parameter = `;TZID=${zone}`;
+            lines.push(`EXDATE${parameter}:${exceptions.map(formatOccurrence).join(',')}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Build the VEVENT content lines for an entry (unfolded)
+     * @param {CalendarEntry} entry
+     * @returns {string[]}
+     */
+    function buildEvent(entry) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${entry.uid}`,
+            `DTSTAMP:${formatTimestamp(entry.stamp)}`,
+            `SUMMARY:${escapeText(entry.title)}`
+        ];
+
+        if (entry.startTime) {
+            const end = getEnd(entry);
+            const zone = entry.zone || null;
+            if (zone === 'UTC') {
+                lines.push(`DTSTART:${formatDateTime(entry.startDate, entry.startTime)}Z`);
+                lines.push(`DTEND:${formatDateTime(end.date, end.time)}Z`);
+            } else if (zone) {
+                lines.push(`DTSTART;TZID=${zone}:${formatDateTime(entry.startDate, entry.startTime)}`);
+                lines.push(`DTEND;TZID=${zone}:${formatDateTime(end.date, end.time)}`);
+            } else {
+                // Unknown zone: floating local time
+                lines.push(`DTSTART:${formatDateTime(entry.startDate, entry.startTime)}`);
+                lines.push(`DTEND:${formatDateTime(end.date, end.time)}`);
+            }
+        } else {
+            // All-day: DTEND is exclusive, so it's the day after the last day
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(entry.startDate)}`);
+            lines.push(`DTEND;VALUE=DATE:${formatDate(entry.endDate || entry.startDate, 1)}`);
+        }
+        lines.push(...buildRecurrence(entry));
+
+        const description = [entry.description, entry.url ? `More info: ${entry.url}` : '']
+            .filter(Boolean)
+            .join('\n\n');
+        if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+        if (entry.url) lines.push(`URL:${entry.url}`);
+        if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+        if (entry.organizer) lines.push(`ORGANIZER;CN=${quoteParam(entry.organizer.name)}:${entry.organizer.uri}`);
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Whether an entry has the dates needed to appear in a calendar
+     * @param {CalendarEntry} entry
+     * @returns {boolean}
+     */
+    function isSchedulable(entry) {
+        return isIsoDate(entry.startDate) && (!entry.endDate || isIsoDate(entry.endDate));
+    }
+
+    /**
+     * Build a complete VCALENDAR with a VTIMEZONE for every zone its entries use
+     * @param {CalendarEntry[]} entries
+     * @param {Object} [options]
+     * @param {string} [options.prodId]
+     * @param {string} [options.name] - Calendar name shown by subscribing clients
+     * @returns {string} CRLF-delimited, folded iCalendar text
+     */
+    function buildCalendar(entries, options = {}) {
+        const scheduled = entries.filter(isSchedulable);
+
+        // Each VTIMEZONE covers the years of the entries that use it
+        const zoneYears = new Map();
+        scheduled.forEach(entry => {
+            if (!entry.startTime || !entry.zone || entry.zone === 'UTC') return;
+            // A series that doesn't end needs the zone's rules through next year
+            const lastDate = Recurrence.lastOccurrence(entry) || `${new Date().getUTCFullYear() + 1}-12-31`;
+            const endDate = Recurrence.addDays(getEnd(entry).date, Recurrence.daysBetween(entry.startDate, lastDate));
+            const startYear = Number(entry.startDate.slice(0, 4));
+            const endYear = Number(endDate.slice(0, 4));
+            const range = zoneYears.get(entry.zone) || { from: startYear, to: endYear };
+            zoneYears.set(entry.zone, { from: Math.min(range.from, startYear), to: Math.max(range.to, endYear) });
+        });
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${options.prodId || '-//Internet Society//Opportunities//EN'}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+        Array.from(zoneYears.keys()).sort().forEach(zone => {
+            const range = zoneYears.get(zone);
+            lines.push(...Timezones.buildVTimezone(zone, range.from, range.to));
+        });
+        scheduled.forEach(entry => lines.push(...buildEvent(entry)));
+        lines.push('END:VCALENDAR');
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    // Web calendars take the details in a query string, so long descriptions are cut short
+    const MAX_LINK_DESCRIPTION = 1000;
+
+    function encodeQuery(params) {
+        return Object.keys(params)
+            .filter(key => params[key] !== null && params[key] !== undefined && params[key] !== '')
+            .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+            .join('&');
+    }
+
+    /**
+     * Start and end of an entry as ISO strings: dates for all-day entries (end
+     * exclusive), UTC instants when the zone is known, floating local times otherwise
+     * @param {CalendarEntry} entry
+     * @returns {{ allDay: boolean, start: string, end: string }}
+     */
+    function getRange(entry) {
+        if (!entry.startTime) {
+            const end = formatDate(entry.endDate || entry.startDate, 1);
+            return { allDay: true, start: entry.startDate, end: `${end.slice(0, 4)}-${end.slice(4, 6)}-${end.slice(6)}` };
+        }
+
+        const end = getEnd(entry);
+        const toIso = (date, time) => {
+            if (!entry.zone) return formatDateTime(date, time).replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6');
+            return Timezones.toUtc(date, time, entry.zone).toISOString().replace(/\.\d+/, '');
+        };
+        return { allDay: false, start: toIso(entry.startDate, entry.startTime), end: toIso(end.date, end.time) };
+    }
+
+    /**
+     * "Add to calendar" template links for web calendars
+     * @param {CalendarEntry} entry
+     * @returns {{ google: string, outlook: string, office365: string, yahoo: string }}
+     */
+    function buildCalendarLinks(entry) {
+        const range = getRange(entry);
+        const compact = value => value.replace(/[-:]/g, '');
+        let details = entry.description || '';
+        if (details.length > MAX_LINK_DESCRIPTION) {
+            details = `${details.slice(0, MAX_LINK_DESCRIPTION).replace(/\s+\S*$/, '')}…`;
+        }
+        details = [details, entry.url ? `More info: ${entry.url}` : ''].filter(Boolean).join('\n\n');
+
+        const outlookQuery = encodeQuery({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: entry.title,
+            startdt: range.start,
+            enddt: range.end,
+            allday: range.allDay ? 'true' : 'false',
+            body: details,
+            location: entry.location
+        });
+
+        return {
+            google: `https://calendar.google.com/calendar/render?${encodeQuery({
+                action: 'TEMPLATE',
+                text: entry.title,
+                dates: `${compact(range.start)}/${compact(range.end)}`,
+                details,
+                location: entry.location
+            })}`,
+            outlook: `https://outlook.live.com/calendar/0/action/compose?${outlookQuery}`,
+            office365: `https://outlook.office.com/calendar/0/action/compose?${outlookQuery}`,
+            // Yahoo takes an inclusive last day for all-day entries
+            yahoo: `https://calendar.yahoo.com/?${encodeQuery({
+                v: '60',
+                title: entry.title,
+                st: compact(range.start),
+                et: range.allDay ? formatDate(entry.endDate || entry.startDate) : compact(range.end),
+                dur: range.allDay ? 'allday' : null,
+                desc: details,
+                in_loc: entry.location
+            })}`
+        };
+    }
+
+    return {
+        SITE_URL,
+        escapeText,
+        foldLine,
+        normalizeWebUrl,
+        fromCommunityEvent,
+        fromOpportunity,
+        buildEvent,
+        buildCalendar,
+        getRange,
+        buildCalendarLinks
+    };
+});
@@ -0,0 +1,108 @@
+/**
+ * Stable identifiers for opportunities and community events.
+ *
+ * Shared by the dashboard (as window.ISOC.Ids) and the feed generators in
+ * scripts/ (via require), so permalinks in feeds resolve to the same item
+ * on the page.
+ */
+(function (root, factory) {
+    const ids = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = ids;
+    } else {
+        root.ISOC = root.ISOC || {};
+        root.ISOC.Ids = ids;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * 53-bit string hash (cyrb53), rendered as 12 hex characters
+     * @param {string} str
+     * @returns {string}
+     */
+    function hash(str) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < str.length; i++) {
+            const ch = str.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        const value = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+        return value.toString(16).padStart(14, '0').slice(-12);
+    }
+
+    /**
+     * Build an ID from the fields of a source row that don't change once it
+     * has been created: the Smartsheet row ID the import records, so fixing a
+     * title keeps the item's permalinks, shortlist entries and feed UIDs.
+     * Rows exported before the import recorded it fall back to the creation
+     * timestamp, which is only second-precise and shared by rows created in
+     * bulk, so the title disambiguates.
+     * @param {string} kind
+     * @param {number|string|null} rowId - Smartsheet row ID
+     * @param {string|null} creationDate
+     * @param {string} title
+     * @param {string|null} date - Used in place of the creation date when a row has none
+     * @returns {string}
+     */
+    function buildId(kind, rowId, creationDate, title, date) {
+        if (rowId !== null && rowId !== undefined && rowId !== '') {
+            return hash(`${kind}|row|${rowId}`);
+        }
+        const anchor = creationDate || date || '';
+        return hash(`${kind}|${anchor}|${(title || '').trim()}`);
+    }
+
+    /**
+     * ID for an opportunity, from either the raw Smartsheet row or the
+     * normalized object built by main.js
+     * @param {Object} item
+     * @returns {string}
+     */
+    function opportunityId(item) {
+        return buildId(
+            'opportunity',
+            item.row_id,
+            item['Creation date'] || item.creation_date || null,
+            item['Outreach Activity [Title]'] || item.title,
+            item.Date || item.date || null
+        );
+    }
+
+    /**
+     * ID for a community event
+     * @param {CommunityEvent} event
+     * @returns {string}
+     */
+    function eventId(event) {
+        return buildId('event', event.row_id, event.creationDate || null, event.title, event.startDate || null);
+    }
+
+    /**
+     * ID an opportunity had before the import recorded row IDs. Pages still
+     * resolve it, so links and saved shortlist entries from then keep working.
+     * @param {Object} item
+     * @returns {string}
+     */
+    function legacyOpportunityId(item) {
+        return opportunityId({ ...item, row_id: null });
+    }
+
+    /**
+     * ID a community event had before the import recorded row IDs
+     * @param {CommunityEvent} event
+     * @returns {string}
+     */
+    function legacyEventId(event) {
+        return eventId({ ...event, row_id: null });
+    }
+
+    return {
+        opportunityId,
+        eventId,
+        legacyOpportunityId,
+        legacyEventId
+    };
+});
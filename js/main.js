@@ -2,7 +2,8 @@
 // Author: ISOC Opportunities Dashboard
 //
 // This script loads data/opportunities.json, filters and displays opportunities
-// grouped by Type, and implements filtering by region, internet issue, and who can get involved.
+// grouped by Type, and implements filtering by region, internet issue, and who can get involved,
+// combined with a ranked full-text search (see js/search.js).
 
 // DOMContentLoaded ensures script runs after HTML is parsed
 document.addEventListener('DOMContentLoaded', function () {
@@ -13,15 +14,72 @@ document.addEventListener('DOMContentLoaded', function () {
     // Path to the opportunities data
     const DATA_PATH = 'data/opportunities.json';
 
+    // Deadlines this many days away or fewer get a countdown badge
+    const COUNTDOWN_DAYS = 14;
+    // Opportunities closing within this many days are also listed in the urgent
+    // section, whatever their Type; 0 leaves urgency to the sheet's Type alone
+    const URGENT_WINDOW_DAYS = 7;
+    const URGENT_TYPE = 'Urgent: Upcoming Deadlines';
+
+    // Opportunities added (NEW) or edited (UPDATED) within this many days get a badge
+    const NEW_BADGE_DAYS = 6;
+    const UPDATED_BADGE_DAYS = 6;
+
+    // Time of the previous visit, for highlighting what changed since. It's read
+    // once per session, so reloading the page keeps the highlights.
+    const LAST_VISIT_KEY = 'opportunitiesLastVisit';
+    const lastVisit = (() => {
+        try {
+            let baseline = sessionStorage.getItem(LAST_VISIT_KEY);
+            if (baseline === null) {
+                baseline = localStorage.getItem(LAST_VISIT_KEY) || '';
+                sessionStorage.setItem(LAST_VISIT_KEY, baseline);
+            }
+            localStorage.setItem(LAST_VISIT_KEY, new Date().toISOString());
+            const date = baseline ? new Date(baseline) : null;
+            return date && !isNaN(date.getTime()) ? date : null;
+        } catch (e) {
+            console.warn('Failed to read the last visit time', e);
+            return null;
+        }
+    })();
+
     // Store loaded data
     let allOpportunities = [];
     let filteredOpportunities = [];
     let filters = {
         region: null,
         issue: null,
-        who: null
+        who: null,
+        // Facets whose selected values must all apply; the others match any of them
+        matchAll: [],
+        // Deadline filter: { preset: 'week' | '30days' | 'ongoing' | 'custom', from, to } or null
+        date: null
+    };
+
+    // Deadline presets, in the order they appear in the filter panel
+    const DATE_PRESETS = {
+        week: 'Closing this week',
+        '30days': 'Next 30 days',
+        ongoing: 'Ongoing only',
+        custom: 'Custom range'
     };
 
+    // Sort orders; 'default' keeps the sheet order, or the ranking while searching
+    const SORT_ORDERS = ['default', 'deadline', 'newest', 'title'];
+    let sortOrder = 'default';
+
+    // Filter facets: the filters key, the opportunity field it matches and the
+    // container of its options in the filter panel
+    const FACETS = [
+        { key: 'region', field: 'region', selector: '.region-filters' },
+        { key: 'issue', field: 'internet_issue', selector: '.issue-filters' },
+        { key: 'who', field: 'who_can_get_involved', selector: '.role-filters' }
+    ];
+    // Free-text search query and the inverted index built from allOpportunities
+    let searchQuery = '';
+    let searchIndex = null;
+
     // Load filters from localStorage
     function loadFilters() {
         const savedFilters = localStorage.getItem('opportunityFilters');
@@ -29,18 +87,79 @@ document.addEventListener('DOMContentLoaded', function () {
             try {
                 const parsed = JSON.parse(savedFilters);
                 // Only load filters that match our expected structure
-                if (parsed.region || parsed.issue || parsed.who) {
-                    return {
-                        region: parsed.region || null,
-                        issue: parsed.issue || null,
-                        who: parsed.who || null
-                    };
+                if (parsed.region || parsed.issue || parsed.who || parsed.date) {
+                    return canonicalFilters(parsed);
                 }
             } catch (e) {
                 console.warn('Failed to parse saved filters', e);
             }
         }
-        return { region: null, issue: null, who: null };
+        return { region: null, issue: null, who: null, matchAll: [], date: null };
+    }
+
+    // Saved filters and shared links may use spellings from before the
+    // controlled vocabulary (e.g. "Latin America and The Caribbean").
+    // Shared links list "match all" facets as ?all=issue, saved filters as matchAll.
+    // The deadline filter is ?date=<preset>(&from=&to=) in links, an object when saved.
+    function canonicalFilters({ region, issue, who, matchAll, all, date, from, to }) {
+        const modes = matchAll || all || [];
+        return {
+            region: region && region.length ? ISOC.Vocabulary.regions(region) : null,
+            issue: issue || null,
+            who: who && who.length ? ISOC.Vocabulary.audiences(who) : null,
+            matchAll: FACETS.map(facet => facet.key).filter(key => modes.includes(key)),
+            date: canonicalDateFilter(typeof date === 'string' ? { preset: date, from, to } : date)
+        };
+    }
+
+    function canonicalDateFilter(date) {
+        if (!date || !DATE_PRESETS[date.preset]) return null;
+        if (date.preset !== 'custom') return { preset: date.preset };
+        const from = isIsoDate(date.from) ? date.from : null;
+        const to = isIsoDate(date.to) ? date.to : null;
+        return from || to ? { preset: 'custom', from, to } : null;
+    }
+
+    function isIsoDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    // Local calendar date, `days` days from today, as YYYY-MM-DD
+    function isoDateFromToday(days) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Whether an opportunity's deadline falls within the date filter. Expired
+    // opportunities only show up when a custom range reaches back to their deadline.
+    function matchesDate(o, date) {
+        const deadline = isIsoDate(o.date) ? o.date : null;
+        if (!date) return !o.expired;
+        switch (date.preset) {
+            case 'ongoing':
+                return !deadline;
+            case 'week':
+                return !!deadline && !o.expired && deadline <= isoDateFromToday(6);
+            case '30days':
+                return !!deadline && !o.expired && deadline <= isoDateFromToday(30);
+            case 'custom':
+                return !!deadline && (!date.from || deadline >= date.from) && (!date.to || deadline <= date.to);
+            default:
+                return !o.expired;
+        }
+    }
+
+    // Order opportunities for display; ties and missing values keep their current order
+    function sortOpportunities(opps) {
+        const compare = {
+            // Soonest deadline first, ongoing opportunities last
+            deadline: (a, b) => (isIsoDate(a.date) ? a.date : '9999').localeCompare(isIsoDate(b.date) ? b.date : '9999'),
+            // Most recently added first
+            newest: (a, b) => (b.creation_date || '').localeCompare(a.creation_date || ''),
+            title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' })
+        }[sortOrder];
+        return compare ? [...opps].sort(compare) : opps;
     }
 
     // Save filters to localStorage
@@ -52,63 +171,275 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
 
+    // Query string keys used for shareable links: repeatable facet values,
+    // plus the search query and view mode
+    const URL_LIST_KEYS = ['region', 'issue', 'who', 'all'];
+    const URL_SCALAR_KEYS = ['date', 'from', 'to', 'q', 'sort', 'view'];
+
+    // Reflect the current filters, search query and view mode in the URL
+    function updateUrl(options) {
+        const viewMode = localStorage.getItem('opportunitiesViewMode') || 'cards';
+        ISOC.Utils.writeUrlState({
+            region: filters.region,
+            issue: filters.issue,
+            who: filters.who,
+            all: filters.matchAll,
+            date: filters.date ? filters.date.preset : null,
+            from: filters.date ? filters.date.from : null,
+            to: filters.date ? filters.date.to : null,
+            q: searchQuery || null,
+            sort: sortOrder !== 'default' ? sortOrder : null,
+            view: viewMode !== 'cards' ? viewMode : null
+        }, options);
+    }
+
+    // Mark filter options and match toggles as selected to match the current filters
+    function syncFilterOptions() {
+        FACETS.forEach(facet => {
+            const values = filters[facet.key];
+            document.querySelectorAll(`${facet.selector} .filter-option`).forEach(option => {
+                const isSelected = !!values && values.includes(option.dataset.value);
+                option.classList.toggle('selected', isSelected);
+                option.setAttribute('aria-pressed', isSelected);
+            });
+            setMatchMode(facet.key, filters.matchAll.includes(facet.key) ? 'all' : 'any');
+        });
+        setDateOption(filters.date);
+        updateFilterCounts();
+    }
+
+    // Select a deadline preset in the filter panel and fill in its custom range
+    function setDateOption(date) {
+        document.querySelectorAll('.date-filters .filter-option').forEach(option => {
+            const isSelected = !!date && option.dataset.value === date.preset;
+            option.classList.toggle('selected', isSelected);
+            option.setAttribute('aria-pressed', isSelected);
+        });
+        const range = document.getElementById('date-range');
+        if (range) range.hidden = !date || date.preset !== 'custom';
+        const fromInput = document.getElementById('date-from');
+        const toInput = document.getElementById('date-to');
+        if (fromInput) fromInput.value = date && date.from ? date.from : '';
+        if (toInput) toInput.value = date && date.to ? date.to : '';
+    }
+
+    function setMatchMode(key, mode) {
+        document.querySelectorAll(`.match-toggle[data-facet="${key}"] button`).forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+        });
+    }
+
+    // Whether an opportunity matches the selected values of one facet
+    function matchesFacet(o, facet, values, matchAll) {
+        if (!values || values.length === 0) return true;
+        const field = o[facet.field];
+        return matchAll ? values.every(v => field.includes(v)) : values.some(v => field.includes(v));
+    }
+
+    // Selections in the filter panel, which only become the filters once applied
+    function readPendingFilters() {
+        const dateOption = document.querySelector('.date-filters .filter-option.selected');
+        const pending = {
+            matchAll: [],
+            date: dateOption ? canonicalDateFilter({
+                preset: dateOption.dataset.value,
+                from: (document.getElementById('date-from') || {}).value,
+                to: (document.getElementById('date-to') || {}).value
+            }) : null
+        };
+        FACETS.forEach(facet => {
+            pending[facet.key] = Array.from(document.querySelectorAll(`${facet.selector} .filter-option.selected`))
+                .map(el => el.dataset.value);
+            if (document.querySelector(`.match-toggle[data-facet="${facet.key}"] button[data-mode="all"][aria-pressed="true"]`)) {
+                pending.matchAll.push(facet.key);
+            }
+        });
+        return pending;
+    }
+
+    // Show next to each filter option how many opportunities the panel's selection
+    // would yield with that option selected, and disable options that would yield none
+    function updateFilterCounts() {
+        const pending = readPendingFilters();
+        const pool = searchQuery
+            ? ISOC.Search.search(searchIndex, searchQuery).map(result => result.item)
+            : allOpportunities;
+
+        const matchesFacets = (o, except) => FACETS.every(facet => facet === except ||
+            matchesFacet(o, facet, pending[facet.key], pending.matchAll.includes(facet.key)));
+
+        FACETS.forEach(facet => {
+            const matchAll = pending.matchAll.includes(facet.key);
+            const others = pool.filter(o => matchesFacets(o, facet) && matchesDate(o, pending.date));
+
+            document.querySelectorAll(`${facet.selector} .filter-option`).forEach(option => {
+                const value = option.dataset.value;
+                const isSelected = pending[facet.key].includes(value);
+                // With "all", the option narrows the values already selected; with "any", it stands alone
+                const values = isSelected ? pending[facet.key] : [...pending[facet.key], value];
+                const count = matchAll
+                    ? others.filter(o => matchesFacet(o, facet, values, true)).length
+                    : others.filter(o => o[facet.field].includes(value)).length;
+                option.querySelector('.filter-option-count').textContent = count;
+                option.disabled = count === 0 && !isSelected;
+                option.setAttribute('aria-label', `${value}, ${count} opportunit${count !== 1 ? 'ies' : 'y'}`);
+            });
+        });
+
+        // Deadline presets are exclusive, so each counts on its own
+        const datePool = pool.filter(o => matchesFacets(o, null));
+        document.querySelectorAll('.date-filters .filter-option').forEach(option => {
+            const preset = option.dataset.value;
+            const date = preset === 'custom'
+                ? (pending.date && pending.date.preset === 'custom' ? pending.date : null)
+                : { preset };
+            const countEl = option.querySelector('.filter-option-count');
+            // A custom range has nothing to count until one of its ends is set
+            if (preset === 'custom' && !date) {
+                countEl.textContent = '';
+                return;
+            }
+            const count = datePool.filter(o => matchesDate(o, date)).length;
+            const isSelected = !!pending.date && pending.date.preset === preset;
+            countEl.textContent = count;
+            option.disabled = count === 0 && !isSelected;
+            option.setAttribute('aria-label', `${DATE_PRESETS[preset]}, ${count} opportunit${count !== 1 ? 'ies' : 'y'}`);
+        });
+    }
+
     // Check if a date string is in the past
     // Uses ISOC.Utils.isDateInPast
 
-    // Check if an opportunity is new (added within the past 6 days)
-    function isOpportunityNew(creationDateString) {
-        if (!creationDateString || typeof creationDateString !== 'string') return false;
+    // Check if a timestamp falls within the past `days` days
+    function isWithinDays(timestamp, days) {
+        if (!timestamp || typeof timestamp !== 'string') return false;
 
         try {
-            const creationDate = new Date(creationDateString);
-            if (isNaN(creationDate.getTime())) return false; // Invalid date
+            const date = new Date(timestamp);
+            if (isNaN(date.getTime())) return false; // Invalid date
 
             const now = new Date();
-            const sixDaysAgo = new Date(now.getTime() - (6 * 24 * 60 * 60 * 1000));
+            const windowStart = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
 
-            return creationDate >= sixDaysAgo;
+            return date >= windowStart;
         } catch (e) {
-            console.warn('Error parsing creation date:', creationDateString, e);
+            console.warn('Error parsing timestamp:', timestamp, e);
             return false;
         }
     }
 
+    // Check if an opportunity is new (added within the past NEW_BADGE_DAYS days)
+    function isOpportunityNew(creationDateString) {
+        return isWithinDays(creationDateString, NEW_BADGE_DAYS);
+    }
+
+    // Check if an existing opportunity was edited recently. The import only moves
+    // updated_at past the creation date when a substantive field changes.
+    function isOpportunityUpdated(o) {
+        if (!o.updated_at || !o.creation_date) return false;
+        return new Date(o.updated_at) > new Date(o.creation_date) && isWithinDays(o.updated_at, UPDATED_BADGE_DAYS);
+    }
+
+    // NEW or UPDATED badge; NEW wins when an item was edited soon after being added
+    function renderFreshnessPill(o) {
+        if (isOpportunityNew(o.creation_date)) return '<span class="new-pill">NEW</span>';
+        if (isOpportunityUpdated(o)) return '<span class="new-pill updated-pill">UPDATED</span>';
+        return '';
+    }
+
+    // Check if an opportunity was added or edited after the previous visit
+    function isChangedSinceLastVisit(o) {
+        if (!lastVisit) return false;
+        return [o.creation_date, o.updated_at].some(timestamp => timestamp && new Date(timestamp) > lastVisit);
+    }
+
+    // "3 opportunities added or updated since your last visit" under the search bar
+    function renderLastVisitSummary(opps) {
+        const summary = document.getElementById('last-visit-summary');
+        if (!summary) return;
+        const count = opps.filter(isChangedSinceLastVisit).length;
+        summary.hidden = count === 0;
+        summary.innerHTML = count === 0 ? '' : `<i class="fa-solid fa-circle" aria-hidden="true"></i> ${count} opportunit${count !== 1 ? 'ies' : 'y'} added or updated since your last visit on ${ISOC.Utils.formatDate(lastVisit.toISOString())}`;
+    }
+
+    // Days from today until a YYYY-MM-DD deadline (0 means today), or null for
+    // ongoing or unparseable dates
+    function getDaysRemaining(dateString) {
+        if (!dateString || typeof dateString !== 'string') return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) return null;
+
+        try {
+            const [year, month, day] = dateString.split('-').map(Number);
+            const deadline = new Date(year, month - 1, day);
+            if (isNaN(deadline.getTime())) return null; // Invalid date
+
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            // Round to absorb daylight-saving shifts between the two midnights
+            return Math.round((deadline - today) / (24 * 60 * 60 * 1000));
+        } catch (e) {
+            console.warn('Error parsing deadline:', dateString, e);
+            return null;
+        }
+    }
+
+    // Whether an opportunity closes within the urgent window
+    function isClosingSoon(o) {
+        const days = getDaysRemaining(o.date);
+        return URGENT_WINDOW_DAYS > 0 && days !== null && days >= 0 && days <= URGENT_WINDOW_DAYS;
+    }
+
+    // Section an opportunity is listed under: its Type, unless it closes within
+    // the urgent window and so is promoted to the urgent section
+    function getSectionType(o) {
+        return isClosingSoon(o) ? URGENT_TYPE : o.Type;
+    }
+
+    // "Closes today" / "Closes in 3 days" badge for a deadline within COUNTDOWN_DAYS
+    function renderCountdownPill(o) {
+        const days = getDaysRemaining(o.date);
+        if (days === null || days < 0 || days > COUNTDOWN_DAYS) return '';
+        const label = days === 0 ? 'Closes today' : days === 1 ? 'Closes tomorrow' : `Closes in ${days} days`;
+        return `<span class="countdown-pill${isClosingSoon(o) ? ' urgent' : ''}">${label}</span>`;
+    }
+
     // Fetch opportunities data
     async function fetchOpportunities() {
         try {
             const response = await fetch(DATA_PATH);
             const data = await response.json();
+            // Offline, the service worker answers with its cached copy; note how old it is
+            ISOC.Offline.noteData(response);
             // Normalize property names for each opportunity
             return data.map(item => ({
+                id: ISOC.Ids.opportunityId(item),
+                legacy_id: ISOC.Ids.legacyOpportunityId(item),
                 title: item["Outreach Activity [Title]"] || item.title || '',
                 action_text: item["Action [CTA]"] || item.action_text || '',
                 link: item["Link"] || item.link || '',
                 opportunity_description: item["Opportunity [Description]"] || item.opportunity_description || '',
                 why_it_matters: item["Why It Matters"] || item.why_it_matters || '',
-                who_can_get_involved: (() => {
-                    const value = item["Who Can Get Involved"] || item.who_can_get_involved;
-                    if (!value) return [];
-                    if (Array.isArray(value)) return value;
-                    return value.split(',').map(s => s.trim()).filter(Boolean);
-                })(),
+                who_can_get_involved: ISOC.Vocabulary.audiences(item["Who Can Get Involved"] || item.who_can_get_involved),
                 internet_issue: (() => {
                     const value = item["Internet Issue"] || item.internet_issue;
                     if (!value) return [];
                     if (Array.isArray(value)) return value;
                     return value.split(',').map(s => s.trim()).filter(Boolean);
                 })(),
-                region: item["Region"] || item.region || '',
+                // Comma-joined cells such as "Africa, Europe, Global" become one entry per region
+                region: ISOC.Vocabulary.regions(item["Region"] || item.region),
                 Type: item["Type"] || item.Type || '',
                 date: item["Deadline"] || item["Date"] || item.date || null,
                 archived: item["Archived"] || item.archived || null,
-                creation_date: item["Creation date"] || item.creation_date || null
+                creation_date: item["Creation date"] || item.creation_date || null,
+                updated_at: item.updated_at || null,
+                // Past deadlines are hidden unless a custom date range asks for them
+                expired: ISOC.Utils.isDateInPast(item["Deadline"] || item["Date"] || item.date || null)
             }))
-                // Filter out archived, no-title, or past-dated opportunities (unless marked as "Ongoing")
-                .filter(item => {
-                    if (!item.title || item.archived) return false;
-                    if (item.date && ISOC.Utils.isDateInPast(item.date)) return false;
-                    return true;
-                });
+                // Filter out no-title opportunities; archived ones are dropped in init
+                // once the shortlist has seen them
+                .filter(item => item.title);
         } catch (error) {
             console.error('Error fetching opportunities:', error);
             throw error;
@@ -120,7 +451,7 @@ document.addEventListener('DOMContentLoaded', function () {
         if (!nav) return;
 
         // Get unique types and sort them with Urgent first and Ongoing last
-        const types = [...new Set(opportunities.map(opp => opp.Type).filter(Boolean))];
+        const types = [...new Set(opportunities.map(getSectionType).filter(Boolean))];
         types.sort((a, b) => {
             if (a.toLowerCase().includes('urgent')) return -1;
             if (b.toLowerCase().includes('urgent')) return 1;
@@ -360,27 +691,48 @@ document.addEventListener('DOMContentLoaded', function () {
     // Initialize the application
     async function init() {
         try {
-            const opportunities = await fetchOpportunities();
+            const fetched = await fetchOpportunities();
+            const opportunities = fetched.filter(o => !o.archived);
             allOpportunities = opportunities;
+
+            // Saved opportunities that were archived or taken off the sheet stay on the shortlist, marked as such
+            ISOC.Shortlist.connect('opportunity', id => {
+                const opportunity = allOpportunities.find(o => o.id === id);
+                return opportunity ? toShortlistItem(opportunity) : null;
+            }, fetched.filter(o => o.archived).map(o => o.id), getLegacyIds(fetched));
             filteredOpportunities = [...allOpportunities];
+            searchIndex = ISOC.Search.buildIndex(allOpportunities);
+
+            // Load filters before rendering: a shared link's query string takes
+            // precedence over the filters saved in localStorage
+            const urlState = ISOC.Utils.readUrlState(URL_LIST_KEYS, URL_SCALAR_KEYS);
+            const urlHasFilters = URL_LIST_KEYS.some(key => urlState[key]) || urlState.date || urlState.q;
+            filters = urlHasFilters
+                ? canonicalFilters(urlState)
+                : loadFilters();
+            searchQuery = urlState.q || '';
+            if (urlState.view) {
+                localStorage.setItem('opportunitiesViewMode', urlState.view);
+            }
+            if (urlState.sort) {
+                localStorage.setItem('opportunitiesSort', urlState.sort);
+            }
+            sortOrder = readSortOrder();
 
-            // Load saved filters before rendering
-            filters = loadFilters();
+            const currentOpportunities = opportunities.filter(o => !o.expired);
+            renderNavigation(currentOpportunities);
+            renderLastVisitSummary(currentOpportunities);
+            renderFilters(currentOpportunities);
+            initializeSearch();
+            initializeSort();
 
-            renderNavigation(opportunities);
-            renderFilters(opportunities);
+            // Apply any saved filters, search query and sort order (applyFilters also shows the filter badges)
+            applyFilters();
 
-            // Apply any saved filters
-            if (filters.region || filters.issue || filters.who) {
-                applyFilters();
-                // Show filter badges immediately if filters are active
-                const filterBadge = document.getElementById('filter-badge');
-                const headerFilterBadge = document.getElementById('header-filter-badge');
-                if (filterBadge) filterBadge.style.display = 'block';
-                if (headerFilterBadge) headerFilterBadge.style.display = 'block';
-            } else {
-                renderSectionsByType(opportunities);
-            }
+            // Open the detail view if the page was loaded from a permalink, then
+            // make the current state shareable without adding a history entry
+            openOpportunityFromUrl();
+            updateUrl({ replace: true });
 
             // Initialize view toggle after sections are rendered
             initializeViewToggle();
@@ -541,13 +893,13 @@ document.addEventListener('DOMContentLoaded', function () {
             }
         } catch (error) {
             console.error('Error initializing application:', error);
-            container.innerHTML = '<p>Error loading opportunities. Please try again later.</p>';
+            container.innerHTML = `<p>${ISOC.Offline.loadErrorMessage('opportunities')}</p>`;
         }
     }
 
     // Render the top menu by Type
     function renderMenuByType(opps) {
-        const types = Array.from(new Set(opps.map(o => o.Type))).filter(Boolean);
+        const types = Array.from(new Set(opps.map(getSectionType))).filter(Boolean);
         nav.innerHTML = types.map(type => `<a href="#${ISOC.Utils.slugify(type)}">${type}</a>`).join('');
     }
 
@@ -564,24 +916,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Select filter options based on saved filters
         function selectSavedFilters() {
-            if (filters.region) {
-                filters.region.forEach(value => {
-                    const option = document.querySelector(`.region-filters .filter-option[data-value="${value}"]`);
-                    if (option) option.classList.add('selected');
-                });
-            }
-            if (filters.issue) {
-                filters.issue.forEach(value => {
-                    const option = document.querySelector(`.issue-filters .filter-option[data-value="${value}"]`);
-                    if (option) option.classList.add('selected');
-                });
-            }
-            if (filters.who) {
-                filters.who.forEach(value => {
-                    const option = document.querySelector(`.role-filters .filter-option[data-value="${value}"]`);
-                    if (option) option.classList.add('selected');
-                });
-            }
+            syncFilterOptions();
 
             // Update the selected arrays to match the UI
             updateActiveFilters();
@@ -601,17 +936,29 @@ document.addEventListener('DOMContentLoaded', function () {
         function createFilterOption(value, type) {
             const option = document.createElement('button');
             option.className = `filter-option ${type}`;
-            option.textContent = value;
+            option.innerHTML = '<span class="filter-option-label"></span> <span class="filter-option-count"></span>';
+            option.querySelector('.filter-option-label').textContent = value;
             option.dataset.value = value;
             option.setAttribute('aria-pressed', 'false');
             option.addEventListener('click', () => {
                 option.classList.toggle('selected');
                 option.setAttribute('aria-pressed', option.classList.contains('selected'));
                 updateActiveFilters();
+                updateFilterCounts();
             });
             return option;
         }
 
+        // "Any" / "All" toggles for how the selected values of a facet combine
+        document.querySelectorAll('.match-toggle').forEach(toggle => {
+            toggle.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-mode]');
+                if (!button) return;
+                setMatchMode(toggle.dataset.facet, button.dataset.mode);
+                updateFilterCounts();
+            });
+        });
+
         // Populate filter sections
         const regionContainer = document.querySelector('.region-filters');
         regions.forEach(region => {
@@ -628,6 +975,25 @@ document.addEventListener('DOMContentLoaded', function () {
             roleContainer.appendChild(createFilterOption(role, 'role'));
         });
 
+        // Deadline presets are exclusive: selecting one clears the others
+        const dateContainer = document.querySelector('.date-filters');
+        if (dateContainer) {
+            Object.entries(DATE_PRESETS).forEach(([preset, label]) => {
+                const option = createFilterOption(label, 'date');
+                option.dataset.value = preset;
+                option.addEventListener('click', () => {
+                    const isSelected = option.classList.contains('selected');
+                    setDateOption(isSelected ? { preset } : null);
+                    if (isSelected && preset === 'custom') document.getElementById('date-from').focus();
+                    updateFilterCounts();
+                });
+                dateContainer.appendChild(option);
+            });
+            document.querySelectorAll('#date-range input').forEach(input => {
+                input.addEventListener('change', updateFilterCounts);
+            });
+        }
+
         // Select any saved filters after populating the UI
         selectSavedFilters();
 
@@ -656,7 +1022,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Function to update active filters count
         function updateActiveFiltersCount() {
-            const activeFilterCount = [filters.region, filters.issue, filters.who]
+            const activeFilterCount = [filters.region, filters.issue, filters.who, filters.date]
                 .filter(Boolean).length;
 
             const indicatorText = activeFilterCount > 0
@@ -668,12 +1034,18 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Apply filters
         document.getElementById('apply-filters').addEventListener('click', () => {
+            // Options may have been re-selected from the URL since the last click
+            updateActiveFilters();
             filters.region = selectedRegions.length ? selectedRegions : null;
             filters.issue = selectedIssues.length ? selectedIssues : null;
             filters.who = selectedRoles.length ? selectedRoles : null;
+            const pending = readPendingFilters();
+            filters.matchAll = pending.matchAll;
+            filters.date = pending.date;
 
-            // Save filters to localStorage
+            // Save filters to localStorage and the URL
             saveFilters();
+            updateUrl();
 
             // Close the filter dialog
             filterSection.style.display = 'none';
@@ -696,9 +1068,14 @@ document.addEventListener('DOMContentLoaded', function () {
             filters.region = null;
             filters.issue = null;
             filters.who = null;
+            filters.matchAll = [];
+            filters.date = null;
+            FACETS.forEach(facet => setMatchMode(facet.key, 'any'));
+            setDateOption(null);
 
             // Clear saved filters
             localStorage.removeItem('opportunityFilters');
+            updateUrl();
 
             // Close the filter dialog
             filterSection.style.display = 'none';
@@ -711,32 +1088,92 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
+    // Wire up the search box so typing narrows the current results
+    function initializeSearch() {
+        const searchInput = document.getElementById('opportunity-search');
+        if (!searchInput) return;
+
+        searchInput.value = searchQuery;
+
+        // One history entry per search: the first keystroke adds it, later ones
+        // update it until the input is committed (Enter or blur)
+        let debounceTimer;
+        let historyEntryAdded = false;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => {
+                const query = searchInput.value.trim();
+                if (query === searchQuery) return;
+                searchQuery = query;
+                applyFilters();
+                updateUrl({ replace: historyEntryAdded });
+                historyEntryAdded = true;
+            }, 200);
+        });
+        searchInput.addEventListener('change', () => {
+            historyEntryAdded = false;
+        });
+    }
+
+    function readSortOrder() {
+        const saved = localStorage.getItem('opportunitiesSort');
+        return SORT_ORDERS.includes(saved) ? saved : 'default';
+    }
+
+    // Wire up the sort selector; the order applies to the cards and table of every section
+    function initializeSort() {
+        const sortSelect = document.getElementById('sort-select');
+        if (!sortSelect) return;
+
+        sortSelect.value = sortOrder;
+        sortSelect.addEventListener('change', () => {
+            sortOrder = SORT_ORDERS.includes(sortSelect.value) ? sortSelect.value : 'default';
+            localStorage.setItem('opportunitiesSort', sortOrder);
+            applyFilters();
+            updateUrl();
+        });
+    }
+
+    // Restore filters, search and view mode when moving through history
+    window.addEventListener('popstate', () => {
+        const urlState = ISOC.Utils.readUrlState(URL_LIST_KEYS, URL_SCALAR_KEYS);
+        filters = canonicalFilters(urlState);
+        searchQuery = urlState.q || '';
+        saveFilters();
+        localStorage.setItem('opportunitiesViewMode', urlState.view || 'cards');
+        localStorage.setItem('opportunitiesSort', urlState.sort || 'default');
+        sortOrder = readSortOrder();
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) sortSelect.value = sortOrder;
+
+        const searchInput = document.getElementById('opportunity-search');
+        if (searchInput) searchInput.value = searchQuery;
+        syncFilterOptions();
+        applyFilters();
+    });
+
     // Apply filters and re-render sections
     function applyFilters() {
-        filteredOpportunities = allOpportunities.filter(o => {
-            // Check region filter
-            const regionMatch = !filters.region ||
-                (Array.isArray(o.region)
-                    ? o.region.some(r => filters.region.includes(r))
-                    : filters.region.includes(o.region));
-
-            // Check issue filter
-            const issueMatch = !filters.issue ||
-                (Array.isArray(o.internet_issue)
-                    ? o.internet_issue.some(i => filters.issue.includes(i))
-                    : filters.issue.includes(o.internet_issue));
-
-            // Check who can get involved filter - now always an array
-            const whoMatch = !filters.who ||
-                o.who_can_get_involved.some(w => filters.who.includes(w));
-
-            return regionMatch && issueMatch && whoMatch;
-        });
+        // Every facet must match; within a facet, any or all of the selected values
+        const facetMatches = allOpportunities.filter(o => matchesDate(o, filters.date) && FACETS.every(facet =>
+            matchesFacet(o, facet, filters[facet.key], filters.matchAll.includes(facet.key))));
+
+        // Combine with the search query, keeping the ranked order of matches
+        if (searchQuery) {
+            const facetSet = new Set(facetMatches);
+            filteredOpportunities = ISOC.Search.search(searchIndex, searchQuery)
+                .map(result => result.item)
+                .filter(item => facetSet.has(item));
+        } else {
+            filteredOpportunities = facetMatches;
+        }
+        filteredOpportunities = sortOpportunities(filteredOpportunities);
+        updateFilterCounts();
 
         // Show/hide filter badges based on active filters
         const filterBadge = document.getElementById('filter-badge');
         const headerFilterBadge = document.getElementById('header-filter-badge');
-        const hasActiveFilters = filters.region || filters.issue || filters.who;
+        const hasActiveFilters = filters.region || filters.issue || filters.who || filters.date;
 
         if (filterBadge) {
             if (hasActiveFilters) {
@@ -779,23 +1216,11 @@ document.addEventListener('DOMContentLoaded', function () {
         if (e.target.closest('.add-to-calendar')) {
             e.preventDefault();
             const link = e.target.closest('.add-to-calendar');
-            const title = link.getAttribute('data-title');
-            const dateStr = link.getAttribute('data-date');
-            const description = link.getAttribute('data-description');
-            const whyItMatters = link.getAttribute('data-why-it-matters') || '';
-            const eventLink = link.getAttribute('data-link') || window.location.href;
-
-            const icsContent = ISOC.Utils.generateICS({
-                title: title,
-                description: description + (whyItMatters ? '\n\nWhy it matters: ' + whyItMatters : ''),
-                startDate: dateStr,
-                startTime: hasTime ? dateStr.split(' ')[1] : null, // Assuming dateStr might contain time or we use original logic?
-                // Wait, logic above was parsing dateStr. Let's check how dateStr is passed.
-                // It comes from data-date attribute.
-                url: eventLink
-            });
+            const opportunity = allOpportunities.find(o => o.id === link.getAttribute('data-opportunity-id'));
+            if (!opportunity) return;
 
-            ISOC.Utils.downloadFile(icsContent, `event-${ISOC.Utils.slugify(title)}.ics`, 'text/calendar;charset=utf-8');
+            // Same entry as in the opportunities calendar feed
+            ISOC.CalendarMenu.toggle(link, toCalendarEntry(opportunity));
         }
     });
 
@@ -836,8 +1261,9 @@ document.addEventListener('DOMContentLoaded', function () {
                 }
             });
 
-            // Save preference to localStorage
+            // Save preference to localStorage and the URL
             localStorage.setItem('opportunitiesViewMode', viewMode);
+            updateUrl();
         };
 
         // Handle toggle clicks with delegation
@@ -879,7 +1305,7 @@ document.addEventListener('DOMContentLoaded', function () {
             noResults.className = 'no-results';
             noResults.innerHTML = `
                 <div class="no-results-content">
-                    <h3>No opportunities match your current preferences</h3>
+                    <h3>${searchQuery ? `No opportunities match “${ISOC.Search.escapeHtml(searchQuery)}” with your current preferences` : 'No opportunities match your current preferences'}</h3>
                     <button id="reset-filters-btn" class="btn btn-primary">
                         <i class="fas fa-filter"></i> Reset filters
                     </button>
@@ -898,6 +1324,11 @@ document.addEventListener('DOMContentLoaded', function () {
                         noResults.remove();
                     }
 
+                    // Clear the search query as well so everything is shown again
+                    const searchInput = document.getElementById('opportunity-search');
+                    if (searchInput) searchInput.value = '';
+                    searchQuery = '';
+
                     // Find and click the actual reset button in the filter panel
                     const resetButton = document.getElementById('reset-filters');
                     if (resetButton) {
@@ -908,9 +1339,11 @@ document.addEventListener('DOMContentLoaded', function () {
                         filters.region = null;
                         filters.issue = null;
                         filters.who = null;
+                        filters.matchAll = [];
+                        filters.date = null;
                         localStorage.removeItem('opportunityFilters');
-                        // Re-render all opportunities
-                        filteredOpportunities = [...allOpportunities];
+                        // Re-render all current opportunities
+                        filteredOpportunities = allOpportunities.filter(o => !o.expired);
                         renderSectionsByType(filteredOpportunities);
                     }
                 });
@@ -922,7 +1355,7 @@ document.addEventListener('DOMContentLoaded', function () {
             if (filterBadge) {
                 filterBadge.style.display = 'block';
                 // Update the badge count to show number of active filters
-                const activeFilterCount = [filters.region, filters.issue, filters.who].filter(Boolean).length;
+                const activeFilterCount = [filters.region, filters.issue, filters.who, filters.date].filter(Boolean).length;
                 if (filterBadge.querySelector('span')) {
                     filterBadge.querySelector('span').textContent = activeFilterCount;
                 }
@@ -935,7 +1368,7 @@ document.addEventListener('DOMContentLoaded', function () {
         }
 
         // Get unique types and sort them with Urgent first and Ongoing last
-        const types = Array.from(new Set(opps.map(o => o.Type))).filter(Boolean);
+        const types = Array.from(new Set(opps.map(getSectionType))).filter(Boolean);
         types.sort((a, b) => {
             if (a.toLowerCase().includes('urgent')) return -1;
             if (b.toLowerCase().includes('urgent')) return 1;
@@ -950,7 +1383,7 @@ document.addEventListener('DOMContentLoaded', function () {
             section.id = ISOC.Utils.slugify(type);
 
             // Get opportunities for this type
-            const typeOpportunities = opps.filter(o => o.Type === type);
+            const typeOpportunities = opps.filter(o => getSectionType(o) === type);
             const isEventsSection = type.toLowerCase().includes('event');
 
             // Determine icon based on section type
@@ -1025,6 +1458,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
         opportunities.forEach(opp => {
             const row = document.createElement('tr');
+            row.dataset.opportunityId = opp.id;
 
             // Title column with link and categories
             const titleCell = document.createElement('td');
@@ -1034,8 +1468,7 @@ document.addEventListener('DOMContentLoaded', function () {
             const titleContainer = document.createElement('div');
             titleContainer.className = 'title-container';
 
-            // Check if this opportunity is new and create NEW pill
-            const isNew = isOpportunityNew(opp.creation_date);
+            if (isChangedSinceLastVisit(opp)) row.classList.add('since-last-visit');
 
             // Add title link or span
             if (opp.link) {
@@ -1043,30 +1476,20 @@ document.addEventListener('DOMContentLoaded', function () {
                 titleLink.href = opp.link;
                 titleLink.target = '_blank';
                 titleLink.rel = 'noopener noreferrer';
-                titleLink.textContent = opp.title;
+                titleLink.innerHTML = ISOC.Search.highlight(opp.title, searchQuery);
                 titleLink.className = 'title-link';
 
-                // Add NEW pill if the opportunity is new
-                if (isNew) {
-                    const newPill = document.createElement('span');
-                    newPill.className = 'new-pill';
-                    newPill.textContent = 'NEW';
-                    titleLink.appendChild(newPill);
-                }
+                // Add NEW or UPDATED pill if the opportunity is new or was edited recently
+                titleLink.insertAdjacentHTML('beforeend', renderFreshnessPill(opp));
 
                 titleContainer.appendChild(titleLink);
             } else {
                 const titleSpan = document.createElement('span');
                 titleSpan.className = 'title-text';
-                titleSpan.textContent = opp.title;
-
-                // Add NEW pill if the opportunity is new
-                if (isNew) {
-                    const newPill = document.createElement('span');
-                    newPill.className = 'new-pill';
-                    newPill.textContent = 'NEW';
-                    titleSpan.appendChild(newPill);
-                }
+                titleSpan.innerHTML = ISOC.Search.highlight(opp.title, searchQuery);
+
+                // Add NEW or UPDATED pill if the opportunity is new or was edited recently
+                titleSpan.insertAdjacentHTML('beforeend', renderFreshnessPill(opp));
 
                 titleContainer.appendChild(titleSpan);
             }
@@ -1076,10 +1499,10 @@ document.addEventListener('DOMContentLoaded', function () {
             categoriesContainer.className = 'table-categories';
 
             // Add region if available
-            if (opp.region) {
+            if (opp.region.length > 0) {
                 const regionPill = document.createElement('span');
                 regionPill.className = 'table-category region';
-                regionPill.textContent = opp.region;
+                regionPill.textContent = opp.region.join(', ');
                 categoriesContainer.appendChild(regionPill);
             }
 
@@ -1106,9 +1529,19 @@ document.addEventListener('DOMContentLoaded', function () {
 
             // Description column (full text)
             const descCell = document.createElement('td');
-            descCell.textContent = opp.opportunity_description || '';
+            descCell.innerHTML = ISOC.Search.highlight(opp.opportunity_description, searchQuery);
             row.appendChild(descCell);
 
+            // Link to the opportunity's detail view
+            const permalink = document.createElement('a');
+            permalink.href = `#opp/${opp.id}`;
+            permalink.className = 'table-permalink';
+            permalink.title = 'Details and link to this opportunity';
+            permalink.setAttribute('aria-label', `Details for ${opp.title}`);
+            permalink.innerHTML = '<i class="fa-solid fa-link"></i>';
+            titleContainer.appendChild(permalink);
+            titleContainer.insertAdjacentHTML('beforeend', ISOC.Shortlist.renderToggle('opportunity', opp.id, opp.title, 'table-save-toggle'));
+
             // Date column
             const dateCell = document.createElement('td');
             if (opp.date) {
@@ -1117,6 +1550,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 if (ISOC.Utils.isDateInPast(opp.date)) {
                     dateCell.innerHTML += ' <span class="date-past">(Expired)</span>';
                 }
+                dateCell.insertAdjacentHTML('beforeend', renderCountdownPill(opp));
             } else {
                 dateCell.textContent = 'Ongoing';
             }
@@ -1133,101 +1567,27 @@ document.addEventListener('DOMContentLoaded', function () {
         return container;
     }
 
-    // Render a single opportunity card with icons, tags, and structure matching the static version
+    // Render a single opportunity card with the dashboard's badges and actions
+    // (the markup is shared with the embeddable widget)
     function renderOpportunityCard(o) {
-        // Generate a unique ID for the modal
-        const modalId = `audience-modal-${Math.random().toString(36).substr(2, 9)}`;
-
-        // Check if this opportunity is new (within 6 days)
-        const isNew = isOpportunityNew(o.creation_date);
-        const newPill = isNew ? '<span class="new-pill">NEW</span>' : '';
-
-        // Format tags for region and internet issue
-        const tags = [];
-        if (o.region) tags.push(`<span class="tag tag-region"><i class="fa-solid fa-map-marker-alt"></i> ${o.region}</span>`);
-        if (o.internet_issue && o.internet_issue.length > 0) {
-            o.internet_issue.forEach(issue => {
-                tags.push(`<span class="tag tag-issue"><i class="fa-solid fa-globe"></i> ${issue}</span>`);
-            });
-        }
-
-        const tagsHtml = tags.length ? `<div class="card-tags">${tags.join('')}</div>` : '';
-
-        const date = o.date ?
-            `<li class="date">
-                <i class="icon fa-regular fa-calendar"></i>
-                <div>
-                    <strong>Date:</strong>
-                    <span class="date-date">${ISOC.Utils.formatDate(o.date)}</span>
-                </div>
-            </li>` : '';
-
-        // Format opportunity description
-        const description = o.opportunity_description ?
-            `<li><i class="icon fa-solid fa-bullseye"></i><strong>Opportunity:</strong> ${o.opportunity_description}</li>` : '';
-
-        // Format why it matters
-        const whyItMatters = o.why_it_matters ?
-            `<li><i class="icon fa-solid fa-lightbulb"></i><strong>Why It Matters:</strong> ${o.why_it_matters}</li>` : '';
-
         // Add calendar icon only for event-type opportunities
         const calendarIcon = (o.Type && o.Type.toLowerCase().includes('event') && o.date && o.date !== 'Ongoing') ?
-            `<a href="#" class="add-to-calendar" 
-                data-title="${o.title}" 
-                data-date="${o.date}" 
-                data-description="${o.opportunity_description || ''}"
-                data-why-it-matters="${o.why_it_matters || ''}"
-                data-link="${o.link || ''}">
+            `<a href="#" class="add-to-calendar" data-opportunity-id="${o.id}" role="button" aria-haspopup="menu" aria-expanded="false" aria-label="Add to calendar">
                 <i class="fas fa-calendar-plus" title="Add to calendar"></i>
             </a>` : '';
 
-        return `
-            <div class="action-card">
-                <div class="card-header">
-                    <h3>${o.link ? `<a href="${o.link}" target="_blank" rel="noopener noreferrer" class="card-title-link">${o.title}</a>` : o.title}${newPill}</h3>
-                    ${calendarIcon}
-                </div>
-                ${tagsHtml}
-                <ul>
-                    ${date}
-                    ${description}
-                    ${whyItMatters}
-                </ul>
-                <div class="card-footer">
-                    ${o.link ? `<a href="${o.link}" target="_blank" rel="noopener noreferrer" class="cta-button">
-                        <i class="icon fa-solid ${o.action_text.toLowerCase().includes('sign') ? 'fa-pen-to-square' :
-                    o.action_text.toLowerCase().includes('submit') ? 'fa-file-lines' :
-                        o.action_text.toLowerCase().includes('apply') ? 'fa-user-plus' :
-                            o.action_text.toLowerCase().includes('register') ? 'fa-right-to-bracket' :
-                                o.action_text.toLowerCase().includes('learn') ? 'fa-circle-info' :
-                                    o.action_text.toLowerCase().includes('express') ? 'fa-handshake-angle' :
-                                        o.action_text.toLowerCase().includes('nominate') ? 'fa-award' :
-                                            'fa-arrow-right'}"></i>${o.action_text || 'Learn More'}
-                    </a>` : ''}
-                    ${o.who_can_get_involved && o.who_can_get_involved.length > 0 ? `
-                        <div class="audience-link-container">
-                            <button class="audience-link" data-modal="${modalId}">
-                                <i class="fa-solid fa-users"></i> Who can participate?
-                            </button>
-                        </div>` : ''}
-                    ${o.who_can_get_involved && o.who_can_get_involved.length > 0 ? `
-                        <div id="${modalId}" class="audience-modal" style="display: none;">
-                            <div class="audience-modal-content">
-                                <span class="audience-modal-close">&times;</span>
-                                <h3>This opportunity is for</h3>
-                                <ul class="audience-list">
-                                    ${o.who_can_get_involved.map(audience => `<li>${audience}</li>`).join('')}
-                                </ul>
-                            </div>
-                        </div>
-                    ` : ''}
-                </div>
-            </div>
-        `;
+        return ISOC.Cards.opportunityCard(o, {
+            // Title and description with any search terms highlighted
+            text: value => ISOC.Search.highlight(value, searchQuery),
+            // NEW or UPDATED badge, and a highlight if it changed since the last visit
+            titleSuffix: renderFreshnessPill(o),
+            className: isChangedSinceLastVisit(o) ? 'since-last-visit' : '',
+            dateSuffix: renderCountdownPill(o),
+            actions: `${ISOC.Shortlist.renderToggle('opportunity', o.id, o.title, 'card-save-toggle')}
+                    ${calendarIcon}`
+        });
     }
 
-
-
     // Handle audience modal functionality
     document.addEventListener('click', function handleModalClicks(e) {
         // Only handle left mouse button clicks
@@ -1307,6 +1667,181 @@ document.addEventListener('DOMContentLoaded', function () {
         }, 200);
     }
 
+    // Open the detail view for the opportunity named in the URL, if any.
+    // Feeds link to ?id=<id>; that form is rewritten to the #opp/<id> route so
+    // it survives later query string updates.
+    function openOpportunityFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('id')) {
+            const id = params.get('id');
+            params.delete('id');
+            const query = params.toString();
+            history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}#opp/${id}`);
+        }
+
+        const match = window.location.hash.match(/^#opp\/([\w-]+)$/);
+        if (!match) return;
+        // Links from before the import recorded row IDs use the earlier ID
+        const opportunity = allOpportunities.find(o => o.id === match[1]) ||
+            allOpportunities.find(o => o.legacy_id === match[1]) || null;
+        if (opportunity && opportunity.id !== match[1]) {
+            history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}#opp/${opportunity.id}`);
+        }
+        showOpportunityDetail(opportunity);
+    }
+
+    // Current ID of each opportunity whose ID changed when the import started recording row IDs
+    function getLegacyIds(opportunities) {
+        return Object.fromEntries(opportunities
+            .filter(o => o.legacy_id !== o.id)
+            .map(o => [o.legacy_id, o.id]));
+    }
+
+    // Remove the #opp/<id> route once the detail view is closed
+    function clearOpportunityRoute() {
+        if (!window.location.hash.startsWith('#opp/')) return;
+        history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+    }
+
+    window.addEventListener('hashchange', openOpportunityFromUrl);
+
+    // Show every field of an opportunity in a dialog; null shows a "no longer available" notice
+    function showOpportunityDetail(o) {
+        const existingModal = document.getElementById('opportunity-detail-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const escapeHtml = ISOC.Search.escapeHtml;
+        const modal = document.createElement('div');
+        modal.id = 'opportunity-detail-modal';
+        modal.className = 'subscription-modal opportunity-detail-modal';
+
+        if (!o) {
+            modal.innerHTML = `
+                <div class="subscription-modal-content opportunity-detail-content" role="dialog" aria-modal="true" aria-labelledby="opportunity-detail-title">
+                    <span class="subscription-modal-close">&times;</span>
+                    <h3 id="opportunity-detail-title">This opportunity is no longer available</h3>
+                    <p class="subscription-description">It may have closed or been archived. Browse the dashboard for current opportunities.</p>
+                </div>
+            `;
+        } else {
+            // The same ?id= form as the feeds, sitemap and item pages link to
+            const permalink = `${window.location.origin}${window.location.pathname}?id=${o.id}`;
+            const tags = [
+                ...o.region.map(region => `<span class="tag tag-region"><i class="fa-solid fa-map-marker-alt"></i> ${escapeHtml(region)}</span>`),
+                ...o.internet_issue.map(issue => `<span class="tag tag-issue"><i class="fa-solid fa-globe"></i> ${escapeHtml(issue)}</span>`)
+            ];
+            const fields = [
+                ['Category', o.Type ? escapeHtml(o.Type) : ''],
+                ['Date', o.date ? escapeHtml(ISOC.Utils.formatDate(o.date)) : 'Ongoing'],
+                ['Opportunity', escapeHtml(o.opportunity_description)],
+                ['Why it matters', escapeHtml(o.why_it_matters)],
+                ['Who can get involved', o.who_can_get_involved.length > 0
+                    ? `<ul class="audience-list">${o.who_can_get_involved.map(audience => `<li>${escapeHtml(audience)}</li>`).join('')}</ul>`
+                    : ''],
+                ['Added', o.creation_date ? escapeHtml(ISOC.Utils.formatDate(o.creation_date)) : ''],
+                ['Updated', o.updated_at && o.creation_date && new Date(o.updated_at) > new Date(o.creation_date)
+                    ? escapeHtml(ISOC.Utils.formatDate(o.updated_at)) : '']
+            ].filter(([, value]) => value);
+
+            modal.innerHTML = `
+                <div class="subscription-modal-content opportunity-detail-content" role="dialog" aria-modal="true" aria-labelledby="opportunity-detail-title">
+                    <span class="subscription-modal-close">&times;</span>
+                    <h3 id="opportunity-detail-title">${escapeHtml(o.title)}</h3>
+                    ${tags.length ? `<div class="card-tags">${tags.join('')}</div>` : ''}
+                    <dl class="opportunity-detail-fields">
+                        ${fields.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+                    </dl>
+                    ${o.link ? `
+                    <a href="${escapeHtml(o.link)}" target="_blank" rel="noopener noreferrer" class="cta-button">
+                        <i class="icon fa-solid fa-arrow-right"></i>${escapeHtml(o.action_text || 'Learn More')}
+                    </a>` : ''}
+                    <div class="subscription-section">
+                        <h4><i class="fas fa-link"></i> Link to this opportunity</h4>
+                        <div class="url-copy-container">
+                            <input type="text" class="feed-url-input" value="${escapeHtml(permalink)}" readonly>
+                            <button class="copy-url-btn">
+                                <i class="fas fa-copy"></i>
+                                <span class="copy-text">Copy</span>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const copyBtn = modal.querySelector('.copy-url-btn');
+            const urlInput = modal.querySelector('.feed-url-input');
+            urlInput.addEventListener('click', () => urlInput.select());
+            copyBtn.addEventListener('click', () => {
+                const showCopied = () => {
+                    copyBtn.querySelector('.copy-text').textContent = 'Copied!';
+                    copyBtn.classList.add('copied');
+                    setTimeout(() => {
+                        copyBtn.querySelector('.copy-text').textContent = 'Copy';
+                        copyBtn.classList.remove('copied');
+                    }, 2000);
+                };
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(permalink).then(showCopied).catch(() => urlInput.select());
+                } else {
+                    urlInput.select();
+                    if (document.execCommand('copy')) showCopied();
+                }
+            });
+        }
+
+        document.body.appendChild(modal);
+
+        requestAnimationFrame(() => {
+            modal.style.display = 'flex';
+            modal.classList.add('show');
+            document.body.style.overflow = 'hidden';
+        });
+
+        modal.querySelector('.subscription-modal-close').addEventListener('click', () => closeSubscriptionModal(modal));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeSubscriptionModal(modal);
+            }
+        });
+    }
+
+    // Calendar entry for an opportunity, built the same way as the feed's entries
+    function toCalendarEntry(o) {
+        return ISOC.ICS.fromOpportunity({
+            id: o.id,
+            title: o.title,
+            description: o.opportunity_description,
+            whyItMatters: o.why_it_matters,
+            date: o.date,
+            creationDate: o.creation_date,
+            updatedAt: o.updated_at
+        });
+    }
+
+    // Snapshot kept on the shortlist, so a saved opportunity can still be shown after it's archived
+    function toShortlistItem(o) {
+        const hasDate = isIsoDate(o.date);
+        return {
+            title: o.title,
+            date: hasDate ? o.date : null,
+            endDate: null,
+            link: `/?id=${o.id}`,
+            calendar: hasDate ? toCalendarEntry(o) : null
+        };
+    }
+
+    // Pre-built region and issue feeds matching the applied filters (audience has no feeds)
+    function getFilterFeeds(format) {
+        return [['region', filters.region], ['issue', filters.issue]].flatMap(([facet, values]) =>
+            (values || []).map(value => ({
+                label: `${ISOC.Feeds.FACET_LABELS[facet]}: ${value}`,
+                url: new URL(`/${ISOC.Feeds.feedPath(facet, value, format)}`, window.location.origin).href
+            }))
+        );
+    }
+
     // Subscription dialog functionality
     function showSubscriptionDialog(feedType, feedUrl) {
         // Remove any existing subscription modal
@@ -1326,15 +1861,21 @@ document.addEventListener('DOMContentLoaded', function () {
             ? 'Stay updated with the latest Internet Society opportunities'
             : 'Add upcoming Internet Society events to your calendar';
 
+        // Offer a feed for each applied region or issue filter, preselecting the first
+        const filterFeeds = getFilterFeeds(isRSS ? 'rss' : 'ics');
+        const feedChoices = [{ label: 'All opportunities', url: feedUrl }, ...filterFeeds];
+        const selectedFeedUrl = filterFeeds.length ? filterFeeds[0].url : feedUrl;
+
         // Popular RSS readers and calendar apps with verified subscription URLs
-        const popularApps = isRSS ? [
-            { name: 'Feedly', url: `https://feedly.com/i/subscription/feed/${encodeURIComponent(feedUrl)}`, icon: 'fas fa-rss' },
-            { name: 'Inoreader', url: `https://www.inoreader.com/feed/${encodeURIComponent(feedUrl)}`, icon: 'fas fa-rss' },
-            { name: 'The Old Reader', url: `https://theoldreader.com/feeds/subscribe?url=${encodeURIComponent(feedUrl)}`, icon: 'fas fa-rss' }
+        const getPopularApps = url => isRSS ? [
+            { name: 'Feedly', url: `https://feedly.com/i/subscription/feed/${encodeURIComponent(url)}`, icon: 'fas fa-rss' },
+            { name: 'Inoreader', url: `https://www.inoreader.com/feed/${encodeURIComponent(url)}`, icon: 'fas fa-rss' },
+            { name: 'The Old Reader', url: `https://theoldreader.com/feeds/subscribe?url=${encodeURIComponent(url)}`, icon: 'fas fa-rss' }
         ] : [
-            { name: 'Google Calendar', url: `https://calendar.google.com/calendar/u/0/r?cid=${encodeURIComponent(feedUrl)}`, icon: 'fab fa-google' },
-            { name: 'Apple Calendar', url: `webcal://${feedUrl.replace(/^https?:\/\//, '')}`, icon: 'fab fa-apple' }
+            { name: 'Google Calendar', url: `https://calendar.google.com/calendar/u/0/r?cid=${encodeURIComponent(url)}`, icon: 'fab fa-google' },
+            { name: 'Apple Calendar', url: `webcal://${url.replace(/^https?:\/\//, '')}`, icon: 'fab fa-apple' }
         ];
+        const popularApps = getPopularApps(selectedFeedUrl);
 
         modal.innerHTML = `
             <div class="subscription-modal-content">
@@ -1346,12 +1887,25 @@ document.addEventListener('DOMContentLoaded', function () {
                     <h3>Subscribe to ${feedTitle}</h3>
                     <p class="subscription-description">${feedDescription}</p>
                 </div>
-                
+                ${filterFeeds.length ? `
+                <div class="subscription-section feed-choice-section">
+                    <h4><i class="fas fa-filter"></i> Match Your Filters</h4>
+                    <div class="feed-choices" role="radiogroup" aria-label="Feed to subscribe to">
+                        ${feedChoices.map(choice => `
+                            <label class="feed-choice">
+                                <input type="radio" name="feed-choice" value="${choice.url}"${choice.url === selectedFeedUrl ? ' checked' : ''}>
+                                <span>${ISOC.Search.escapeHtml(choice.label)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                    ${filters.who ? '<p class="copy-instruction">Audience filters don\'t have their own feeds.</p>' : ''}
+                </div>
+                ` : ''}
                 <div class="subscription-section">
                     <h4><i class="fas fa-copy"></i> Copy Feed URL</h4>
                     <div class="url-copy-container">
-                        <input type="text" class="feed-url-input" value="${feedUrl}" readonly>
-                        <button class="copy-url-btn" data-url="${feedUrl}">
+                        <input type="text" class="feed-url-input" value="${selectedFeedUrl}" readonly>
+                        <button class="copy-url-btn" data-url="${selectedFeedUrl}">
                             <i class="fas fa-copy"></i>
                             <span class="copy-text">Copy</span>
                         </button>
@@ -1420,6 +1974,18 @@ document.addEventListener('DOMContentLoaded', function () {
             }
         });
 
+        // Switch the URL and quick-subscribe links to the chosen feed
+        modal.querySelectorAll('input[name="feed-choice"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                urlInput.value = radio.value;
+                copyBtn.dataset.url = radio.value;
+                const apps = getPopularApps(radio.value);
+                modal.querySelectorAll('.app-link').forEach((link, i) => {
+                    link.href = apps[i].url;
+                });
+            });
+        });
+
         // Copy URL functionality
         copyBtn.addEventListener('click', () => {
             urlInput.select();
@@ -1447,7 +2013,7 @@ document.addEventListener('DOMContentLoaded', function () {
             } catch (err) {
                 // Fallback for modern browsers
                 if (navigator.clipboard) {
-                    navigator.clipboard.writeText(feedUrl).then(() => {
+                    navigator.clipboard.writeText(urlInput.value).then(() => {
                         const originalText = copyBtn.querySelector('.copy-text').textContent;
                         const copyIcon = copyBtn.querySelector('i');
 
@@ -1477,6 +2043,10 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     function closeSubscriptionModal(modal) {
+        // The opportunity detail view shares this dialog's styles and closing behaviour
+        if (modal.id === 'opportunity-detail-modal') {
+            clearOpportunityRoute();
+        }
         modal.classList.remove('show');
         setTimeout(() => {
             modal.style.display = 'none';
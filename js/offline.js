@@ -0,0 +1,100 @@
+// Namespace for offline support: service worker registration, the "data as of"
+// notice and the install button
+window.ISOC = window.ISOC || {};
+
+window.ISOC.Offline = (function () {
+    // Set by sw.js on data files it serves from its cache
+    const FETCHED_AT_HEADER = 'X-Fetched-At';
+
+    let dataFetchedAt = null;
+    let installPrompt = null;
+
+    /**
+     * Record when the page's data was fetched, so the offline notice can say how old it is
+     * @param {Response} response - The data file's response, possibly from the service worker's cache
+     */
+    function noteData(response) {
+        dataFetchedAt = (response && response.headers && response.headers.get(FETCHED_AT_HEADER)) || new Date().toISOString();
+        render();
+    }
+
+    /**
+     * Message for a page whose data couldn't be loaded
+     * @param {string} what - e.g. 'opportunities'
+     * @returns {string}
+     */
+    function loadErrorMessage(what) {
+        return navigator.onLine === false
+            ? `You're offline and the ${what} haven't been saved on this device yet. Open this page once while connected to use it offline.`
+            : `Error loading ${what}. Please try again later.`;
+    }
+
+    function formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return '';
+        return date.toLocaleString('en-US', {
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    // Show or hide the offline notice and the install button
+    function render() {
+        const notice = document.getElementById('offline-notice');
+        if (notice) {
+            const offline = navigator.onLine === false;
+            notice.hidden = !offline;
+            if (offline) {
+                const asOf = dataFetchedAt ? formatTimestamp(dataFetchedAt) : '';
+                notice.innerHTML = `<i class="fas fa-cloud" aria-hidden="true"></i> You're offline${asOf ? `. Showing data as of ${asOf}` : ''}.`;
+            }
+        }
+
+        document.querySelectorAll('.install-app').forEach(button => {
+            button.hidden = !installPrompt;
+        });
+    }
+
+    // The worker lives at the site root so it covers both pages
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', function () {
+            navigator.serviceWorker.register('/sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+        });
+    }
+
+    window.addEventListener('online', render);
+    window.addEventListener('offline', render);
+
+    // Browsers that support installing offer the prompt once the manifest and worker check out
+    window.addEventListener('beforeinstallprompt', function (e) {
+        e.preventDefault();
+        installPrompt = e;
+        render();
+    });
+
+    window.addEventListener('appinstalled', function () {
+        installPrompt = null;
+        render();
+    });
+
+    document.addEventListener('click', function (e) {
+        if (!e.target.closest('.install-app') || !installPrompt) return;
+        installPrompt.prompt();
+        installPrompt.userChoice.finally(() => {
+            installPrompt = null;
+            render();
+        });
+    });
+
+    document.addEventListener('DOMContentLoaded', render);
+
+    return {
+        noteData,
+        loadErrorMessage
+    };
+})();
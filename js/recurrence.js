@@ -0,0 +1,395 @@
+/**
+ * Recurring community events.
+ *
+ * An event's `recurrence` column holds an RFC 5545 RRULE such as
+ * "FREQ=WEEKLY;BYDAY=TU" or "FREQ=MONTHLY;BYDAY=1WE;UNTIL=2026-12-31", and
+ * `recurrenceExceptions` the dates it skips ("2026-08-04, 2026-08-11").
+ * Supported: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY and BYMONTHDAY; weeks start on Monday.
+ *
+ * Shared by the events page (as window.ISOC.Recurrence), ISOC.ICS and
+ * scripts/validate_data.js (via require), so the page shows the occurrences
+ * the feeds' RRULE describes.
+ */
+(function (root, factory) {
+    const recurrence = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = recurrence;
+    } else {
+        root.ISOC = root.ISOC || {};
+        root.ISOC.Recurrence = recurrence;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+    // RRULE weekday codes, in the order Date#getUTCDay counts them
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const ORDINALS = {
+        1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth',
+        '-1': 'last', '-2': 'second to last', '-3': 'third to last', '-4': 'fourth to last', '-5': 'fifth to last'
+    };
+
+    // Stop a rule without COUNT or UNTIL from being expanded forever, including
+    // one that yields no dates, e.g. BYMONTHDAY=31 every 12 months from April
+    const MAX_OCCURRENCES = 1000;
+    const MAX_PERIODS = 10000;
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    function isIsoDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            !isNaN(toUtc(value).getTime()) && format(toUtc(value)) === value;
+    }
+
+    function toUtc(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    function format(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Date a number of days later (or earlier)
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} days
+     * @returns {string} YYYY-MM-DD
+     */
+    function addDays(date, days) {
+        const result = toUtc(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return format(result);
+    }
+
+    /**
+     * Whole days from one date to another
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {number}
+     */
+    function daysBetween(from, to) {
+        return Math.round((toUtc(to) - toUtc(from)) / MS_PER_DAY);
+    }
+
+    // UNTIL as 20261231, 20261231T235959Z or 2026-12-31; only the date is used
+    function parseUntil(value) {
+        const match = /^(\d{4})-?(\d{2})-?(\d{2})(?:T\d{6}Z?)?$/.exec(value);
+        if (!match) return null;
+        const date = `${match[1]}-${match[2]}-${match[3]}`;
+        return isIsoDate(date) ? date : null;
+    }
+
+    /**
+     * @typedef {Object} RecurrenceRule
+     * @property {string} freq - DAILY, WEEKLY, MONTHLY or YEARLY
+     * @property {number} interval
+     * @property {?number} count
+     * @property {?string} until - YYYY-MM-DD, inclusive
+     * @property {{ weekday: number, nth: ?number }[]} byDay - weekday 0 (Sunday) to 6; nth for MONTHLY, e.g. 1 or -1
+     * @property {number[]} byMonthDay - e.g. 15 or -1 for the last day
+     */
+
+    /**
+     * Parse an RRULE, with or without the "RRULE:" prefix
+     * @param {string} value - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+     * @returns {?RecurrenceRule} Null when empty or not in the supported subset
+     */
+    function parse(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim().replace(/^RRULE:/i, '');
+        if (!text) return null;
+
+        const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [] };
+        const parts = text.split(';').filter(Boolean);
+        for (const part of parts) {
+            const [rawKey, rawValue = ''] = part.split('=');
+            const key = rawKey.trim().toUpperCase();
+            const partValue = rawValue.trim().toUpperCase();
+            if (key === 'FREQ') {
+                if (!FREQUENCIES.includes(partValue)) return null;
+                rule.freq = partValue;
+            } else if (key === 'INTERVAL' || key === 'COUNT') {
+                if (!/^[1-9]\d*$/.test(partValue)) return null;
+                rule[key.toLowerCase()] = Number(partValue);
+            } else if (key === 'UNTIL') {
+                rule.until = parseUntil(partValue);
+                if (!rule.until) return null;
+            } else if (key === 'BYDAY') {
+                for (const day of partValue.split(',')) {
+                    const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day.trim());
+                    if (!match) return null;
+                    rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), nth: match[1] ? Number(match[1]) : null });
+                }
+            } else if (key === 'BYMONTHDAY') {
+                for (const day of partValue.split(',')) {
+                    const number = Number(day.trim());
+                    if (!Number.isInteger(number) || number === 0 || Math.abs(number) > 31) return null;
+                    rule.byMonthDay.push(number);
+                }
+            } else if (key !== 'WKST') {
+                return null;
+            }
+        }
+
+        if (!rule.freq || (rule.count && rule.until)) return null;
+        // Numbered weekdays ("1TU") only make sense within a month
+        if (rule.byDay.some(day => day.nth !== null) && rule.freq !== 'MONTHLY') return null;
+        if (rule.byMonthDay.length && rule.freq !== 'MONTHLY') return null;
+        return rule;
+    }
+
+    /**
+     * Dates a series skips, from a comma-separated cell or a list
+     * @param {string|string[]} value - e.g. "2026-08-04, 2026-08-11"
+     * @returns {string[]} Valid YYYY-MM-DD dates
+     */
+    function parseDates(value) {
+        if (!value) return [];
+        const parts = Array.isArray(value) ? value : String(value).split(',');
+        return parts.map(part => String(part).trim()).filter(isIsoDate);
+    }
+
+    /**
+     * RRULE value for a feed, with UNTIL written by the caller (RFC 5545 wants it
+     * in UTC for zoned start times, as a date for all-day ones)
+     * @param {RecurrenceRule} rule
+     * @param {string} [until] - Formatted UNTIL
+     * @returns {string} e.g. "FREQ=WEEKLY;BYDAY=TU;COUNT=6"
+     */
+    function toRRule(rule, until) {
+        const parts = [`FREQ=${rule.freq}`];
+        if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+        if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(day => `${day.nth || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+        if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+        if (rule.count) parts.push(`COUNT=${rule.count}`);
+        if (rule.until && until) parts.push(`UNTIL=${until}`);
+        return parts.join(';');
+    }
+
+    // Candidate dates of one period (a day, week, month or year) in date order
+    function periodDates(rule, start, index) {
+        const first = toUtc(start);
+        if (rule.freq === 'DAILY') {
+            return [addDays(start, index * rule.interval)];
+        }
+
+        if (rule.freq === 'WEEKLY') {
+            const monday = addDays(start, -((first.getUTCDay() + 6) % 7) + index * 7 * rule.interval);
+            const weekdays = rule.byDay.length ? rule.byDay.map(day => day.weekday) : [first.getUTCDay()];
+            return weekdays
+                .map(weekday => addDays(monday, (weekday + 6) % 7))
+                .sort();
+        }
+
+        if (rule.freq === 'MONTHLY') {
+            const month = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + index * rule.interval, 1));
+            const year = month.getUTCFullYear();
+            const monthIndex = month.getUTCMonth();
+            const length = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+            const dayOf = day => format(new Date(Date.UTC(year, monthIndex, day)));
+            const monthDays = [];
+            const weekdays = [];
+
+            rule.byMonthDay.forEach(day => {
+                const date = day > 0 ? day : length + day + 1;
+                if (date >= 1 && date <= length) monthDays.push(date);
+            });
+            rule.byDay.forEach(({ weekday, nth }) => {
+                const matches = [];
+                for (let day = 1; day <= length; day++) {
+                    if (new Date(Date.UTC(year, monthIndex, day)).getUTCDay() === weekday) matches.push(day);
+                }
+                if (nth === null) weekdays.push(...matches);
+                else if (nth > 0 && matches[nth - 1]) weekdays.push(matches[nth - 1]);
+                else if (nth < 0 && matches[matches.length + nth]) weekdays.push(matches[matches.length + nth]);
+            });
+            // With both, BYDAY limits BYMONTHDAY as in RFC 5545 ("BYDAY=FR;BYMONTHDAY=13" is
+            // every Friday the 13th); otherwise either one lists the days
+            const days = rule.byDay.length && rule.byMonthDay.length
+                ? monthDays.filter(day => weekdays.includes(day))
+                : [...monthDays, ...weekdays];
+            // Without BYDAY or BYMONTHDAY, the start's day of the month; months without it are skipped
+            if (!rule.byDay.length && !rule.byMonthDay.length && first.getUTCDate() <= length) {
+                days.push(first.getUTCDate());
+            }
+            return Array.from(new Set(days)).sort((a, b) => a - b).map(dayOf);
+        }
+
+        // YEARLY: the start's month and day; Feb 29 only in leap years
+        const date = new Date(Date.UTC(first.getUTCFullYear() + index * rule.interval, first.getUTCMonth(), first.getUTCDate()));
+        return date.getUTCDate() === first.getUTCDate() ? [format(date)] : [];
+    }
+
+    /**
+     * Start dates of a recurring event between two dates. The event's startDate
+     * is the series' first date even when the rule wouldn't produce it, as it is
+     * for calendars reading the feed's DTSTART and RRULE; COUNT counts from it,
+     * skipped dates included, as RFC 5545 does.
+     * @param {CommunityEvent|CalendarEntry} event - With startDate, recurrence and optionally recurrenceExceptions
+     * @param {string} from - YYYY-MM-DD, inclusive
+     * @param {string} to - YYYY-MM-DD, inclusive
+     * @param {number} [limit] - Stop after this many dates
+     * @returns {string[]} Just the event's startDate when it doesn't recur
+     */
+    function occurrences(event, from, to, limit = Infinity) {
+        const rule = parse(event.recurrence);
+        if (!isIsoDate(event.startDate)) return [];
+        if (!rule) return event.startDate >= from && event.startDate <= to ? [event.startDate] : [];
+
+        const exceptions = parseDates(event.recurrenceExceptions);
+        const result = [];
+        let generated = 0;
+        for (let index = 0; index < MAX_PERIODS && result.length < MAX_OCCURRENCES; index++) {
+            const dates = periodDates(rule, event.startDate, index).filter(date => date > event.startDate);
+            if (index === 0) dates.unshift(event.startDate);
+            for (const date of dates) {
+                if (rule.until && date > rule.until) return result;
+                if (date > to) return result;
+                generated++;
+                if (date >= from && !exceptions.includes(date)) result.push(date);
+                if (result.length >= limit || (rule.count && generated >= rule.count)) return result;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Last start date of a recurring event, or null for a series without COUNT or UNTIL
+     * @param {CommunityEvent} event
+     * @returns {?string} YYYY-MM-DD
+     */
+    function lastOccurrence(event) {
+        const rule = parse(event.recurrence);
+        if (!rule) return isIsoDate(event.startDate) ? event.startDate : null;
+        if (!rule.count && !rule.until) return null;
+        const dates = occurrences(event, event.startDate, rule.until || '9999-12-31');
+        return dates.length ? dates[dates.length - 1] : event.startDate;
+    }
+
+    /**
+     * First start date of an event on or after a date
+     * @param {CommunityEvent} event
+     * @param {string} from - YYYY-MM-DD
+     * @returns {?string} YYYY-MM-DD, or null when the event (or its series) is over
+     */
+    function nextOccurrence(event, from) {
+        return occurrences(event, from, '9999-12-31', 1)[0] || null;
+    }
+
+    /**
+     * Occurrences of an event that overlap a range of dates, each a copy of the
+     * event with its own start date, the end date moved along, and `series`
+     * pointing back at the event (whose ID and calendar entry they share)
+     * @param {CommunityEvent} event
+     * @param {string} from - YYYY-MM-DD, inclusive
+     * @param {string} to - YYYY-MM-DD, inclusive
+     * @param {number} [limit] - Stop after this many occurrences
+     * @returns {CommunityEvent[]} The event itself, if it overlaps, when it doesn't recur
+     */
+    function expand(event, from, to, limit) {
+        const length = isIsoDate(event.endDate) && event.endDate > event.startDate
+            ? daysBetween(event.startDate, event.endDate)
+            : 0;
+        const dates = occurrences(event, addDays(from, -length), to, limit);
+        if (!parse(event.recurrence)) return dates.length ? [event] : [];
+        return dates.map(date => ({
+            ...event,
+            startDate: date,
+            endDate: event.endDate ? addDays(date, length) : event.endDate,
+            series: event
+        }));
+    }
+
+    /**
+     * Occurrences of an event that have started by a day, for the archive: every
+     * date of a series from its first, whether the series is still running or over
+     * @param {CommunityEvent} event
+     * @param {string} today - YYYY-MM-DD
+     * @returns {CommunityEvent[]} Including one still in progress; the caller drops it
+     */
+    function occurrencesSoFar(event, today) {
+        if (!parse(event.recurrence)) return [event];
+        return expand(event, event.startDate, today);
+    }
+
+    /**
+     * Occurrence a series stands for on a day: the one in progress or the next,
+     * or its last once the series is over
+     * @param {CommunityEvent} event
+     * @param {string} today - YYYY-MM-DD
+     * @returns {CommunityEvent} The event itself when it doesn't recur
+     */
+    function currentOccurrence(event, today) {
+        if (!parse(event.recurrence)) return event;
+        const last = lastOccurrence(event);
+        return expand(event, today, '9999-12-31', 1)[0] ||
+            (last && expand(event, last, last).slice(-1)[0]) ||
+            event;
+    }
+
+    /**
+     * The rest of a series from one of its dates: a copy of the event starting
+     * then, its end date moved along and a COUNT turned into the UNTIL of the
+     * series' last date, so the copy has the same dates from there on
+     * @param {CommunityEvent} event
+     * @param {string} date - YYYY-MM-DD, one of the event's occurrences
+     * @returns {CommunityEvent} The event itself when it doesn't recur
+     */
+    function startingFrom(event, date) {
+        const rule = parse(event.recurrence);
+        if (!rule || date === event.startDate) return event;
+        const until = rule.count ? lastOccurrence(event) : rule.until;
+        const length = isIsoDate(event.endDate) && event.endDate > event.startDate
+            ? daysBetween(event.startDate, event.endDate)
+            : 0;
+        return {
+            ...event,
+            startDate: date,
+            endDate: event.endDate ? addDays(date, length) : event.endDate,
+            recurrence: toRRule({ ...rule, count: null, until }, until && until.replace(/-/g, ''))
+        };
+    }
+
+    /**
+     * Plain-language summary of a rule
+     * @param {RecurrenceRule} rule
+     * @returns {string} e.g. "Every 2 weeks on Monday and Wednesday", "Monthly on the first Tuesday",
+     *     "Monthly on day 13 if it's a Friday"
+     */
+    function describe(rule) {
+        const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+        const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+        const base = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : adverbs[rule.freq];
+        const list = (items, conjunction = 'and') => items.length > 1
+            ? `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`
+            : items[0];
+
+        const days = rule.byDay.map(({ weekday, nth }) =>
+            nth ? `the ${ORDINALS[nth]} ${WEEKDAY_NAMES[weekday]}` : WEEKDAY_NAMES[weekday]);
+        const monthDays = rule.byMonthDay.map(day => day === -1 ? 'the last day' : `day ${day}`);
+        if (days.length && monthDays.length) {
+            const weekdays = days.map(day => day.startsWith('the ') ? day : `a ${day}`);
+            return `${base} on ${list(monthDays, 'or')} if it's ${list(weekdays, 'or')}`;
+        }
+        const on = [...days, ...monthDays];
+        return on.length ? `${base} on ${list(on)}` : base;
+    }
+
+    return {
+        parse,
+        parseDates,
+        toRRule,
+        occurrences,
+        lastOccurrence,
+        nextOccurrence,
+        expand,
+        occurrencesSoFar,
+        currentOccurrence,
+        startingFrom,
+        describe,
+        addDays,
+        daysBetween
+    };
+});
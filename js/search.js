@@ -0,0 +1,138 @@
+// Namespace for ISOC full-text search
+window.ISOC = window.ISOC || {};
+
+window.ISOC.Search = (function () {
+    // Relative weight of a match in each indexed field
+    const FIELD_WEIGHTS = {
+        title: 3,
+        opportunity_description: 2,
+        why_it_matters: 1
+    };
+
+    const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+    /**
+     * Lowercase a word and strip diacritics so "Español" matches "espanol"
+     * @param {string} word
+     * @returns {string}
+     */
+    function normalizeToken(word) {
+        return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Split text into normalized tokens
+     * @param {string} text
+     * @returns {string[]}
+     */
+    function tokenize(text) {
+        if (!text) return [];
+        return (String(text).match(TOKEN_PATTERN) || []).map(normalizeToken);
+    }
+
+    /**
+     * Build an inverted index over a list of opportunities
+     * @param {Opportunity[]} items
+     * @returns {{ items: Opportunity[], postings: Map<string, Map<number, number>> }}
+     */
+    function buildIndex(items) {
+        const postings = new Map();
+
+        items.forEach((item, docIndex) => {
+            Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+                tokenize(item[field]).forEach(token => {
+                    if (!postings.has(token)) postings.set(token, new Map());
+                    const docs = postings.get(token);
+                    docs.set(docIndex, (docs.get(docIndex) || 0) + weight);
+                });
+            });
+        });
+
+        return { items, postings };
+    }
+
+    /**
+     * Find items matching every term of the query (terms match as word prefixes)
+     * @param {{ items: Opportunity[], postings: Map<string, Map<number, number>> }} index
+     * @param {string} query
+     * @returns {{ item: Opportunity, score: number }[]} Matches, best first
+     */
+    function search(index, query) {
+        const terms = tokenize(query);
+        if (!index || terms.length === 0) return [];
+
+        let scores = null;
+        terms.forEach(term => {
+            const termScores = new Map();
+            index.postings.forEach((docs, token) => {
+                if (!token.startsWith(term)) return;
+                // Exact word matches rank above prefix matches
+                const boost = token === term ? 1 : 0.5;
+                docs.forEach((weight, docIndex) => {
+                    termScores.set(docIndex, (termScores.get(docIndex) || 0) + weight * boost);
+                });
+            });
+
+            if (scores === null) {
+                scores = termScores;
+                return;
+            }
+            // Keep only documents that match all terms so far
+            const combined = new Map();
+            scores.forEach((score, docIndex) => {
+                if (termScores.has(docIndex)) combined.set(docIndex, score + termScores.get(docIndex));
+            });
+            scores = combined;
+        });
+
+        return Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .map(([docIndex, score]) => ({ item: index.items[docIndex], score }));
+    }
+
+    /**
+     * Escape a string for safe insertion into HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Return HTML-escaped text with words matching the query wrapped in <mark>
+     * @param {string} text
+     * @param {string} query
+     * @returns {string}
+     */
+    function highlight(text, query) {
+        if (!text) return '';
+        const terms = tokenize(query);
+        if (terms.length === 0) return escapeHtml(text);
+
+        const value = String(text);
+        let html = '';
+        let lastIndex = 0;
+        for (const match of value.matchAll(TOKEN_PATTERN)) {
+            const token = normalizeToken(match[0]);
+            if (!terms.some(term => token.startsWith(term))) continue;
+            html += escapeHtml(value.slice(lastIndex, match.index));
+            html += `<mark class="search-highlight">${escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+        return html + escapeHtml(value.slice(lastIndex));
+    }
+
+    return {
+        tokenize,
+        buildIndex,
+        search,
+        highlight,
+        escapeHtml
+    };
+})();
@@ -0,0 +1,365 @@
+// Namespace for the "My shortlist" of saved opportunities and events
+window.ISOC = window.ISOC || {};
+
+window.ISOC.Shortlist = (function () {
+    // Shared by the dashboard and the events page, so one list holds both kinds
+    const STORAGE_KEY = 'isocShortlist';
+
+    const KIND_LABELS = {
+        opportunity: 'Opportunity',
+        event: 'Event'
+    };
+
+    const STATUS_LABELS = {
+        expired: 'Expired',
+        archived: 'Archived',
+        removed: 'No longer listed'
+    };
+
+    // Page-supplied lookups: kind -> function (id) returning a snapshot or null
+    const resolvers = {};
+
+    let items = read();
+    let dialog = null;
+    let lastFocusedElement = null;
+
+    /**
+     * @typedef {Object} ShortlistItem
+     * @property {'opportunity'|'event'} kind
+     * @property {string} id - Stable ID from ISOC.Ids
+     * @property {string} title
+     * @property {string|null} date - YYYY-MM-DD, or null when ongoing
+     * @property {string|null} endDate - YYYY-MM-DD
+     * @property {string} link - Where to find the item
+     * @property {CalendarEntry} calendar - Used for the .ics export
+     * @property {string} savedAt - ISO timestamp
+     * @property {'active'|'archived'|'removed'} status - As of the last page load
+     */
+
+    function read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(stored) ? stored.filter(item => item && item.kind && item.id) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Storage can be full or disabled (Safari private browsing); the list then
+    // lasts until the page is closed
+    function write() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+        } catch (e) {
+            console.warn('Failed to save shortlist', e);
+        }
+    }
+
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function find(kind, id) {
+        return items.find(item => item.kind === kind && item.id === id);
+    }
+
+    /**
+     * Whether an item is on the shortlist
+     * @param {string} kind - 'opportunity' or 'event'
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function isSaved(kind, id) {
+        return Boolean(find(kind, id));
+    }
+
+    // Expired items stay listed; the date is checked on every render
+    function getStatus(item) {
+        if (item.status === 'archived' || item.status === 'removed') return item.status;
+        return ISOC.Utils.isDateInPast(item.endDate || item.date) ? 'expired' : 'active';
+    }
+
+    /**
+     * Add an item to the shortlist, or remove it if it's already there
+     * @param {string} kind
+     * @param {string} id
+     * @returns {boolean} Whether the item is saved afterwards
+     */
+    function toggle(kind, id) {
+        if (isSaved(kind, id)) {
+            remove(kind, id);
+            return false;
+        }
+        const snapshot = resolvers[kind] && resolvers[kind](id);
+        if (!snapshot) return false;
+        items.push({ kind, id, ...snapshot, savedAt: new Date().toISOString(), status: 'active' });
+        write();
+        refresh();
+        return true;
+    }
+
+    /**
+     * Remove an item from the shortlist
+     * @param {string} kind
+     * @param {string} id
+     */
+    function remove(kind, id) {
+        items = items.filter(item => !(item.kind === kind && item.id === id));
+        write();
+        refresh();
+    }
+
+    /**
+     * Saved items, soonest first; undated items come last
+     * @returns {ShortlistItem[]}
+     */
+    function list() {
+        return [...items].sort((a, b) => {
+            if (!a.date !== !b.date) return a.date ? -1 : 1;
+            return (a.date || '').localeCompare(b.date || '') || a.title.localeCompare(b.title);
+        });
+    }
+
+    /**
+     * Let the shortlist save items of a kind from the current page, and bring
+     * saved items of that kind up to date: a saved item the data no longer
+     * lists is marked archived or removed rather than dropped
+     * @param {string} kind
+     * @param {function(string): ?Object} resolve - Snapshot ({title, date, endDate, link, calendar}) of a listed item
+     * @param {string[]} [archivedIds] - Items the data still has but marks as archived
+     * @param {Object<string, string>} [aliases] - Current ID of each item saved under an earlier one
+     */
+    function connect(kind, resolve, archivedIds = [], aliases = {}) {
+        resolvers[kind] = resolve;
+        items = items
+            .map(item => item.kind === kind && aliases[item.id] ? { ...item, id: aliases[item.id] } : item)
+            .filter((item, index, all) => all.findIndex(other => other.kind === item.kind && other.id === item.id) === index);
+        items = items.map(item => {
+            if (item.kind !== kind) return item;
+            if (archivedIds.includes(item.id)) return { ...item, status: 'archived' };
+            const snapshot = resolve(item.id);
+            return snapshot ? { ...item, ...snapshot, status: 'active' } : { ...item, status: 'removed' };
+        });
+        write();
+        refresh();
+    }
+
+    /**
+     * Star button for a card or table row
+     * @param {string} kind
+     * @param {string} id
+     * @param {string} title - For the accessible label
+     * @param {string} [className] - Extra classes for the page's placement
+     * @returns {string} HTML
+     */
+    function renderToggle(kind, id, title, className = '') {
+        const saved = isSaved(kind, id);
+        return `<button type="button" class="save-toggle${className ? ` ${className}` : ''}${saved ? ' saved' : ''}" data-save-kind="${kind}" data-save-id="${escapeHtml(id)}" aria-pressed="${saved}" aria-label="Save ${escapeHtml(title)} to my shortlist" title="${saved ? 'Remove from my shortlist' : 'Save to my shortlist'}"><i class="${saved ? 'fa-solid' : 'fa-regular'} fa-star" aria-hidden="true"></i></button>`;
+    }
+
+    // Sync the star buttons, shortlist counts and open dialog with the stored items
+    function refresh() {
+        document.querySelectorAll('.save-toggle').forEach(button => {
+            const saved = isSaved(button.dataset.saveKind, button.dataset.saveId);
+            button.classList.toggle('saved', saved);
+            button.setAttribute('aria-pressed', String(saved));
+            button.title = saved ? 'Remove from my shortlist' : 'Save to my shortlist';
+            const icon = button.querySelector('i');
+            if (icon) icon.className = `${saved ? 'fa-solid' : 'fa-regular'} fa-star`;
+        });
+
+        document.querySelectorAll('.shortlist-count').forEach(count => {
+            count.textContent = items.length;
+            count.hidden = items.length === 0;
+        });
+
+        if (dialog) renderDialogList();
+    }
+
+    function renderItem(item) {
+        const status = getStatus(item);
+        const external = /^https?:/.test(item.link) && !item.link.startsWith(window.location.origin);
+        const dateLabel = item.date
+            ? escapeHtml(ISOC.Utils.formatDate(item.date)) + (item.endDate && item.endDate !== item.date ? ` – ${escapeHtml(ISOC.Utils.formatDate(item.endDate))}` : '')
+            : 'Ongoing';
+
+        return `
+            <li class="shortlist-item${status !== 'active' ? ` is-${status}` : ''}">
+                <div class="shortlist-item-main">
+                    <span class="shortlist-kind">${KIND_LABELS[item.kind] || item.kind}</span>
+                    ${item.link
+                        ? `<a href="${escapeHtml(item.link)}" class="shortlist-item-title"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${escapeHtml(item.title)}</a>`
+                        : `<span class="shortlist-item-title">${escapeHtml(item.title)}</span>`}
+                    <span class="shortlist-item-date"><i class="fa-regular fa-calendar" aria-hidden="true"></i> ${dateLabel}</span>
+                    ${STATUS_LABELS[status] ? `<span class="shortlist-status">${STATUS_LABELS[status]}</span>` : ''}
+                </div>
+                <button type="button" class="shortlist-remove" data-save-kind="${item.kind}" data-save-id="${escapeHtml(item.id)}" aria-label="Remove ${escapeHtml(item.title)} from my shortlist" title="Remove">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </li>
+        `;
+    }
+
+    function renderDialogList() {
+        const saved = list();
+        dialog.querySelector('.shortlist-items').innerHTML = saved.length
+            ? saved.map(renderItem).join('')
+            : '<li class="shortlist-empty">Nothing saved yet. Use the <i class="fa-regular fa-star" aria-hidden="true"></i> on an opportunity or event to keep track of it here.</li>';
+        dialog.querySelectorAll('.shortlist-export button').forEach(button => {
+            button.disabled = saved.length === 0;
+        });
+    }
+
+    /**
+     * Download the shortlist as an .ics file; undated items are left out
+     */
+    function exportIcs() {
+        const entries = list().map(item => item.calendar).filter(Boolean);
+        const content = ISOC.ICS.buildCalendar(entries, {
+            prodId: '-//Internet Society//Shortlist//EN',
+            name: 'My ISOC shortlist'
+        });
+        ISOC.Utils.downloadFile(content, 'isoc-shortlist.ics', 'text/calendar;charset=utf-8');
+    }
+
+    // Quote a CSV field when it contains a separator, quote or line break (RFC 4180)
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Download the shortlist as a CSV file
+     */
+    function exportCsv() {
+        const rows = [
+            ['Kind', 'Title', 'Date', 'End date', 'Status', 'Link', 'Saved'],
+            ...list().map(item => [
+                KIND_LABELS[item.kind] || item.kind,
+                item.title,
+                item.date || 'Ongoing',
+                item.endDate || '',
+                STATUS_LABELS[getStatus(item)] || 'Active',
+                item.link ? new URL(item.link, window.location.origin).href : '',
+                item.savedAt ? item.savedAt.slice(0, 10) : ''
+            ])
+        ];
+        const content = rows.map(row => row.map(csvField).join(',')).join('\r\n');
+        ISOC.Utils.downloadFile(content, 'isoc-shortlist.csv', 'text/csv;charset=utf-8');
+    }
+
+    /**
+     * Close the shortlist dialog, if open
+     */
+    function close() {
+        if (!dialog) return;
+        const closing = dialog;
+        dialog = null;
+        closing.classList.remove('show');
+        document.body.style.overflow = '';
+        setTimeout(() => closing.remove(), 200);
+        if (lastFocusedElement) lastFocusedElement.focus();
+        lastFocusedElement = null;
+    }
+
+    /**
+     * Open the saved-items dialog
+     */
+    function open() {
+        close();
+        lastFocusedElement = document.activeElement;
+
+        dialog = document.createElement('div');
+        dialog.id = 'shortlist-modal';
+        dialog.className = 'subscription-modal shortlist-modal';
+        dialog.innerHTML = `
+            <div class="subscription-modal-content shortlist-content" role="dialog" aria-modal="true" aria-labelledby="shortlist-title">
+                <button type="button" class="subscription-modal-close" aria-label="Close">&times;</button>
+                <h3 id="shortlist-title"><i class="fas fa-star" aria-hidden="true"></i> My shortlist</h3>
+                <p class="subscription-description">Saved on this device. Expired and archived items stay here until you remove them.</p>
+                <ul class="shortlist-items"></ul>
+                <div class="shortlist-export">
+                    <button type="button" class="sub-btn" data-export="ics"><i class="fas fa-calendar-alt" aria-hidden="true"></i> Export .ics</button>
+                    <button type="button" class="sub-btn" data-export="csv"><i class="fas fa-file-csv" aria-hidden="true"></i> Export CSV</button>
+                </div>
+            </div>
+        `;
+        renderDialogList();
+
+        dialog.addEventListener('click', function (e) {
+            // Following an item's link (e.g. to an opportunity's detail view) closes the dialog
+            if (e.target === dialog || e.target.closest('.subscription-modal-close, a.shortlist-item-title')) {
+                close();
+                return;
+            }
+            const removeButton = e.target.closest('.shortlist-remove');
+            if (removeButton) {
+                remove(removeButton.dataset.saveKind, removeButton.dataset.saveId);
+                dialog.querySelector('.subscription-modal-close').focus();
+                return;
+            }
+            const exportButton = e.target.closest('[data-export]');
+            if (exportButton) {
+                if (exportButton.dataset.export === 'ics') exportIcs();
+                else exportCsv();
+            }
+        });
+
+        const opened = dialog;
+        document.body.appendChild(opened);
+        requestAnimationFrame(() => {
+            // Closed (or replaced) before the next frame
+            if (opened !== dialog || !opened.isConnected) return;
+            opened.style.display = 'flex';
+            opened.classList.add('show');
+            document.body.style.overflow = 'hidden';
+            opened.querySelector('.subscription-modal-close').focus();
+        });
+    }
+
+    // Star buttons and "Shortlist" buttons anywhere on the page
+    document.addEventListener('click', function (e) {
+        const button = e.target.closest('.save-toggle');
+        if (button) {
+            e.preventDefault();
+            e.stopPropagation();
+            toggle(button.dataset.saveKind, button.dataset.saveId);
+            return;
+        }
+        if (e.target.closest('.shortlist-link')) {
+            e.preventDefault();
+            open();
+        }
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape' && dialog) close();
+    });
+
+    // Keep tabs in step when the shortlist changes in another one
+    window.addEventListener('storage', function (e) {
+        if (e.key !== STORAGE_KEY) return;
+        items = read();
+        refresh();
+    });
+
+    document.addEventListener('DOMContentLoaded', refresh);
+
+    return {
+        isSaved,
+        toggle,
+        remove,
+        list,
+        connect,
+        renderToggle,
+        refresh,
+        open,
+        close,
+        exportIcs,
+        exportCsv
+    };
+})();
@@ -0,0 +1,374 @@
+/**
+ * Timezone resolution for community events.
+ *
+ * The events sheet records a free-text abbreviation such as "IST" or "CST",
+ * several of which mean different zones in different parts of the world.
+ * This module maps them to IANA zones, using the event's region as a hint,
+ * and derives offsets and VTIMEZONE definitions from the platform's Intl
+ * timezone data. Shared by the events page (as window.ISOC.Timezones) and
+ * the feed generators in scripts/ (via require).
+ */
+(function (root, factory) {
+    const timezones = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = timezones;
+    } else {
+        root.ISOC = root.ISOC || {};
+        root.ISOC.Timezones = timezones;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Abbreviation → IANA zone. `default` applies unless the event's region
+     * has its own entry. Daylight-saving variants (PDT, CEST, ...) map to the
+     * same zone as their standard abbreviation: the zone's rules decide which
+     * offset applies on the event's date.
+     */
+    const ABBREVIATIONS = {
+        UTC: { default: 'UTC' },
+        GMT: { default: 'UTC' },
+        Z: { default: 'UTC' },
+
+        // Americas
+        ET: { default: 'America/New_York' },
+        EST: { default: 'America/New_York', 'Latin America & Caribbean': 'America/Panama' },
+        EDT: { default: 'America/New_York' },
+        CT: { default: 'America/Chicago' },
+        CST: {
+            default: 'America/Chicago',
+            'Latin America & Caribbean': 'America/Guatemala',
+            'Asia Pacific': 'Asia/Shanghai'
+        },
+        CDT: { default: 'America/Chicago' },
+        MT: { default: 'America/Denver' },
+        MST: { default: 'America/Denver' },
+        MDT: { default: 'America/Denver' },
+        PT: { default: 'America/Los_Angeles' },
+        PST: { default: 'America/Los_Angeles' },
+        PDT: { default: 'America/Los_Angeles' },
+        AST: {
+            default: 'America/Puerto_Rico',
+            'North America': 'America/Halifax',
+            'Middle East': 'Asia/Riyadh'
+        },
+        ADT: { default: 'America/Halifax' },
+        BRT: { default: 'America/Sao_Paulo' },
+        ART: { default: 'America/Argentina/Buenos_Aires' },
+        CLT: { default: 'America/Santiago' },
+        CLST: { default: 'America/Santiago' },
+        BOT: { default: 'America/La_Paz' },
+        COT: { default: 'America/Bogota' },
+        PET: { default: 'America/Lima' },
+        ECT: { default: 'America/Guayaquil' },
+        VET: { default: 'America/Caracas' },
+        UYT: { default: 'America/Montevideo' },
+        PYT: { default: 'America/Asuncion' },
+
+        // Europe and Africa
+        WET: { default: 'Europe/Lisbon' },
+        WEST: { default: 'Europe/Lisbon' },
+        BST: { default: 'Europe/London' },
+        CET: { default: 'Europe/Paris' },
+        CEST: { default: 'Europe/Paris' },
+        EET: { default: 'Europe/Athens' },
+        EEST: { default: 'Europe/Athens' },
+        MSK: { default: 'Europe/Moscow' },
+        WAT: { default: 'Africa/Lagos' },
+        CAT: { default: 'Africa/Maputo' },
+        EAT: { default: 'Africa/Nairobi' },
+        SAST: { default: 'Africa/Johannesburg' },
+
+        // Middle East and Asia Pacific
+        GST: { default: 'Asia/Dubai' },
+        IST: { default: 'Asia/Kolkata', Europe: 'Europe/Dublin', 'Middle East': 'Asia/Jerusalem' },
+        PKT: { default: 'Asia/Karachi' },
+        NPT: { default: 'Asia/Kathmandu' },
+        BDT: { default: 'Asia/Dhaka' },
+        ICT: { default: 'Asia/Bangkok' },
+        WIB: { default: 'Asia/Jakarta' },
+        SST: { default: 'Asia/Singapore' },
+        SGT: { default: 'Asia/Singapore' },
+        MYT: { default: 'Asia/Kuala_Lumpur' },
+        PHT: { default: 'Asia/Manila' },
+        HKT: { default: 'Asia/Hong_Kong' },
+        JST: { default: 'Asia/Tokyo' },
+        KST: { default: 'Asia/Seoul' },
+        AWST: { default: 'Australia/Perth' },
+        ACST: { default: 'Australia/Adelaide' },
+        AEST: { default: 'Australia/Sydney' },
+        AEDT: { default: 'Australia/Sydney' },
+        NZST: { default: 'Pacific/Auckland' },
+        NZDT: { default: 'Pacific/Auckland' }
+    };
+
+    /**
+     * IANA areas (the part of a zone name before the first "/") where the zones
+     * of each event region lie. An abbreviation whose zone lies elsewhere, such
+     * as EST for an event in Africa, isn't read for that region: the sheet should
+     * name the IANA zone instead. Global events take any zone.
+     */
+    const REGION_AREAS = {
+        'North America': ['America'],
+        'Latin America & Caribbean': ['America'],
+        Europe: ['Europe', 'Atlantic'],
+        Africa: ['Africa', 'Atlantic', 'Indian'],
+        'Middle East': ['Asia', 'Europe', 'Africa'],
+        'Asia Pacific': ['Asia', 'Australia', 'Pacific', 'Indian']
+    };
+
+    const formatterCache = new Map();
+
+    /**
+     * Whether the runtime knows an IANA zone name
+     * @param {string} zone
+     * @returns {boolean}
+     */
+    function isValidZone(zone) {
+        try {
+            getFormatter(zone);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function getFormatter(zone) {
+        if (!formatterCache.has(zone)) {
+            formatterCache.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        return formatterCache.get(zone);
+    }
+
+    /**
+     * Resolve the sheet's timezone value to an IANA zone
+     * @param {string} value - Abbreviation ("IST"), offset ("UTC+3") or IANA name
+     * @param {string} [region] - Event region, used to pick between meanings of an abbreviation
+     * @returns {string|null} IANA zone, or null if the value can't be resolved
+     */
+    function resolve(value, region) {
+        if (!value || typeof value !== 'string') return null;
+        const trimmed = value.trim();
+
+        if (trimmed.includes('/')) {
+            return isValidZone(trimmed) ? trimmed : null;
+        }
+
+        // Fixed offsets such as "UTC+3" or "GMT-5" (Etc/ zones use inverted signs)
+        const offsetMatch = trimmed.match(/^(?:UTC|GMT)\s*([+-])\s*(\d{1,2})(?::?00)?$/i);
+        if (offsetMatch) {
+            const hours = Number(offsetMatch[2]);
+            if (hours === 0) return 'UTC';
+            const zone = `Etc/GMT${offsetMatch[1] === '+' ? '-' : '+'}${hours}`;
+            return isValidZone(zone) ? zone : null;
+        }
+
+        const entry = ABBREVIATIONS[trimmed.toUpperCase()];
+        if (!entry) return null;
+        if (region && entry[region]) return entry[region];
+        return isInRegion(entry.default, region) ? entry.default : null;
+    }
+
+    // Whether a zone is one an event of the region could be in (UTC always is)
+    function isInRegion(zone, region) {
+        const areas = REGION_AREAS[region];
+        return !areas || zone === 'UTC' || areas.includes(zone.split('/')[0]);
+    }
+
+    /**
+     * Offset of a zone from UTC at an instant, in minutes (east positive)
+     * @param {string} zone
+     * @param {Date|number} instant
+     * @returns {number}
+     */
+    function getOffsetMinutes(zone, instant) {
+        const time = typeof instant === 'number' ? instant : instant.getTime();
+        const parts = {};
+        getFormatter(zone).formatToParts(new Date(time)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        const asUtc = Date.UTC(
+            Number(parts.year),
+            Number(parts.month) - 1,
+            Number(parts.day),
+            Number(parts.hour),
+            Number(parts.minute),
+            Number(parts.second)
+        );
+        // Intl drops milliseconds, so compare against the instant truncated to the second
+        return Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Convert a wall-clock date and time in a zone to a UTC instant
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} [time] - H:MM or HH:MM; midnight if omitted
+     * @param {string} zone - IANA zone
+     * @returns {Date}
+     */
+    function toUtc(date, time, zone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours = 0, minutes = 0] = (time || '').split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+        // Guess with the offset at the wall-clock time, then correct once in
+        // case the guess landed on the other side of a DST transition
+        let instant = wallClock - getOffsetMinutes(zone, wallClock) * 60000;
+        const corrected = wallClock - getOffsetMinutes(zone, instant) * 60000;
+        if (corrected !== instant) instant = corrected;
+        return new Date(instant);
+    }
+
+    /**
+     * Convert a wall-clock date and time from one zone to another
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - H:MM or HH:MM
+     * @param {string} fromZone - IANA zone the time is expressed in
+     * @param {string} toZone - IANA zone to express it in
+     * @returns {{ date: string, time: string }} YYYY-MM-DD and HH:MM in toZone
+     */
+    function convertWallClock(date, time, fromZone, toZone) {
+        const instant = toUtc(date, time, fromZone).getTime();
+        const shifted = new Date(instant + getOffsetMinutes(toZone, instant) * 60000).toISOString();
+        return { date: shifted.slice(0, 10), time: shifted.slice(11, 16) };
+    }
+
+    /**
+     * Convert an event's start and end times to another zone; the end time is
+     * on the event's endDate, or its startDate when it has none
+     * @param {{ startDate: string, startTime: string, endDate?: string, endTime?: string }} event
+     * @param {string} fromZone - IANA zone the times are expressed in
+     * @param {string} toZone - IANA zone to express them in
+     * @returns {{ start: { date: string, time: string }, end: ?{ date: string, time: string } }}
+     */
+    function convertTimes(event, fromZone, toZone) {
+        return {
+            start: convertWallClock(event.startDate, event.startTime, fromZone, toZone),
+            end: event.endTime
+                ? convertWallClock(event.endDate || event.startDate, event.endTime, fromZone, toZone)
+                : null
+        };
+    }
+
+    /**
+     * The runtime's own IANA zone (the viewer's, in a browser)
+     * @returns {string}
+     */
+    function getLocalZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
+        }
+    }
+
+    function formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const abs = Math.abs(minutes);
+        return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+    }
+
+    // iCalendar local date-time (YYYYMMDDTHHMMSS) for an instant shifted by an offset
+    function formatLocal(instant, offsetMinutes) {
+        return new Date(instant + offsetMinutes * 60000).toISOString().replace(/[-:]/g, '').slice(0, 15);
+    }
+
+    // Short zone name such as "EDT"; null where the locale data only has "GMT+2"
+    function abbreviationAt(zone, instant) {
+        const part = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'short' })
+            .formatToParts(new Date(instant))
+            .find(p => p.type === 'timeZoneName');
+        return part && !/^(GMT|UTC)[+-]/.test(part.value) ? part.value : null;
+    }
+
+    /**
+     * Find the instants in [start, end) at which a zone's offset changes
+     * @param {string} zone
+     * @param {number} start - Epoch milliseconds
+     * @param {number} end - Epoch milliseconds
+     * @returns {{ at: number, from: number, to: number }[]}
+     */
+    function findTransitions(zone, start, end) {
+        const DAY = 86400000;
+        const transitions = [];
+        let previous = getOffsetMinutes(zone, start);
+
+        for (let t = start + DAY; t < end + DAY; t += DAY) {
+            const current = getOffsetMinutes(zone, t);
+            if (current === previous) continue;
+
+            // Narrow the change down to the minute
+            let low = t - DAY;
+            let high = t;
+            while (high - low > 60000) {
+                const mid = low + Math.floor((high - low) / 120000) * 60000;
+                if (getOffsetMinutes(zone, mid) === previous) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            transitions.push({ at: high, from: previous, to: current });
+            previous = current;
+        }
+        return transitions;
+    }
+
+    /**
+     * Build an RFC 5545 VTIMEZONE component for a zone, covering the given
+     * years. Each offset change in that range becomes its own observance, so
+     * the definition stays correct even when a zone's rules have changed.
+     * @param {string} zone - IANA zone
+     * @param {number} fromYear
+     * @param {number} toYear
+     * @returns {string[]} Content lines, without line endings
+     */
+    function buildVTimezone(zone, fromYear, toYear) {
+        const start = Date.UTC(fromYear, 0, 1);
+        const end = Date.UTC(toYear + 1, 0, 1);
+        const initialOffset = getOffsetMinutes(zone, start);
+        const transitions = findTransitions(zone, start, end);
+
+        const observance = (kind, at, from, to) => {
+            const name = abbreviationAt(zone, at);
+            return [
+                `BEGIN:${kind}`,
+                // DTSTART is the local time of the change, in the old offset
+                `DTSTART:${formatLocal(at, from)}`,
+                `TZOFFSETFROM:${formatOffset(from)}`,
+                `TZOFFSETTO:${formatOffset(to)}`,
+                ...(name ? [`TZNAME:${name}`] : []),
+                `END:${kind}`
+            ];
+        };
+
+        // Offsets above the zone's lowest are daylight time
+        const baseOffset = Math.min(initialOffset, ...transitions.map(t => t.to));
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+        lines.push(...observance(initialOffset > baseOffset ? 'DAYLIGHT' : 'STANDARD', start - initialOffset * 60000, initialOffset, initialOffset));
+        transitions.forEach(t => {
+            lines.push(...observance(t.to > baseOffset ? 'DAYLIGHT' : 'STANDARD', t.at, t.from, t.to));
+        });
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    return {
+        ABBREVIATIONS,
+        resolve,
+        isValidZone,
+        getOffsetMinutes,
+        toUtc,
+        convertWallClock,
+        convertTimes,
+        getLocalZone,
+        buildVTimezone
+    };
+});
@@ -1,5 +1,7 @@
 /**
  * @typedef {Object} Opportunity
+ * @property {string} id - Stable ID from ISOC.Ids.opportunityId
+ * @property {string} legacy_id - ID from before the import recorded row IDs, still resolved by permalinks
  * @property {string} title
  * @property {string} action_text
  * @property {string} link
@@ -7,7 +9,7 @@
  * @property {string} why_it_matters
  * @property {string[]} who_can_get_involved
  * @property {string[]} internet_issue
- * @property {string} region
+ * @property {string[]} region - Canonical names from ISOC.Vocabulary
  * @property {string} Type
  * @property {string|null} date
  * @property {boolean|null} archived
@@ -28,6 +30,7 @@
  * @property {string} category
  * @property {string} format
  * @property {string} language
+ * @property {string[]} [languages] - Canonical names from ISOC.Vocabulary, set when the page loads the event
  * @property {string} organizer
  * @property {string} registrationUrl
  */
@@ -108,63 +111,83 @@ window.ISOC.Utils = {
     },
 
     /**
-     * Generate ICS content for an event
-     * @param {Object} event
-     * @param {string} event.title
-     * @param {string} event.description
-     * @param {string} event.startDate
-     * @param {string} [event.startTime]
-     * @param {string} [event.url]
-     * @returns {string}
+     * Read page state from the query string
+     * @param {string[]} listKeys - Keys that may repeat (e.g. ?region=Africa&region=Europe), returned as arrays or null
+     * @param {string[]} [scalarKeys] - Keys returned as a single string or null
+     * @returns {Object<string, string[]|string|null>}
      */
-    generateICS: function (event) {
-        const { title, description, startDate: dateStr, startTime: timeStr, url } = event;
-
-        // Parse date
-        let startDate;
-        if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-            const [year, month, day] = dateStr.split('-').map(Number);
-            startDate = new Date(year, month - 1, day);
-        } else {
-            startDate = new Date(dateStr);
-        }
+    readUrlState: function (listKeys, scalarKeys = []) {
+        const params = new URLSearchParams(window.location.search);
+        const state = {};
+        listKeys.forEach(key => {
+            const values = params.getAll(key).map(v => v.trim()).filter(Boolean);
+            state[key] = values.length ? values : null;
+        });
+        scalarKeys.forEach(key => {
+            const value = (params.get(key) || '').trim();
+            state[key] = value || null;
+        });
+        return state;
+    },
 
-        if (timeStr) {
-            const [hours, minutes] = timeStr.split(':').map(Number);
-            startDate.setHours(hours, minutes);
-        }
+    /**
+     * Write page state to the query string and record it in the session history.
+     * Empty values are omitted, and nothing is recorded if the URL would not change.
+     * @param {Object<string, string[]|string|null>} state
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+     */
+    writeUrlState: function (state, options = {}) {
+        const params = new URLSearchParams();
+        Object.entries(state).forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                value.forEach(v => params.append(key, v));
+            } else if (value) {
+                params.set(key, value);
+            }
+        });
 
-        let icsDateFields = [];
-        const formatDateTimeForICS = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\..+/, '').replace('T', 'T') + 'Z';
-        const formatDateOnlyForICS = (date) => date.toISOString().split('T')[0].replace(/-/g, '');
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
 
-        if (timeStr) {
-            const endDate = new Date(startDate);
-            endDate.setHours(startDate.getHours() + 1);
-            icsDateFields = [
-                `DTSTART:${formatDateTimeForICS(startDate)}`,
-                `DTEND:${formatDateTimeForICS(endDate)}`
-            ];
+        if (options.replace) {
+            history.replaceState(state, '', url);
         } else {
-            icsDateFields = [
-                'DTSTART;VALUE=DATE:' + formatDateOnlyForICS(startDate),
-                'DTEND;VALUE=DATE:' + formatDateOnlyForICS(new Date(startDate.getTime() + 24 * 60 * 60 * 1000))
-            ];
+            history.pushState(state, '', url);
         }
+    },
+
+    /**
+     * How many items have each value of a field, most frequent first
+     * @param {Object[]} items
+     * @param {string} key
+     * @returns {Array<[string, number]>} e.g. [['Webinar', 3], ['Workshop', 1]]
+     */
+    countValues: function (items, key) {
+        const counts = new Map();
+        items.forEach(item => {
+            if (item[key]) counts.set(item[key], (counts.get(item[key]) || 0) + 1);
+        });
+        return Array.from(counts.entries())
+            .sort(([a, aCount], [b, bCount]) => bCount - aCount || a.localeCompare(b));
+    },
 
-        return [
-            'BEGIN:VCALENDAR',
-            'VERSION:2.0',
-            'PRODID:-//Internet Society//Opportunities//EN',
-            'BEGIN:VEVENT',
-            `DTSTAMP:${new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '').replace('T', 'T')}Z`,
-            ...icsDateFields,
-            `SUMMARY:${title}`,
-            `DESCRIPTION:${description}\\n\\nMore info: ${url}`,
-            `URL:${url}`,
-            'END:VEVENT',
-            'END:VCALENDAR'
-        ].join('\r\n');
+    /**
+     * One page of a list, the page number clamped to the pages there are
+     * @param {Array} items
+     * @param {number} page - 1-based
+     * @param {number} pageSize
+     * @returns {{ items: Array, page: number, pageCount: number }}
+     */
+    paginate: function (items, page, pageSize) {
+        const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+        const current = Math.min(Math.max(Math.floor(page) || 1, 1), pageCount);
+        return {
+            items: items.slice((current - 1) * pageSize, current * pageSize),
+            page: current,
+            pageCount
+        };
     },
 
     /**
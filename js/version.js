@@ -0,0 +1,22 @@
+/**
+ * Version stamp of the site's scripts and stylesheets.
+ *
+ * Kept here only: the pages load their assets with ?v=<stamp> (rewritten by
+ * scripts/cache_busting.js) and the generated item pages link the stylesheet
+ * with it. Bump it in every commit that changes a page asset, then run
+ * `node scripts/cache_busting.js`.
+ */
+(function (root, factory) {
+    const version = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = version;
+    } else {
+        root.ISOC = root.ISOC || {};
+        root.ISOC.Version = version;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    return {
+        // YYYYMMDD-HHMM
+        ASSETS: '20261019-1410'
+    };
+});
@@ -0,0 +1,223 @@
+/**
+ * Controlled vocabularies for regions, languages, audiences and event organizers.
+ *
+ * The opportunities and events sheets spell the same value differently
+ * ("Asia-Pacific" / "Asia Pacific", "Español" / "Spanish") and pack several
+ * values into one cell ("Africa, Europe, Global", "English/ Kiswahili").
+ * Shared by the dashboard (as window.ISOC.Vocabulary) and the generators in
+ * scripts/ (via require), so filters and feeds agree on one spelling.
+ */
+(function (root, factory) {
+    const vocabulary = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = vocabulary;
+    } else {
+        root.ISOC = root.ISOC || {};
+        root.ISOC.Vocabulary = vocabulary;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Canonical spellings follow the events sheet, which ISOC.Timezones also uses
+    const REGIONS = [
+        'Global',
+        'Africa',
+        'Asia Pacific',
+        'Europe',
+        'Latin America & Caribbean',
+        'Middle East',
+        'North America'
+    ];
+
+    const LANGUAGES = [
+        'Arabic',
+        'Armenian',
+        'Chinese',
+        'English',
+        'French',
+        'German',
+        'Portuguese',
+        'Russian',
+        'Spanish',
+        'Swahili'
+    ];
+
+    const AUDIENCES = [
+        'Individual Members',
+        'Chapter Members',
+        'Chapter Leaders',
+        'ChAC',
+        'ChAC Steering Committee',
+        'Organization Members',
+        'OMAC Chairs',
+        'Alumni',
+        'Fellows',
+        'Internet Pioneers',
+        'Other'
+    ];
+
+    /**
+     * Lower-cased alias → canonical value. Every canonical value is also its
+     * own alias, so matching is case-insensitive.
+     */
+    const REGION_ALIASES = withCanonical(REGIONS, {
+        'asia-pacific': 'Asia Pacific',
+        'apac': 'Asia Pacific',
+        'latin america and the caribbean': 'Latin America & Caribbean',
+        'latin america and caribbean': 'Latin America & Caribbean',
+        'latin america & the caribbean': 'Latin America & Caribbean',
+        'lac': 'Latin America & Caribbean',
+        'middle-east': 'Middle East'
+    });
+
+    const LANGUAGE_ALIASES = withCanonical(LANGUAGES, {
+        'español': 'Spanish',
+        'espanol': 'Spanish',
+        'castellano': 'Spanish',
+        'inglés': 'English',
+        'ingles': 'English',
+        'anglais': 'English',
+        'français': 'French',
+        'francais': 'French',
+        'francés': 'French',
+        'português': 'Portuguese',
+        'portugués': 'Portuguese',
+        'deutsch': 'German',
+        'kiswahili': 'Swahili',
+        'العربية': 'Arabic'
+    });
+
+    const AUDIENCE_ALIASES = withCanonical(AUDIENCES, {});
+
+    // Organizers are open-ended, so only spelling variants of a group's own name
+    // (case, in "ISOC Artificial intelligence (AI) SIG"). A shortened or translated
+    // name may be another group; validate_data.js flags it for the sheet to fix.
+    const ORGANIZER_ALIASES = withCanonical([], {
+        'isoc artificial intelligence (ai) sig': 'ISOC Artificial Intelligence (AI) SIG'
+    });
+
+    // ISOC groups named in an organizer cell, e.g. "ISOC Guatemala Chapter, Superintendencia
+    // de Telecomunicaciones (SIT) y ..." or "ISOC Saint Vincent and the Grenadines Chapter
+    // and ISOC Trinidad and Tobago Chapter"
+    const ORGANIZER_PATTERN = /\b(?:ISOC|Internet Society)\s+([^,;]+?)\s+(Chapter|Special Interest Group|SIG|Standing Group|Working Group)\b/gi;
+
+    const ORGANIZER_KINDS = {
+        'chapter': 'Chapter',
+        'special interest group': 'SIG',
+        'sig': 'SIG',
+        'standing group': 'Standing Group',
+        'working group': 'Working Group'
+    };
+
+    // Separators seen in multi-language cells: "Armenian, English",
+    // "English/ Kiswahili", "Spanish - English", "Español e Inglés"
+    const LANGUAGE_SEPARATOR = /\s*(?:[,/;&+]|\s-\s|\s(?:and|e|y|et)\s)\s*/i;
+
+    function withCanonical(values, aliases) {
+        const table = {};
+        values.forEach(value => { table[value.toLowerCase()] = value; });
+        Object.keys(aliases).forEach(alias => { table[alias] = aliases[alias]; });
+        return table;
+    }
+
+    function canonical(table, value) {
+        const trimmed = String(value).replace(/\s+/g, ' ').trim();
+        return table[trimmed.toLowerCase()] || trimmed;
+    }
+
+    // Canonical values of a list or a delimited string, without duplicates;
+    // values outside the vocabulary are kept as written
+    function normalizeList(table, value, separator) {
+        if (value === null || value === undefined || value === '') return [];
+        const parts = Array.isArray(value) ? value : String(value).split(separator);
+        const result = [];
+        parts.forEach(part => {
+            if (part === null || part === undefined) return;
+            const normalized = canonical(table, part);
+            if (normalized && !result.includes(normalized)) result.push(normalized);
+        });
+        return result;
+    }
+
+    /**
+     * Canonical spelling of a single region
+     * @param {string} value
+     * @returns {string}
+     */
+    function region(value) {
+        return value ? canonical(REGION_ALIASES, value) : '';
+    }
+
+    /**
+     * Regions of a comma-separated cell or a list
+     * @param {string|string[]} value - e.g. "Africa, Europe, Global"
+     * @returns {string[]}
+     */
+    function regions(value) {
+        return normalizeList(REGION_ALIASES, value, ',');
+    }
+
+    /**
+     * Languages of a cell such as "Español e Inglés" or "English/ Kiswahili"
+     * @param {string|string[]} value
+     * @returns {string[]}
+     */
+    function languages(value) {
+        return normalizeList(LANGUAGE_ALIASES, value, LANGUAGE_SEPARATOR);
+    }
+
+    /**
+     * Audiences of a comma-separated "Who Can Get Involved" cell or a list
+     * @param {string|string[]} value
+     * @returns {string[]}
+     */
+    function audiences(value) {
+        return normalizeList(AUDIENCE_ALIASES, value, ',');
+    }
+
+    /**
+     * ISOC chapters and groups organizing an event, from an organizer cell that may
+     * also name partners; a cell naming no ISOC group is kept as written
+     * @param {string} value - e.g. "ISOC Armenia Chapter as Co-organizer"
+     * @returns {string[]} e.g. ['ISOC Armenia Chapter']
+     */
+    function organizers(value) {
+        if (value === null || value === undefined) return [];
+        const text = String(value).replace(/\s+/g, ' ').trim();
+        const names = findOrganizers(text);
+        return normalizeList(ORGANIZER_ALIASES, names.length ? names : [text]);
+    }
+
+    // "ISOC <name> <kind>" for each ISOC group an organizer cell names
+    function findOrganizers(text) {
+        return Array.from(text.matchAll(ORGANIZER_PATTERN),
+            ([, name, kind]) => `ISOC ${name} ${ORGANIZER_KINDS[kind.toLowerCase()]}`);
+    }
+
+    /**
+     * How an organizer cell is read, for the data validator
+     * @param {string} value
+     * @returns {{ recognized: boolean, aliased: string[][] }} Whether the cell names an
+     *     ISOC group, and [as written, canonical] for each name an alias respelled
+     */
+    function inspectOrganizers(value) {
+        const text = value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ').trim();
+        const names = findOrganizers(text);
+        return {
+            recognized: names.length > 0,
+            aliased: names
+                .map(name => [name, canonical(ORGANIZER_ALIASES, name)])
+                .filter(([name, canonicalName]) => name !== canonicalName)
+        };
+    }
+
+    return {
+        REGIONS,
+        LANGUAGES,
+        AUDIENCES,
+        region,
+        regions,
+        languages,
+        audiences,
+        organizers,
+        inspectOrganizers
+    };
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Cache-busting for the site's pages: sets the ?v= query of every local script
+ * and stylesheet in the HTML files to the stamp in js/version.js, so browsers
+ * and the service worker fetch the new files after a deploy.
+ *
+ * Usage: node scripts/cache_busting.js [--check]
+ *   --check  Only list files whose stamps are out of date; exits 1 if any are
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Version = require('../js/version.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Generated item pages link the stylesheet with the stamp themselves (generate_pages.js)
+const SKIPPED_DIRS = ['node_modules', '.git', 'opportunities', path.join('community-events', 'events')];
+
+// src="js/main.js", href="../css/styles.css?v=20260101-1200", ... but not https:// URLs
+const ASSET_PATTERN = /((?:src|href)=")(?!https?:|\/\/)([^"?#]+\.(?:js|css))(?:\?v=[^"#]*)?(")/g;
+
+function findHtmlFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return SKIPPED_DIRS.includes(path.relative(ROOT, file)) ? [] : findHtmlFiles(file);
+        }
+        return entry.name.endsWith('.html') ? [file] : [];
+    });
+}
+
+function stamp(html, version) {
+    return html.replace(ASSET_PATTERN, (match, before, url, after) => `${before}${url}?v=${version}${after}`);
+}
+
+function run() {
+    const check = process.argv.includes('--check');
+    const outdated = findHtmlFiles(ROOT).filter(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        const stamped = stamp(html, Version.ASSETS);
+        if (stamped === html) return false;
+        if (!check) fs.writeFileSync(file, stamped);
+        return true;
+    });
+
+    outdated.forEach(file => console.log(`${check ? 'Out of date' : 'Updated'}: ${path.relative(ROOT, file)}`));
+    console.log(`${outdated.length} file(s) ${check ? 'with stamps other than' : 'stamped with'} ${Version.ASSETS}`);
+    return !(check && outdated.length);
+}
+
+if (require.main === module) {
+    process.exit(run() ? 0 : 1);
+}
+
+module.exports = {
+    findHtmlFiles,
+    stamp
+};
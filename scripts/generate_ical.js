@@ -1,108 +1,17 @@
 const fs = require('fs');
 const path = require('path');
-const { v5: uuidv5 } = require('uuid');
+const { opportunityId } = require('../js/ids.js');
+const ICS = require('../js/ics.js');
+const Feeds = require('../js/feeds.js');
+const Recurrence = require('../js/recurrence.js');
 
 // Configuration
 const OPPORTUNITIES_JSON = path.join(__dirname, '../data/opportunities.json');
 const EVENTS_JSON = path.join(__dirname, '../community-events/data/events.json');
 const OPPORTUNITIES_ICAL = path.join(__dirname, '../data/opportunities.ics');
 const EVENTS_ICAL = path.join(__dirname, '../community-events/data/events.ics');
-const SITE_URL = 'https://opportunities.internetsociety.org';
-
-// A unique, stable namespace for generating UUIDs. This should never change.
-const UUID_NAMESPACE = 'a3b7e5dc-cd5a-43b9-a563-71c1f43c3f8f';
-
-// Minimal timezone definitions for common abbreviations used by events
-const TIMEZONE_DEFINITIONS = {
-    CET: [
-        'BEGIN:VTIMEZONE',
-        'TZID:CET',
-        'X-LIC-LOCATION:CET',
-        'BEGIN:DAYLIGHT',
-        'TZOFFSETFROM:+0100',
-        'TZOFFSETTO:+0200',
-        'TZNAME:CEST',
-        'DTSTART:19810329T020000',
-        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
-        'END:DAYLIGHT',
-        'BEGIN:STANDARD',
-        'TZOFFSETFROM:+0200',
-        'TZOFFSETTO:+0100',
-        'TZNAME:CET',
-        'DTSTART:19801026T030000',
-        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
-        'END:STANDARD',
-        'END:VTIMEZONE'
-    ].join('\r\n') + '\r\n',
-    UTC: [
-        'BEGIN:VTIMEZONE',
-        'TZID:UTC',
-        'X-LIC-LOCATION:UTC',
-        'BEGIN:STANDARD',
-        'TZOFFSETFROM:+0000',
-        'TZOFFSETTO:+0000',
-        'TZNAME:UTC',
-        'DTSTART:19700101T000000',
-        'END:STANDARD',
-        'END:VTIMEZONE'
-    ].join('\r\n') + '\r\n'
-};
-
-function getTimezoneBlock(tzid) {
-    if (!tzid) return null;
-    const upper = tzid.toUpperCase();
-    return TIMEZONE_DEFINITIONS[upper] ? { id: upper, block: TIMEZONE_DEFINITIONS[upper] } : null;
-}
-
-function formatLocalDateTime(dateStr, timeStr) {
-    if (!dateStr) return '';
-    const datePart = dateStr.replace(/-/g, '');
-    if (!timeStr) return `${datePart}`;
-    const [h = '00', m = '00', s = '00'] = timeStr.split(':').map(part => part.padStart(2, '0'));
-    return `${datePart}T${h}${m}${s}`;
-}
-
-// Helper function to escape special characters and fold long lines
-function escapeICalText(text) {
-    if (!text) return '';
-    let escaped = String(text)
-        .replace(/\\/g, '\\\\')
-        .replace(/\n/g, '\\n')
-        .replace(/;/g, '\\;')
-        .replace(/,/g, '\\,');
-    return escaped.match(/.{1,72}/g)?.join('\r\n ') || '';
-}
-
-// Helper function to check if a date string has time components
-function hasTimeComponent(dateString) {
-    if (!dateString) return false;
-    return /\d{1,2}:\d{2}(:\d{2})?/.test(dateString);
-}
-
-// Helper function to format date for iCal
-function formatDateForICal(dateString) {
-    if (!dateString || dateString.toLowerCase() === 'ongoing') {
-        return { value: '', isAllDay: false };
-    }
-    try {
-        const date = new Date(dateString);
-        if (isNaN(date.getTime())) return { value: '', isAllDay: false };
-
-        // If the date string doesn't have time components, treat as all-day event
-        if (!hasTimeComponent(dateString)) {
-            // Format as YYYYMMDD for all-day events
-            const yyyy = date.getUTCFullYear();
-            const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
-            const dd = String(date.getUTCDate()).padStart(2, '0');
-            return { value: `${yyyy}${mm}${dd}`, isAllDay: true };
-        }
-        
-        // Format as YYYYMMDDTHHmmssZ (UTC) for timed events
-        return { value: date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z', isAllDay: false };
-    } catch (e) {
-        return { value: '', isAllDay: false };
-    }
-}
+const FEEDS_DIR = path.join(__dirname, '..', Feeds.FEEDS_DIR);
+const EVENT_FEEDS_DIR = path.join(__dirname, '..', Feeds.EVENT_FEEDS_DIR);
 
 // Helper function to ensure directory exists
 function ensureParent(filePath) {
@@ -138,182 +47,57 @@ function isValidFutureDate(dateString) {
     }
 }
 
-function normalizeWebUrl(rawValue) {
-    if (rawValue === null || rawValue === undefined) return null;
-    const value = String(rawValue).trim();
-    if (!value) return null;
-    const hasScheme = /^https?:\/\//i.test(value);
-    const candidate = hasScheme ? value : `https://${value}`;
-    try {
-        const parsed = new URL(candidate);
-        const protocol = parsed.protocol.toLowerCase();
-        if ((protocol !== 'http:' && protocol !== 'https:') || !parsed.hostname || /\s/.test(parsed.hostname)) {
-            return null;
-        }
-        return parsed.toString();
-    } catch {
-        return null;
-    }
+// Last day of a calendar entry (its end date when it has one), or null for a
+// recurring event whose series doesn't end
+function getLastDate(entry) {
+    const isIsoDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const lastStart = entry.recurrence ? Recurrence.lastOccurrence(entry) : entry.startDate;
+    if (!isIsoDate(lastStart) || !isIsoDate(entry.startDate) || !isIsoDate(entry.endDate)) return lastStart;
+    return Recurrence.addDays(entry.endDate, Recurrence.daysBetween(entry.startDate, lastStart));
 }
 
 // Generate iCal for events only
 function generateEventsICal(events) {
     if (!events || events.length === 0) {
         console.log('No events to process for iCal');
-        return 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//Internet Society//Events//EN\r\nCALSCALE:GREGORIAN\r\nMETHOD:PUBLISH\r\nEND:VCALENDAR';
     }
 
-    // Use a stable timestamp for DTSTAMP - only update when content changes
-    const stableTimestamp = '20240101T000000Z'; // Fixed timestamp for stability
-
-    // Get unique timezones from events
-    const timezones = new Set();
     events.forEach(event => {
-        if (event.timeZone) {
-            timezones.add(event.timeZone);
+        if (event.startTime && !event.zone) {
+            console.warn(`Unresolved timezone for event "${event.title}"; using floating local time`);
         }
     });
 
-    // Start building the iCal content
-    let ical = 'BEGIN:VCALENDAR\r\n' +
-              'VERSION:2.0\r\n' +
-              'PRODID:-//Internet Society//Events//EN\r\n' +
-              'CALSCALE:GREGORIAN\r\n' +
-              'METHOD:PUBLISH\r\n';
-    
-    // Add timezone definitions
-    timezones.forEach(tz => {
-        ical += `BEGIN:VTIMEZONE\r\n`;
-        ical += `TZID:${tz}\r\n`;
-        ical += `X-LIC-LOCATION:${tz}\r\n`;
-        // Add standard time (CET)
-        ical += `BEGIN:STANDARD\r\n`;
-        ical += `DTSTART:19701025T030000\r\n`;
-        ical += `TZOFFSETFROM:+0200\r\n`;
-        ical += `TZOFFSETTO:+0100\r\n`;
-        ical += `TZNAME:CET\r\n`;
-        ical += `END:STANDARD\r\n`;
-        // Add daylight saving time (CEST)
-        ical += `BEGIN:DAYLIGHT\r\n`;
-        ical += `DTSTART:19700329T020000\r\n`;
-        ical += `TZOFFSETFROM:+0100\r\n`;
-        ical += `TZOFFSETTO:+0200\r\n`;
-        ical += `TZNAME:CEST\r\n`;
-        ical += `END:DAYLIGHT\r\n`;
-        ical += `END:VTIMEZONE\r\n`;
-    });
-
-    let eventCount = 0;
-
-    events.forEach(event => {
-        try {
-            if (!event.startDate) {
-                console.log('Skipping event - no start date:', event.title || 'Untitled Event');
-                return;
-            }
-            
-            const uid = uuidv5(`${event.title || ''}${event.startDate}${event.startTime || ''}`, UUID_NAMESPACE);
-            const summary = event.title || 'Untitled Event';
-            const description = event.description || '';
-            const url = event.link ? `\nURL:${event.link}` : '';
-            
-            // Format start date with timezone
-            let startDateStr = event.startDate;
-            if (event.startTime) {
-                startDateStr = `${event.startDate}T${event.startTime.padStart(5, '0')}:00`;
-            }
-            
-            // Format end date (use start date if not provided)
-            let endDateStr = event.endDate || event.startDate;
-            if (event.endTime) {
-                endDateStr = `${endDateStr}T${event.endTime.padStart(5, '0')}:00`;
-            } else if (event.startTime) {
-                // If there's a start time but no end time, assume 1 hour duration
-                const start = new Date(`${event.startDate}T${event.startTime.padStart(5, '0')}:00`);
-                start.setHours(start.getHours() + 1);
-                endDateStr = start.toISOString().slice(0, 19);
-            }
-            
-            const startDate = formatDateForICal(startDateStr);
-            const endDate = endDateStr ? formatDateForICal(endDateStr) : startDate;
-            
-            if (!startDate.value) {
-                console.log('Skipping event - invalid start date:', event.title || 'Untitled Event', 'Date:', startDateStr);
-                return;
-            }
-            
-            ical += 'BEGIN:VEVENT\r\n' +
-                   `UID:${uid}\r\n` +
-                   `DTSTAMP:${stableTimestamp}\r\n` +
-                   `SUMMARY:${escapeICalText(summary)}\r\n`;
-            
-            if (description || url) {
-                ical += `DESCRIPTION:${escapeICalText(description)}${url}\r\n`;
-            }
-            
-            if (event.timeZone && !startDate.isAllDay) {
-                // For events with timezone, use TZID and local time format (YYYYMMDDTHHmmss)
-                const formatForTZ = (dateStr) => {
-                    if (!dateStr) return '';
-                    // Convert YYYY-MM-DDTHH:mm:ss to YYYYMMDDTHHmmss format
-                    return dateStr.replace(/[-:]/g, '').replace(/T(\d{2})(\d{2})(\d{2})/, 'T$1$2$3');
-                };
-                
-                ical += `DTSTART;TZID=${event.timeZone}:${formatForTZ(startDateStr)}\r\n`;
-                ical += `DTEND;TZID=${event.timeZone}:${formatForTZ(endDateStr || startDateStr)}\r\n`;
-            } else if (startDate.isAllDay) {
-                ical += `DTSTART;VALUE=DATE:${event.startDate.replace(/-/g, '')}\r\n`;
-                ical += `DTEND;VALUE=DATE:${(event.endDate || event.startDate).replace(/-/g, '')}\r\n`;
-            } else {
-                ical += `DTSTART:${startDate.value}\r\n`;
-                ical += `DTEND:${endDate.value || startDate.value}\r\n`;
-            }
-            
-            if (event.location) {
-                ical += `LOCATION:${escapeICalText(event.location)}\r\n`;
-            }
-            
-            ical += 'END:VEVENT\r\n';
-            eventCount++;
-            
-        } catch (error) {
-            console.error('Error processing event:', event.title || 'Untitled Event', error);
-        }
+    const ical = ICS.buildCalendar(events, {
+        prodId: '-//Internet Society//Events//EN',
+        name: 'Internet Society Community Events'
     });
-    
-    ical += 'END:VCALENDAR';
-    console.log(`Processed ${eventCount} events for iCal`);
+    console.log(`Processed ${events.length} events for iCal`);
     return ical;
 }
 
-// Process opportunities data
+// Process opportunities data into calendar entries linking to their detail view on the dashboard
 function processOpportunities(opportunities) {
     return opportunities.map(opp => ({
-        title: opp['Outreach Activity [Title]'] || '',
-        description: opp['Opportunity [Description]'] || '',
-        startDate: opp.Date,
-        endDate: opp['End Date'],
-        link: normalizeWebUrl(opp.Link) || '',
-        type: opp.Type || '',
-        region: opp.Region || '',
-        isEvent: false
+        ...ICS.fromOpportunity({
+            id: opportunityId(opp),
+            title: opp['Outreach Activity [Title]'] || '',
+            description: opp['Opportunity [Description]'] || '',
+            whyItMatters: opp['Why It Matters'] || '',
+            date: opp.Date,
+            endDate: opp['End Date'],
+            creationDate: opp['Creation date'],
+            updatedAt: opp.updated_at
+        }),
+        facets: Feeds.opportunityFacets(opp)
     }));
 }
 
-// Process events data
+// Process events data into calendar entries
 function processEvents(events) {
     return events.map(event => ({
-        title: event.title || '',
-        description: event.description || '',
-        startDate: event.startDate,
-        endDate: event.endDate,
-        startTime: event.startTime,
-        endTime: event.endTime,
-        timeZone: event.timeZone || 'UTC',
-        link: normalizeWebUrl(event.registrationUrl) || '',
-        type: event.type || '',
-        region: event.region || '',
-        isEvent: true
+        ...ICS.fromCommunityEvent(event),
+        facets: Feeds.eventFacets(event)
     }));
 }
 
@@ -339,6 +123,80 @@ function hasContentChanged(filePath, newContent) {
     }
 }
 
+// Write a file only if its content changed, creating its directory if needed
+function writeIfChanged(filePath, content) {
+    if (!hasContentChanged(filePath, content)) return false;
+    ensureParent(filePath);
+    fs.writeFileSync(filePath, content, { encoding: 'utf-8' });
+    return true;
+}
+
+// One calendar per region, internet issue and opportunity type. They hold
+// opportunities only, like the facet RSS feeds next to them; community events
+// have the events calendar and their organizer feeds.
+function buildFacetCalendars(processedOpps, validItems) {
+    return Feeds.partition(processedOpps).map(group => ({
+        group,
+        feedPath: Feeds.feedPath(group.facet, group.value, 'ics'),
+        ical: ICS.buildCalendar(group.items.filter(item => validItems.includes(item)), {
+            prodId: '-//Internet Society//Opportunities//EN',
+            name: `Internet Society Opportunities: ${group.value}`
+        })
+    }));
+}
+
+// Write the facet calendars, removing feeds for values that no longer appear in
+// the data. A value whose opportunities are all past keeps an empty calendar so
+// existing subscriptions don't break.
+function generateFacetFeeds(processedOpps, validItems) {
+    const written = new Set();
+    buildFacetCalendars(processedOpps, validItems).forEach(({ group, feedPath, ical }) => {
+        const outputFile = path.join(__dirname, '..', feedPath);
+        if (writeIfChanged(outputFile, ical)) {
+            console.log(`Updated ${Feeds.FACET_LABELS[group.facet].toLowerCase()} iCal at ${outputFile}`);
+        }
+        written.add(outputFile);
+    });
+
+    removeStaleFeeds(FEEDS_DIR, written);
+}
+
+// Generate one calendar per event organizer, with all of its events like the
+// events calendar, so a chapter can embed its own on its website
+function generateOrganizerFeeds(processedEvents) {
+    const written = new Set();
+    Feeds.partition(processedEvents, ['organizer']).forEach(group => {
+        const outputFile = path.join(__dirname, '..', Feeds.organizerFeedPath(group.value, 'ics'));
+        const ical = ICS.buildCalendar(group.items, {
+            prodId: '-//Internet Society//Events//EN',
+            name: `Internet Society Community Events: ${group.value}`
+        });
+        if (writeIfChanged(outputFile, ical)) {
+            console.log(`Updated organizer iCal at ${outputFile}`);
+        }
+        written.add(outputFile);
+    });
+
+    removeStaleFeeds(EVENT_FEEDS_DIR, written);
+}
+
+// Remove calendars in a feeds folder (one subfolder per facet) that weren't just written
+function removeStaleFeeds(feedsDir, written) {
+    if (!fs.existsSync(feedsDir)) return;
+    fs.readdirSync(feedsDir).forEach(facet => {
+        const facetDir = path.join(feedsDir, facet);
+        if (!fs.statSync(facetDir).isDirectory()) return;
+        fs.readdirSync(facetDir)
+            .filter(file => file.endsWith('.ics'))
+            .map(file => path.join(facetDir, file))
+            .filter(file => !written.has(file))
+            .forEach(file => {
+                console.log(`Removing stale feed ${file}`);
+                fs.unlinkSync(file);
+            });
+    });
+}
+
 // Generate iCal file
 function generateICal() {
     try {
@@ -361,91 +219,44 @@ function generateICal() {
                 console.log(`Skipping item '${item.title}' - no start date`);
                 return false;
             }
-            const isValid = isValidFutureDate(item.startDate);
+            // An item stays until its last day, so a conference that has started is
+            // still listed; a recurring event stays while its series has dates to come
+            const lastDate = getLastDate(item);
+            const isValid = lastDate === null || isValidFutureDate(lastDate);
             if (!isValid) {
-                console.log(`Skipping item '${item.title}' - date ${item.startDate} is in the past`);
+                console.log(`Skipping item '${item.title}' - it ended on ${lastDate}`);
             }
             return isValid;
         });
 
-        // Use a stable timestamp for DTSTAMP - only update when content changes
-        const stableTimestamp = '20240101T000000Z'; // Fixed timestamp for stability
-
-        let ical = 'BEGIN:VCALENDAR\r\n' +
-                  'VERSION:2.0\r\n' +
-                  'PRODID:-//Internet Society//Opportunities//EN\r\n' +
-                  'CALSCALE:GREGORIAN\r\n' +
-                  'METHOD:PUBLISH\r\n';
-
-        validItems.forEach(item => {
-            const uid = uuidv5(item.title + item.startDate + (item.isEvent ? 'event' : 'opportunity'), UUID_NAMESPACE);
-            const summary = item.title || (item.isEvent ? 'Untitled Event' : 'Untitled Opportunity');
-            const description = item.description || '';
-            const url = item.link ? `\nURL:${item.link}` : '';
-            
-            // For events with time, combine date and time
-            let startDateStr = item.startDate;
-            if (item.isEvent && item.startTime) {
-                startDateStr = `${item.startDate}T${item.startTime}:00`;
-                if (item.timeZone) {
-                    startDateStr += ` ${item.timeZone}`;
-                }
-            }
-            
-            let endDateStr = item.endDate || item.startDate;
-            if (item.isEvent && item.endTime) {
-                endDateStr = `${endDateStr || item.startDate}T${item.endTime}:00`;
-                if (item.timeZone) {
-                    endDateStr += ` ${item.timeZone}`;
-                }
-            }
-            
-            const startDate = formatDateForICal(startDateStr);
-            const endDate = endDateStr ? formatDateForICal(endDateStr) : startDate;
-            
-            // Skip if we couldn't parse the date
-            if (!startDate.value) return;
-            
-            ical += 'BEGIN:VEVENT\r\n' +
-                   `UID:${uid}\r\n` +
-                   `SUMMARY:${escapeICalText(summary)}\r\n` +
-                   `DESCRIPTION:${escapeICalText(description)}${url}\r\n` +
-                   `DTSTAMP:${stableTimestamp}\r\n`;
-            
-            if (startDate.isAllDay) {
-                ical += `DTSTART;VALUE=DATE:${startDate.value}\r\n`;
-                ical += `DTEND;VALUE=DATE:${endDate.value || startDate.value}\r\n`;
-            } else {
-                ical += `DTSTART:${startDate.value}\r\n`;
-                ical += `DTEND:${endDate.value || startDate.value}\r\n`;
-            }
-            
-            ical += 'END:VEVENT\r\n';
+        const ical = ICS.buildCalendar(validItems, {
+            prodId: '-//Internet Society//Opportunities//EN',
+            name: 'Internet Society Opportunities'
         });
 
-        ical += 'END:VCALENDAR';
-
-        // Write combined iCal with CRLF line endings only if content changed
-        const crlfContent = ical.replace(/\r?\n/g, '\r\n');
-        if (hasContentChanged(OPPORTUNITIES_ICAL, crlfContent)) {
-            fs.writeFileSync(OPPORTUNITIES_ICAL, crlfContent, { encoding: 'utf-8' });
+        // Write combined iCal only if content changed
+        if (hasContentChanged(OPPORTUNITIES_ICAL, ical)) {
+            fs.writeFileSync(OPPORTUNITIES_ICAL, ical, { encoding: 'utf-8' });
             console.log(`Updated opportunities iCal at ${OPPORTUNITIES_ICAL}`);
         } else {
             console.log(`No changes to opportunities iCal, skipping update`);
         }
         
+        // Generate per-region, per-issue and per-type calendars of the opportunities
+        generateFacetFeeds(processedOpps, validItems);
+
         // Generate and write events-only iCal
-        console.log('Processing events for iCal:', JSON.stringify(processedEvents, null, 2));
         const eventsIcal = generateEventsICal(processedEvents);
         ensureParent(EVENTS_ICAL);
-        // Force CRLF line endings
-        const eventsCrlfContent = eventsIcal.replace(/\r?\n/g, '\r\n');
-        if (hasContentChanged(EVENTS_ICAL, eventsCrlfContent)) {
-            fs.writeFileSync(EVENTS_ICAL, eventsCrlfContent, { encoding: 'utf-8' });
+        if (hasContentChanged(EVENTS_ICAL, eventsIcal)) {
+            fs.writeFileSync(EVENTS_ICAL, eventsIcal, { encoding: 'utf-8' });
             console.log(`Updated events iCal at ${EVENTS_ICAL}`);
         } else {
             console.log(`No changes to events iCal, skipping update`);
         }
+
+        // Generate one events calendar per organizer
+        generateOrganizerFeeds(processedEvents);
         
         console.log(`Found ${validItems.length} valid items (${processedOpps.length} opportunities, ${processedEvents.length} events)`);
         
@@ -455,5 +266,13 @@ function generateICal() {
     }
 }
 
-// Run the generator
-generateICal();
+// Run the generator (smoke_test.js requires this file for its helpers)
+if (require.main === module) {
+    generateICal();
+}
+
+module.exports = {
+    processOpportunities,
+    processEvents,
+    buildFacetCalendars
+};
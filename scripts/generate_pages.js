@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const { opportunityId, eventId, legacyOpportunityId, legacyEventId } = require('../js/ids.js');
+const Timezones = require('../js/timezones.js');
+const Vocabulary = require('../js/vocabulary.js');
+const Recurrence = require('../js/recurrence.js');
+const Version = require('../js/version.js');
+
+// Configuration
+const OPPORTUNITIES_JSON = path.join(__dirname, '../data/opportunities.json');
+const EVENTS_JSON = path.join(__dirname, '../community-events/data/events.json');
+const OPPORTUNITY_PAGES_DIR = path.join(__dirname, '../opportunities');
+const EVENT_PAGES_DIR = path.join(__dirname, '../community-events/events');
+const SITEMAP_FILE = path.join(__dirname, '../sitemap.xml');
+const SITE_URL = 'https://opportunities.internetsociety.org';
+const META_DESCRIPTION_LENGTH = 200;
+
+const OPPORTUNITY_IMAGE = `${SITE_URL}/img/social-preview-opportunities.png`;
+const EVENT_IMAGE = `${SITE_URL}/img/social-preview-events.png`;
+
+// Opportunity types that describe something happening on a date, and so get Event markup
+const EVENT_OPPORTUNITY_TYPES = ['Events & Working Sessions'];
+
+// schema.org attendance mode for each event format
+const ATTENDANCE_MODES = {
+    'Online': 'https://schema.org/OnlineEventAttendanceMode',
+    'In-person': 'https://schema.org/OfflineEventAttendanceMode',
+    'Hybrid': 'https://schema.org/MixedEventAttendanceMode'
+};
+
+// Helper function to escape text for HTML and XML
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Serialize JSON-LD so it can't close the surrounding <script> element
+function serializeJsonLd(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+function normalizeWebUrl(rawValue) {
+    if (rawValue === null || rawValue === undefined) return null;
+    const value = String(rawValue).trim();
+    if (!value) return null;
+    const hasScheme = /^https?:\/\//i.test(value);
+    const candidate = hasScheme ? value : `https://${value}`;
+    try {
+        const parsed = new URL(candidate);
+        const protocol = parsed.protocol.toLowerCase();
+        if ((protocol !== 'http:' && protocol !== 'https:') || !parsed.hostname || /\s/.test(parsed.hostname)) {
+            return null;
+        }
+        return parsed.toString();
+    } catch {
+        return null;
+    }
+}
+
+// Shorten text for meta descriptions, breaking on a word boundary
+function truncate(text, maxLength) {
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    if (value.length <= maxLength) return value;
+    return `${value.slice(0, maxLength).replace(/\s+\S*$/, '')}…`;
+}
+
+function isIsoDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Format YYYY-MM-DD for display, independent of the build machine's timezone
+function formatDate(dateString) {
+    if (!isIsoDate(dateString)) return dateString || '';
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Date portion of an ISO timestamp, for sitemap <lastmod>
+function toLastmod(...timestamps) {
+    const value = timestamps.find(t => typeof t === 'string' && /^\d{4}-\d{2}-\d{2}/.test(t));
+    return value ? value.slice(0, 10) : null;
+}
+
+// Split a comma-separated Smartsheet field into trimmed values
+function splitList(value) {
+    if (!value) return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Process opportunities data into page models
+function processOpportunities(opportunities) {
+    return opportunities
+        .filter(opp => opp.Archived !== true && opp['Outreach Activity [Title]'])
+        .map(opp => {
+            const id = opportunityId(opp);
+            return {
+                id,
+                legacyId: legacyOpportunityId(opp),
+                title: opp['Outreach Activity [Title]'].trim(),
+                description: opp['Opportunity [Description]'] || '',
+                whyItMatters: opp['Why It Matters'] || '',
+                whoCanGetInvolved: Vocabulary.audiences(opp['Who Can Get Involved']),
+                issues: splitList(opp['Internet Issue']),
+                regions: Vocabulary.regions(opp.Region),
+                type: opp.Type || '',
+                date: opp.Date || '',
+                link: normalizeWebUrl(opp.Link),
+                actionText: opp['Action [CTA]'] || 'Learn More',
+                creationDate: opp['Creation date'] || null,
+                updatedAt: opp.updated_at || null,
+                pagePath: `/opportunities/${id}.html`,
+                dashboardUrl: `${SITE_URL}/?id=${id}`
+            };
+        });
+}
+
+// Process events data into page models
+function processEvents(events) {
+    return events
+        .filter(event => event.approved !== false && event.title && event.startDate)
+        .map(event => {
+            const id = eventId(event);
+            const rule = Recurrence.parse(event.recurrence);
+            return {
+                id,
+                legacyId: legacyEventId(event),
+                title: event.title.trim(),
+                description: event.description || '',
+                startDate: event.startDate,
+                endDate: event.endDate || null,
+                startTime: event.startTime || null,
+                endTime: event.endTime || null,
+                repeats: rule ? Recurrence.describe(rule) : '',
+                timeZone: event.timeZone || '',
+                region: Vocabulary.region(event.region),
+                type: event.type || '',
+                category: event.category || '',
+                format: event.format || '',
+                languages: Vocabulary.languages(event.language),
+                organizer: event.organizer || '',
+                link: normalizeWebUrl(event.registrationUrl),
+                creationDate: event.creationDate || null,
+                modificationDate: event.updated_at || event.modificationDate || null,
+                pagePath: `/community-events/events/${id}.html`,
+                dashboardUrl: `${SITE_URL}/community-events/`
+            };
+        });
+}
+
+// schema.org date or date-time, with the UTC offset of the event's zone when it can be resolved
+function toSchemaDate(date, time, zone) {
+    if (!isIsoDate(date)) return null;
+    if (!time) return date;
+    const [hours, minutes] = time.split(':');
+    const local = `${date}T${hours.padStart(2, '0')}:${minutes}`;
+    if (!zone) return local;
+
+    const offset = Timezones.getOffsetMinutes(zone, Timezones.toUtc(date, time, zone));
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    return `${local}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Build schema.org Event JSON-LD for a community event
+function buildEventJsonLd(event) {
+    const locations = [];
+    if (event.format !== 'In-person' && event.link) {
+        locations.push({ '@type': 'VirtualLocation', url: event.link });
+    }
+    if (event.format !== 'Online' && event.region) {
+        locations.push({ '@type': 'Place', name: event.region, address: event.region });
+    }
+
+    const zone = Timezones.resolve(event.timeZone, event.region);
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Event',
+        name: event.title,
+        description: event.description,
+        startDate: toSchemaDate(event.startDate, event.startTime, zone),
+        endDate: toSchemaDate(event.endDate || event.startDate, event.endTime, zone),
+        eventStatus: 'https://schema.org/EventScheduled',
+        url: `${SITE_URL}${event.pagePath}`,
+        image: [EVENT_IMAGE]
+    };
+    if (ATTENDANCE_MODES[event.format]) data.eventAttendanceMode = ATTENDANCE_MODES[event.format];
+    if (locations.length) data.location = locations.length === 1 ? locations[0] : locations;
+    if (event.organizer) data.organizer = { '@type': 'Organization', name: event.organizer };
+    if (event.languages.length) data.inLanguage = event.languages.length === 1 ? event.languages[0] : event.languages;
+    return data;
+}
+
+// Build schema.org Event JSON-LD for a dated opportunity such as a working session
+function buildOpportunityJsonLd(opp) {
+    if (!EVENT_OPPORTUNITY_TYPES.includes(opp.type) || !isIsoDate(opp.date)) return null;
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Event',
+        name: opp.title,
+        description: opp.description,
+        startDate: opp.date,
+        endDate: opp.date,
+        eventStatus: 'https://schema.org/EventScheduled',
+        url: `${SITE_URL}${opp.pagePath}`,
+        image: [OPPORTUNITY_IMAGE],
+        organizer: { '@type': 'Organization', name: 'Internet Society', url: 'https://www.internetsociety.org/' }
+    };
+    if (opp.link) data.location = { '@type': 'VirtualLocation', url: opp.link };
+    return data;
+}
+
+// Render the shared page shell with Open Graph, Twitter and JSON-LD metadata
+function renderPage({ title, description, pagePath, image, ogType, jsonLd, body }) {
+    const url = `${SITE_URL}${pagePath}`;
+    const fullTitle = `${title} | Internet Society`;
+    const metaDescription = truncate(description, META_DESCRIPTION_LENGTH);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(fullTitle)}</title>
+    <meta name="description" content="${escapeHtml(metaDescription)}">
+    <link rel="canonical" href="${escapeHtml(url)}">
+
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="${ogType}">
+    <meta property="og:site_name" content="Internet Society">
+    <meta property="og:url" content="${escapeHtml(url)}">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(metaDescription)}">
+    <meta property="og:image" content="${image}">
+    <meta property="og:image:width" content="1200">
+    <meta property="og:image:height" content="630">
+
+    <!-- Twitter -->
+    <meta property="twitter:card" content="summary_large_image">
+    <meta property="twitter:url" content="${escapeHtml(url)}">
+    <meta property="twitter:title" content="${escapeHtml(title)}">
+    <meta property="twitter:description" content="${escapeHtml(metaDescription)}">
+    <meta property="twitter:image" content="${image}">
+    <link rel="icon"
+        href="https://www.internetsociety.org/wp-content/themes/isoc/dist/images/favicon/android-icon-192x192.png">
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css"
+        integrity="sha512-iecdLmaskl7CVkqkXNQ/ZH/XLlvWZOJyj7Yy7tcenmpD1ypASozpmT/E0iPtmFIB46ZmdtAc9eNBvH0H/ZpiBw=="
+        crossorigin="anonymous" referrerpolicy="no-referrer" />
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="/css/styles.css?v=${Version.ASSETS}">
+${jsonLd ? `
+    <script type="application/ld+json">
+${serializeJsonLd(jsonLd)}
+    </script>
+` : ''}</head>
+
+<body>
+    <div class="container item-page">
+${body}
+    </div>
+</body>
+
+</html>
+`;
+}
+
+// Render a list of label/value rows, skipping empty values
+function renderFields(fields) {
+    const rows = fields
+        .filter(([, value]) => value)
+        .map(([label, value]) => `            <dt>${escapeHtml(label)}</dt>\n            <dd>${value}</dd>`)
+        .join('\n');
+    return `        <dl class="opportunity-detail-fields">\n${rows}\n        </dl>`;
+}
+
+function renderTags(tags) {
+    if (tags.length === 0) return '';
+    return `        <div class="card-tags">\n${tags.map(tag => `            ${tag}`).join('\n')}\n        </div>`;
+}
+
+// Render the static page for one opportunity
+function renderOpportunityPage(opp) {
+    const tags = [
+        ...opp.regions.map(region => `<span class="tag tag-region"><i class="fa-solid fa-map-marker-alt"></i> ${escapeHtml(region)}</span>`),
+        ...opp.issues.map(issue => `<span class="tag tag-issue"><i class="fa-solid fa-globe"></i> ${escapeHtml(issue)}</span>`)
+    ];
+    const body = `        <p class="item-page-breadcrumb"><a href="/">Opportunities Dashboard</a></p>
+        <h1>${escapeHtml(opp.title)}</h1>
+${renderTags(tags)}
+${renderFields([
+        ['Category', escapeHtml(opp.type)],
+        ['Date', isIsoDate(opp.date) ? escapeHtml(formatDate(opp.date)) : escapeHtml(opp.date || 'Ongoing')],
+        ['Opportunity', escapeHtml(opp.description)],
+        ['Why it matters', escapeHtml(opp.whyItMatters)],
+        ['Who can get involved', opp.whoCanGetInvolved.length
+            ? `<ul class="audience-list">${opp.whoCanGetInvolved.map(a => `<li>${escapeHtml(a)}</li>`).join('')}</ul>`
+            : '']
+    ])}
+        <div class="item-page-actions">
+${opp.link ? `            <a href="${escapeHtml(opp.link)}" class="cta-button" target="_blank" rel="noopener noreferrer"><i class="icon fa-solid fa-arrow-right"></i>${escapeHtml(opp.actionText)}</a>\n` : ''}            <a href="${escapeHtml(opp.dashboardUrl)}" class="audience-link"><i class="fa-solid fa-table-columns"></i> View on the Opportunities Dashboard</a>
+        </div>`;
+
+    return renderPage({
+        title: opp.title,
+        description: opp.description || opp.whyItMatters,
+        pagePath: opp.pagePath,
+        image: OPPORTUNITY_IMAGE,
+        ogType: 'article',
+        jsonLd: buildOpportunityJsonLd(opp),
+        body
+    });
+}
+
+// Human-readable date and time range for an event
+function describeEventWhen(event) {
+    let when = formatDate(event.startDate);
+    if (event.endDate && event.endDate !== event.startDate) {
+        when += ` – ${formatDate(event.endDate)}`;
+    }
+    if (event.startTime) {
+        when += `, ${event.startTime}${event.endTime ? `–${event.endTime}` : ''}`;
+        if (event.timeZone) when += ` ${event.timeZone}`;
+    }
+    // A recurring event: "Weekly on Tuesday from Jun 2, 2026, ..."
+    if (event.repeats) when = `${event.repeats} from ${when}`;
+    return when;
+}
+
+// Render the static page for one community event
+function renderEventPage(event) {
+    const tags = [
+        ...(event.region ? [`<span class="tag tag-region"><i class="fa-solid fa-map-marker-alt"></i> ${escapeHtml(event.region)}</span>`] : []),
+        ...(event.format ? [`<span class="tag tag-issue"><i class="fa-solid fa-laptop"></i> ${escapeHtml(event.format)}</span>`] : [])
+    ];
+    const body = `        <p class="item-page-breadcrumb"><a href="/community-events/">Community-led Events</a></p>
+        <h1>${escapeHtml(event.title)}</h1>
+${renderTags(tags)}
+${renderFields([
+        ['When', escapeHtml(describeEventWhen(event))],
+        ['Type', escapeHtml(event.type)],
+        ['Category', escapeHtml(event.category)],
+        ['Organizer', escapeHtml(event.organizer)],
+        ['Language', escapeHtml(event.languages.join(', '))],
+        ['About', escapeHtml(event.description)]
+    ])}
+        <div class="item-page-actions">
+${event.link ? `            <a href="${escapeHtml(event.link)}" class="cta-button" target="_blank" rel="noopener noreferrer"><i class="icon fa-solid fa-arrow-right"></i>Register</a>\n` : ''}            <a href="${escapeHtml(event.dashboardUrl)}" class="audience-link"><i class="fa-solid fa-calendar"></i> See all community-led events</a>
+        </div>`;
+
+    return renderPage({
+        title: event.title,
+        description: event.description || `${event.type} organized by ${event.organizer}`,
+        pagePath: event.pagePath,
+        image: EVENT_IMAGE,
+        ogType: 'article',
+        jsonLd: buildEventJsonLd(event),
+        body
+    });
+}
+
+// Page at the ID an item had before the import recorded row IDs, sending
+// visitors on to its current page
+function renderRedirectPage(item) {
+    const url = `${SITE_URL}${item.pagePath}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(item.title)} | Internet Society</title>
+    <meta name="robots" content="noindex">
+    <link rel="canonical" href="${escapeHtml(url)}">
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(url)}">
+</head>
+
+<body>
+    <p><a href="${escapeHtml(url)}">${escapeHtml(item.title)}</a></p>
+</body>
+
+</html>
+`;
+}
+
+// Write one page per item, plus a redirect from its earlier ID, and remove
+// pages for items that no longer exist
+function writePages(dir, items, render) {
+    fs.mkdirSync(dir, { recursive: true });
+    const pages = items.flatMap(item => [
+        { name: `${item.id}.html`, render: () => render(item) },
+        ...(item.legacyId !== item.id ? [{ name: `${item.legacyId}.html`, render: () => renderRedirectPage(item) }] : [])
+    ]);
+    const expected = new Set(pages.map(page => page.name));
+    let written = 0;
+
+    pages.forEach(page => {
+        const file = path.join(dir, page.name);
+        const html = page.render();
+        // Only touch files whose content changed, so the hourly job doesn't commit no-op updates
+        if (!fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== html) {
+            fs.writeFileSync(file, html);
+            written++;
+        }
+    });
+
+    const stale = fs.readdirSync(dir).filter(file => file.endsWith('.html') && !expected.has(file));
+    stale.forEach(file => fs.unlinkSync(path.join(dir, file)));
+
+    console.log(`${items.length} pages in ${dir} (${written} written, ${stale.length} removed)`);
+}
+
+// Build sitemap.xml covering the dashboards and every item page
+function generateSitemap(opportunities, events) {
+    const entries = [
+        { loc: `${SITE_URL}/`, lastmod: null },
+        { loc: `${SITE_URL}/community-events/`, lastmod: null },
+        ...opportunities.map(opp => ({ loc: `${SITE_URL}${opp.pagePath}`, lastmod: toLastmod(opp.updatedAt, opp.creationDate) })),
+        ...events.map(event => ({ loc: `${SITE_URL}${event.pagePath}`, lastmod: toLastmod(event.modificationDate, event.creationDate) }))
+    ];
+
+    const urls = entries.map(entry => [
+        '    <url>',
+        `        <loc>${escapeHtml(entry.loc)}</loc>`,
+        ...(entry.lastmod ? [`        <lastmod>${entry.lastmod}</lastmod>`] : []),
+        '    </url>'
+    ].join('\n')).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+// Generate item pages and the sitemap
+function generatePages() {
+    try {
+        console.log(`Reading opportunities from ${OPPORTUNITIES_JSON}`);
+        const opportunities = processOpportunities(JSON.parse(fs.readFileSync(OPPORTUNITIES_JSON, 'utf8')));
+
+        console.log(`Reading events from ${EVENTS_JSON}`);
+        const events = processEvents(JSON.parse(fs.readFileSync(EVENTS_JSON, 'utf8')));
+
+        console.log('\n=== Generating Opportunity Pages ===');
+        writePages(OPPORTUNITY_PAGES_DIR, opportunities, renderOpportunityPage);
+
+        console.log('\n=== Generating Event Pages ===');
+        writePages(EVENT_PAGES_DIR, events, renderEventPage);
+
+        console.log('\n=== Generating Sitemap ===');
+        fs.writeFileSync(SITEMAP_FILE, generateSitemap(opportunities, events));
+        console.log(`Sitemap written to ${SITEMAP_FILE}`);
+    } catch (error) {
+        console.error('Error generating pages:', error);
+        process.exit(1);
+    }
+}
+
+// Run the generator
+generatePages();
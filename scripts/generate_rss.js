@@ -1,15 +1,28 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { opportunityId, eventId } = require('../js/ids.js');
+const Feeds = require('../js/feeds.js');
+const Vocabulary = require('../js/vocabulary.js');
+const Recurrence = require('../js/recurrence.js');
 
 // Configuration
 const OPPORTUNITIES_JSON = path.join(__dirname, '../data/opportunities.json');
 const EVENTS_JSON = path.join(__dirname, '../community-events/data/events.json');
-const OPPORTUNITIES_OUTPUT_FILE = path.join(__dirname, '../data/opportunities.rss');
-const EVENTS_OUTPUT_FILE = path.join(__dirname, '../community-events/data/events.rss');
+const FEEDS_DIR = path.join(__dirname, '..', Feeds.FEEDS_DIR);
+const EVENT_FEEDS_DIR = path.join(__dirname, '..', Feeds.EVENT_FEEDS_DIR);
 const SITE_URL = 'https://opportunities.internetsociety.org';
 const FEED_ITEM_LIMIT = 100;
 
+// Every feed is written in each of these formats, next to each other
+const FEED_FORMATS = ['rss', 'atom', 'feed.json'];
+
+// Authority for tag: URIs (RFC 4151) used as item IDs and category schemes
+const TAG_AUTHORITY = 'tag:opportunities.internetsociety.org,2024';
+
+// Used when an item has no creation or modification time
+const DEFAULT_TIMESTAMP = '2024-01-01T00:00:00Z';
+
 // Helper function to generate a stable string representation of the data
 function getDataFingerprint(data) {
     return JSON.stringify(data.map(item => ({
@@ -55,32 +68,93 @@ function normalizeWebUrl(rawValue) {
     }
 }
 
-// Process opportunities data
+function toList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Process opportunities data, linking each item to its detail view on the dashboard
 function processOpportunities(opportunities) {
-    return opportunities.map(opp => ({
-        title: opp['Outreach Activity [Title]'] || 'Untitled Opportunity',
-        description: opp['Opportunity [Description]'] || '',
-        link: normalizeWebUrl(opp.Link) || SITE_URL,
-        date: opp.Date,
-        type: opp.Type || '',
-        region: opp.Region || '',
-        creationDate: opp['Creation date'],
-        isEvent: false
-    }));
+    return opportunities.map(opp => {
+        const id = opportunityId(opp);
+        return {
+            id: `${TAG_AUTHORITY}:opportunity/${id}`,
+            title: opp['Outreach Activity [Title]'] || 'Untitled Opportunity',
+            description: opp['Opportunity [Description]'] || '',
+            link: `${SITE_URL}/?id=${id}`,
+            date: opp.Date,
+            type: opp.Type || '',
+            regions: Vocabulary.regions(opp.Region),
+            issues: toList(opp['Internet Issue']),
+            audience: Vocabulary.audiences(opp['Who Can Get Involved']),
+            creationDate: opp['Creation date'],
+            // updated_at moves only when a substantive field changes (see smartsheet-import.yml)
+            modificationDate: opp.updated_at || null,
+            isEvent: false,
+            facets: Feeds.opportunityFacets(opp)
+        };
+    });
+}
+
+// The dates a feed lists a recurring event on: its current or next occurrence,
+// or its last one once the series is over
+function currentOccurrence(event, today) {
+    if (!Recurrence.parse(event.recurrence)) return event;
+    const last = Recurrence.lastOccurrence(event);
+    return Recurrence.expand(event, today, '9999-12-31', 1)[0] ||
+        Recurrence.expand(event, last, last).slice(-1)[0] ||
+        event;
 }
 
 // Process events data
 function processEvents(events) {
-    return events.map(event => ({
-        title: event.title || 'Untitled Event',
-        description: event.description || '',
-        link: normalizeWebUrl(event.registrationUrl) || SITE_URL,
-        date: event.startDate,
-        type: event.type || '',
-        region: event.region || '',
-        creationDate: event.creationDate,
-        isEvent: true
-    }));
+    const today = new Date().toISOString().slice(0, 10);
+    return events.map(event => {
+        const occurrence = currentOccurrence(event, today);
+        return {
+            id: `${TAG_AUTHORITY}:event/${eventId(event)}`,
+            title: event.title || 'Untitled Event',
+            description: event.description || '',
+            link: normalizeWebUrl(event.registrationUrl) || SITE_URL,
+            date: occurrence.startDate,
+            endDate: occurrence.endDate || null,
+            recurrence: Recurrence.parse(event.recurrence) ? event.recurrence : null,
+            type: event.type || '',
+            regions: Vocabulary.regions(event.region),
+            issues: [],
+            audience: [],
+            creationDate: event.creationDate,
+            modificationDate: event.updated_at || event.modificationDate || null,
+            isEvent: true,
+            facets: Feeds.eventFacets(event)
+        };
+    });
+}
+
+// ISO timestamp to the second, or null if the value isn't a valid date
+function toIsoTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+// When an item was first published and last updated
+function getTimestamps(item) {
+    const published = toIsoTimestamp(item.creationDate) || DEFAULT_TIMESTAMP;
+    const updated = toIsoTimestamp(item.modificationDate) || published;
+    return { published, updated: updated > published ? updated : published };
+}
+
+// Categories for an item, each with the facet it belongs to
+function getCategories(item) {
+    return [
+        { scheme: 'kind', term: item.isEvent ? 'Event' : 'Opportunity' },
+        { scheme: 'type', term: item.type },
+        ...item.regions.map(term => ({ scheme: 'region', term })),
+        ...item.issues.map(term => ({ scheme: 'issue', term })),
+        ...item.audience.map(term => ({ scheme: 'audience', term }))
+    ].filter(category => category.term);
 }
 
 // Helper function to check if file content has changed
@@ -89,24 +163,144 @@ function hasContentChanged(filePath, newContent) {
         if (!fs.existsSync(filePath)) {
             return true; // File doesn't exist, so it's a change
         }
+        // Every format renders deterministically, so comparing whole files also
+        // picks up template changes that leave the data fingerprint unchanged
         const existingContent = fs.readFileSync(filePath, 'utf-8');
-        // Extract fingerprint from existing file
-        const existingMatch = existingContent.match(/<!-- DATA_FINGERPRINT:([a-f0-9]+) -->/);
-        const newMatch = newContent.match(/<!-- DATA_FINGERPRINT:([a-f0-9]+) -->/);
-
-        if (!existingMatch || !newMatch) {
-            return true; // If we can't find fingerprints, assume it changed
-        }
-
-        return existingMatch[1] !== newMatch[1];
+        return existingContent !== newContent;
     } catch (error) {
         console.error('Error checking content changes:', error);
         return true; // If we can't check, assume it changed
     }
 }
 
-// Generate RSS feed for a specific data type
-async function generateRSSFeed(items, outputFile, feedTitle, feedDescription, selfLink, options = {}) {
+// RSS 2.0
+function renderRSS(feed, items, fingerprint) {
+    // Use a stable timestamp for lastBuildDate - only update when content changes
+    const stableLastBuildDate = 'Mon, 01 Jan 2024 00:00:00 GMT';
+
+    const rssItems = items.map(item => {
+        const { published } = getTimestamps(item);
+        return `
+                <item>
+                    <title>${sanitizeText(item.title)}</title>
+                    <link>${sanitizeText(item.link)}</link>
+                    <description>${sanitizeText(item.description)}</description>
+                    <pubDate>${new Date(published).toUTCString()}</pubDate>
+                    <guid isPermaLink="false">${item.id}</guid>
+                    ${getCategories(item).map(c => `<category domain="${c.scheme}">${sanitizeText(c.term)}</category>`).join('\n                    ')}
+                </item>
+            `.trim();
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8" ?>
+<!-- DATA_FINGERPRINT:${fingerprint} -->
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+    <channel>
+        <title>${sanitizeText(feed.title)}</title>
+        <link>${SITE_URL}</link>
+        <description>${sanitizeText(feed.description)}</description>
+        <language>en-us</language>
+        <lastBuildDate>${stableLastBuildDate}</lastBuildDate>
+        <atom:link href="${feedUrl(feed, 'rss')}" rel="self" type="application/rss+xml" />
+        ${rssItems}
+    </channel>
+</rss>
+        `.trim();
+}
+
+// Atom 1.0 (RFC 4287)
+function renderAtom(feed, items, fingerprint) {
+    const entries = items.map(item => {
+        const { published, updated } = getTimestamps(item);
+        return `
+    <entry>
+        <id>${item.id}</id>
+        <title>${sanitizeText(item.title)}</title>
+        <link rel="alternate" type="text/html" href="${sanitizeText(item.link)}" />
+        <published>${published}</published>
+        <updated>${updated}</updated>
+        <summary>${sanitizeText(item.description)}</summary>
+        ${getCategories(item).map(c => `<category term="${sanitizeText(c.term)}" scheme="${TAG_AUTHORITY}:${c.scheme}" />`).join('\n        ')}
+    </entry>`;
+    }).join('');
+
+    // The feed changed when its newest entry did
+    const updated = items.map(item => getTimestamps(item).updated).sort().pop() || DEFAULT_TIMESTAMP;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- DATA_FINGERPRINT:${fingerprint} -->
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-us">
+    <id>${feedUrl(feed, 'atom')}</id>
+    <title>${sanitizeText(feed.title)}</title>
+    <subtitle>${sanitizeText(feed.description)}</subtitle>
+    <link rel="self" type="application/atom+xml" href="${feedUrl(feed, 'atom')}" />
+    <link rel="alternate" type="text/html" href="${feed.home || `${SITE_URL}/`}" />
+    <author><name>Internet Society</name></author>
+    <updated>${updated}</updated>${entries}
+</feed>
+`;
+}
+
+// JSON Feed 1.1; facets are also kept structured in the _isoc extension
+function renderJSONFeed(feed, items) {
+    const jsonFeed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.home || `${SITE_URL}/`,
+        feed_url: feedUrl(feed, 'feed.json'),
+        description: feed.description,
+        language: 'en-US',
+        authors: [{ name: 'Internet Society', url: 'https://www.internetsociety.org/' }],
+        items: items.map(item => {
+            const { published, updated } = getTimestamps(item);
+            return {
+                id: item.id,
+                url: item.link,
+                title: item.title,
+                content_text: item.description,
+                date_published: published,
+                date_modified: updated,
+                tags: getCategories(item).map(c => c.term),
+                _isoc: {
+                    kind: item.isEvent ? 'event' : 'opportunity',
+                    date: item.date || null,
+                    endDate: item.endDate || null,
+                    recurrence: item.recurrence || null,
+                    type: item.type || null,
+                    regions: item.regions,
+                    issues: item.issues,
+                    audience: item.audience
+                }
+            };
+        })
+    };
+    return `${JSON.stringify(jsonFeed, null, 2)}\n`;
+}
+
+const RENDERERS = {
+    'rss': renderRSS,
+    'atom': renderAtom,
+    'feed.json': renderJSONFeed
+};
+
+// Absolute URL of a feed in a given format
+function feedUrl(feed, format) {
+    return `${SITE_URL}/${feed.path}.${format}`;
+}
+
+/**
+ * Generate a feed in every format from the same items
+ * @param {Object[]} items - Processed opportunities or events
+ * @param {Object} feed
+ * @param {string} feed.path - Site-relative path without extension, e.g. data/opportunities
+ * @param {string} feed.title
+ * @param {string} feed.description
+ * @param {string} [feed.home] - Page the feed's items are listed on; defaults to the dashboard
+ * @param {Object} [options]
+ * @param {boolean} [options.includePast]
+ * @returns {{ validItems: number, includedItems: number, files: string[] }}
+ */
+async function generateFeed(items, feed, options = {}) {
     const { includePast = false } = options;
     try {
         // Filter valid items (include "Ongoing" and future dates)
@@ -126,7 +320,9 @@ async function generateRSSFeed(items, outputFile, feedTitle, feedDescription, se
                 // If includePast is true, we don't need to check the date against now
                 if (includePast) return true;
 
-                return itemDate >= now;
+                // An event counts until its last day, so one that has started is still listed
+                const lastDate = item.endDate ? new Date(item.endDate) : itemDate;
+                return (isNaN(lastDate.getTime()) ? itemDate : lastDate) >= now;
             } catch (e) {
                 return false;
             }
@@ -142,75 +338,82 @@ async function generateRSSFeed(items, outputFile, feedTitle, feedDescription, se
         // Limit number of items
         const limitedItems = validItems.slice(0, FEED_ITEM_LIMIT);
 
-        // Use a stable timestamp for lastBuildDate - only update when content changes
-        const stableLastBuildDate = 'Mon, 01 Jan 2024 00:00:00 GMT';
-
-        // Generate RSS items
-        const rssItems = limitedItems.map(item => {
-            // Always use creation date for pubDate, fallback to current date if missing
-            const pubDate = item.creationDate ? new Date(item.creationDate).toUTCString() : new Date().toUTCString();
-
-            // Create a unique ID based on content and date
-            const id = crypto
-                .createHash('md5')
-                .update(JSON.stringify(item))
-                .digest('hex');
-
-            return `
-                <item>
-                    <title>${sanitizeText(item.title)}</title>
-                    <link>${sanitizeText(item.link)}</link>
-                    <description>${sanitizeText(item.description)}</description>
-                    <pubDate>${pubDate}</pubDate>
-                    <guid isPermaLink="false">${id}</guid>
-                    <category>${sanitizeText(item.isEvent ? 'Event' : 'Opportunity')}</category>
-                    <category>${sanitizeText(item.type)}</category>
-                    <category>${sanitizeText(item.region)}</category>
-                </item>
-            `.trim();
-        }).join('\n');
-
         // Generate a fingerprint of the current data
         const dataFingerprint = crypto.createHash('md5')
             .update(JSON.stringify(validItems))
             .digest('hex');
 
-        // Generate the full RSS feed
-        const rss = `<?xml version="1.0" encoding="UTF-8" ?>
-<!-- DATA_FINGERPRINT:${dataFingerprint} -->
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
-    <channel>
-        <title>${feedTitle}</title>
-        <link>${SITE_URL}</link>
-        <description>${feedDescription}</description>
-        <language>en-us</language>
-        <lastBuildDate>${stableLastBuildDate}</lastBuildDate>
-        <atom:link href="${selfLink}" rel="self" type="application/rss+xml" />
-        ${rssItems}
-    </channel>
-</rss>
-        `.trim();
-
-        // Write the RSS feed to file only if content changed
-        console.log(`Found ${validItems.length} valid items for ${feedTitle}`);
+        console.log(`Found ${validItems.length} valid items for ${feed.title}`);
         console.log(`Including ${limitedItems.length} items in the feed`);
 
-        if (hasContentChanged(outputFile, rss)) {
-            console.log(`Writing RSS feed to ${outputFile}`);
-            fs.writeFileSync(outputFile, rss);
-            console.log(`RSS feed generated successfully at ${outputFile}`);
-        } else {
-            console.log(`No changes to RSS feed, skipping update: ${outputFile}`);
-        }
+        // Write each format only if its content changed
+        const files = FEED_FORMATS.map(format => {
+            const outputFile = path.join(__dirname, '..', `${feed.path}.${format}`);
+            const content = RENDERERS[format](feed, limitedItems, dataFingerprint);
+            if (hasContentChanged(outputFile, content)) {
+                console.log(`Writing ${format} feed to ${outputFile}`);
+                fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+                fs.writeFileSync(outputFile, content);
+            } else {
+                console.log(`No changes to ${format} feed, skipping update: ${outputFile}`);
+            }
+            return outputFile;
+        });
 
-        return { validItems: validItems.length, includedItems: limitedItems.length };
+        return { validItems: validItems.length, includedItems: limitedItems.length, files };
 
     } catch (error) {
-        console.error(`Error generating RSS feed for ${feedTitle}:`, error);
+        console.error(`Error generating feeds for ${feed.title}:`, error);
         throw error;
     }
 }
 
+// Remove facet feeds whose value no longer appears in the data
+function removeStaleFeeds(keep, feedsDir = FEEDS_DIR) {
+    if (!fs.existsSync(feedsDir)) return;
+    fs.readdirSync(feedsDir).forEach(facet => {
+        const facetDir = path.join(feedsDir, facet);
+        if (!fs.statSync(facetDir).isDirectory()) return;
+        fs.readdirSync(facetDir)
+            .filter(file => FEED_FORMATS.some(format => file.endsWith(`.${format}`)))
+            .map(file => path.join(facetDir, file))
+            .filter(file => !keep.has(file))
+            .forEach(file => {
+                console.log(`Removing stale feed ${file}`);
+                fs.unlinkSync(file);
+            });
+    });
+}
+
+// Generate one opportunities feed per region, internet issue and type
+async function generateFacetFeeds(processedOpps) {
+    const written = new Set();
+    for (const group of Feeds.partition(processedOpps)) {
+        const { files } = await generateFeed(group.items, {
+            path: Feeds.feedPath(group.facet, group.value, 'rss').replace(/\.rss$/, ''),
+            title: `Internet Society Opportunities: ${group.value}`,
+            description: `Latest opportunities to get involved with Internet Society initiatives (${Feeds.FACET_LABELS[group.facet]}: ${group.value})`
+        }, { includePast: false });
+        files.forEach(file => written.add(file));
+    }
+    removeStaleFeeds(written);
+}
+
+// Generate one events feed per organizer, past events included like the events feed
+async function generateOrganizerFeeds(processedEvents) {
+    const written = new Set();
+    for (const group of Feeds.partition(processedEvents, ['organizer'])) {
+        const { files } = await generateFeed(group.items, {
+            path: Feeds.organizerFeedPath(group.value, 'rss').replace(/\.rss$/, ''),
+            home: `${SITE_URL}/community-events/?organizer=${encodeURIComponent(group.value)}`,
+            title: `Internet Society Events: ${group.value}`,
+            description: `Community-led events organized by ${group.value}`
+        }, { includePast: true });
+        files.forEach(file => written.add(file));
+    }
+    removeStaleFeeds(written, EVENT_FEEDS_DIR);
+}
+
 // Generate RSS feeds
 async function generateRSS() {
     try {
@@ -224,33 +427,36 @@ async function generateRSS() {
         const events = JSON.parse(fs.readFileSync(EVENTS_JSON, 'utf8'));
         const processedEvents = processEvents(events);
 
-        // Generate opportunities RSS feed
-        console.log('\n=== Generating Opportunities RSS Feed ===');
-        await generateRSSFeed(
-            processedOpps,
-            OPPORTUNITIES_OUTPUT_FILE,
-            'Internet Society Opportunities',
-            'Latest opportunities to get involved with Internet Society initiatives',
-            `${SITE_URL}/data/opportunities.rss`,
-            { includePast: false }
-        );
-
-        // Generate events RSS feed
-        console.log('\n=== Generating Events RSS Feed ===');
-        await generateRSSFeed(
-            processedEvents,
-            EVENTS_OUTPUT_FILE,
-            'Internet Society Events',
-            'Latest events to get involved with Internet Society initiatives',
-            `${SITE_URL}/community-events/data/events.rss`,
-            { includePast: true }
-        );
-
-        console.log('\n=== RSS Generation Complete ===');
+        // Generate opportunities feeds
+        console.log('\n=== Generating Opportunities Feeds ===');
+        await generateFeed(processedOpps, {
+            path: 'data/opportunities',
+            title: 'Internet Society Opportunities',
+            description: 'Latest opportunities to get involved with Internet Society initiatives'
+        }, { includePast: false });
+
+        // Generate per-region, per-issue and per-type opportunities feeds
+        console.log('\n=== Generating Filtered Opportunities Feeds ===');
+        await generateFacetFeeds(processedOpps);
+
+        // Generate events feeds
+        console.log('\n=== Generating Events Feeds ===');
+        await generateFeed(processedEvents, {
+            path: 'community-events/data/events',
+            home: `${SITE_URL}/community-events/`,
+            title: 'Internet Society Events',
+            description: 'Latest events to get involved with Internet Society initiatives'
+        }, { includePast: true });
+
+        // Generate per-organizer events feeds
+        console.log('\n=== Generating Organizer Events Feeds ===');
+        await generateOrganizerFeeds(processedEvents);
+
+        console.log('\n=== Feed Generation Complete ===');
         console.log(`Generated feeds for ${processedOpps.length} opportunities and ${processedEvents.length} events`);
 
     } catch (error) {
-        console.error('Error generating RSS feeds:', error);
+        console.error('Error generating feeds:', error);
         process.exit(1);
     }
 }
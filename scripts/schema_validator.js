@@ -0,0 +1,126 @@
+/**
+ * Minimal JSON Schema validator for the schemas in schemas/
+ *
+ * Supports the subset of draft 2020-12 those schemas use: type, enum, const,
+ * pattern, format ("date", "time"), required, properties, items and anyOf.
+ * Two extension keywords cover Smartsheet's multi-select columns, which
+ * arrive as comma-separated strings:
+ *   x-separator  - split the string on this separator before checking x-items
+ *   x-items      - schema every separated value must match
+ * A schema with "x-severity": "warning" reports its own failures as warnings
+ * instead of errors.
+ */
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} field - Property the issue is about, or '' for the item itself
+ * @property {string} rule - Schema keyword that failed
+ * @property {string} message
+ * @property {'error'|'warning'} severity
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// YYYY-MM-DD for a real calendar day
+function isDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// H:MM or HH:MM on a 24-hour clock
+function isTime(value) {
+    return /^([01]?\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+const FORMATS = {
+    date: isDate,
+    time: isTime
+};
+
+function describe(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [field] - Name of the property being validated
+ * @returns {SchemaIssue[]}
+ */
+function validate(schema, value, field = '') {
+    const issues = [];
+    const severity = schema['x-severity'] === 'warning' ? 'warning' : 'error';
+    const fail = (rule, message) => issues.push({ field, rule, message, severity });
+    const label = field ? `${field} ` : '';
+
+    if (schema.anyOf) {
+        const matched = schema.anyOf.some(option => validate(option, value, field).every(issue => issue.severity !== 'error'));
+        if (!matched) fail('anyOf', `${label}${describe(value)} ${schema.description ? `is not ${schema.description}` : 'does not match any allowed form'}`);
+        return issues;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail('type', `${label}must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return issues;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail('const', `${label}must be ${describe(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail('enum', `${label}${describe(value)} is not one of the allowed values (${schema.enum.join(', ')})`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail('pattern', `${label}${describe(value)} doesn't match the expected format`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail('format', `${label}${describe(value)} is not a valid ${schema.format}`);
+        }
+        if (schema['x-separator'] && schema['x-items']) {
+            value.split(schema['x-separator']).map(part => part.trim()).filter(Boolean).forEach(part => {
+                issues.push(...validate(schema['x-items'], part, field));
+            });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => issues.push(...validate(schema.items, item, `${field}[${index}]`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        const missing = (schema.required || []).filter(name =>
+            value[name] === undefined || value[name] === null || String(value[name]).trim() === '');
+        missing.forEach(name => fail('required', `${name} is required`));
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            if (value[name] === undefined || missing.includes(name)) return;
+            issues.push(...validate(propertySchema, value[name], name));
+        });
+    }
+
+    return issues;
+}
+
+module.exports = {
+    validate,
+    isDate,
+    isTime
+};
@@ -7,6 +7,36 @@
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+
+// Run browser scripts (window.ISOC.*) in a sandbox and return its ISOC namespace
+function loadBrowserScripts(files, globals = {}) {
+    const sandbox = { console, URL, URLSearchParams, ...globals };
+    sandbox.window = sandbox.self = sandbox;
+    vm.createContext(sandbox);
+    files.forEach(file => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), sandbox, { filename: file }));
+    return sandbox.ISOC;
+}
+
+// Just enough of a page for scripts that read localStorage and sync buttons on it
+function pageGlobals(storage = {}) {
+    return {
+        localStorage: {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); }
+        },
+        document: { addEventListener: () => {}, querySelectorAll: () => [] },
+        addEventListener: () => {},
+        location: { origin: 'https://example.org' }
+    };
+}
+
+// Today's date on this machine's clock, as the pages compute it
+function localDate(offsetDays = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
 
 // Very basic smoke test - checks that key files exist and have content
 function runSmokeTest() {
@@ -28,6 +58,360 @@ function runSmokeTest() {
             name: 'utils.js exists',
             test: () => fs.existsSync(path.join(__dirname, '../js/utils.js'))
         },
+        {
+            name: 'search.js exists',
+            test: () => fs.existsSync(path.join(__dirname, '../js/search.js'))
+        },
+        {
+            name: 'ids.js exists',
+            test: () => fs.existsSync(path.join(__dirname, '../js/ids.js'))
+        },
+        {
+            name: 'ids.js keeps an ID when a row is retitled',
+            test: () => {
+                const Ids = require('../js/ids.js');
+                const row = { row_id: 4521137282910084, 'Creation date': '2026-03-06T15:52:22Z', 'Outreach Activity [Title]': 'IGF 2026' };
+                return Ids.opportunityId(row) === Ids.opportunityId({ ...row, 'Outreach Activity [Title]': 'IGF 2026 Dialogue' }) &&
+                    Ids.opportunityId(row) !== Ids.opportunityId({ ...row, row_id: 4521137282910085 });
+            }
+        },
+        {
+            name: 'ids.js keeps the ID a row had before row IDs as its legacy ID',
+            test: () => {
+                const Ids = require('../js/ids.js');
+                const row = { row_id: 4521137282910084, 'Creation date': '2026-03-06T15:52:22Z', 'Outreach Activity [Title]': 'IGF 2026' };
+                const event = { row_id: 4521137282910090, title: 'Kenya IGF', startDate: '2026-07-14' };
+                return Ids.legacyOpportunityId(row) === Ids.opportunityId({ ...row, row_id: undefined }) &&
+                    Ids.legacyOpportunityId(row) !== Ids.opportunityId(row) &&
+                    Ids.legacyEventId(event) === Ids.eventId({ title: 'Kenya IGF', startDate: '2026-07-14' });
+            }
+        },
+        {
+            name: 'shortlist.js moves items saved under a legacy ID to the current one',
+            test: () => {
+                const Ids = require('../js/ids.js');
+                const row = { row_id: 4521137282910084, 'Creation date': '2026-03-06T15:52:22Z', 'Outreach Activity [Title]': 'IGF 2026' };
+                const legacyId = Ids.legacyOpportunityId(row);
+                const id = Ids.opportunityId(row);
+                const storage = { isocShortlist: JSON.stringify([{ kind: 'opportunity', id: legacyId, title: 'IGF 2026', date: null }]) };
+                const ISOC = loadBrowserScripts(['js/utils.js', 'js/shortlist.js'], pageGlobals(storage));
+                ISOC.Shortlist.connect('opportunity', savedId => (savedId === id ? { title: 'IGF 2026' } : null), [], { [legacyId]: id });
+                const saved = ISOC.Shortlist.list();
+                return legacyId === Ids.opportunityId({ ...row, row_id: undefined }) && legacyId !== id &&
+                    saved.length === 1 && saved[0].id === id && saved[0].status === 'active' &&
+                    JSON.parse(storage.isocShortlist)[0].id === id;
+            }
+        },
+        {
+            name: 'timezones.js resolves event abbreviations',
+            test: () => {
+                const Timezones = require('../js/timezones.js');
+                return Timezones.resolve('IST', 'Asia Pacific') === 'Asia/Kolkata' &&
+                    Timezones.resolve('IST', 'Europe') === 'Europe/Dublin' &&
+                    Timezones.resolve('EST', 'Latin America & Caribbean') === 'America/Panama' &&
+                    Timezones.resolve('EST', 'Global') === 'America/New_York' &&
+                    Timezones.resolve('EST', 'Africa') === null && Timezones.resolve('GST', 'Europe') === null &&
+                    Timezones.resolve('not-a-zone') === null;
+            }
+        },
+        {
+            name: 'timezones.js converts an event that crosses midnight on its own end date',
+            test: () => {
+                const Timezones = require('../js/timezones.js');
+                const overnight = { startDate: '2026-03-10', startTime: '22:00', endDate: '2026-03-11', endTime: '01:00' };
+                const evening = Timezones.convertTimes({ startDate: '2026-03-10', startTime: '17:00', endTime: '20:00' }, 'UTC', 'Asia/Kolkata');
+                const converted = Timezones.convertTimes(overnight, 'UTC', 'America/New_York');
+                return converted.start.date === '2026-03-10' && converted.start.time === '18:00' &&
+                    converted.end.date === '2026-03-10' && converted.end.time === '21:00' &&
+                    evening.start.time === '22:30' && evening.end.date === '2026-03-11' && evening.end.time === '01:30';
+            }
+        },
+        {
+            name: 'ics.js escapes and folds content lines',
+            test: () => {
+                const ICS = require('../js/ics.js');
+                const folded = ICS.foldLine(`DESCRIPTION:${'é'.repeat(60)}`).split('\r\n');
+                return ICS.escapeText('a, b; c\nd') === 'a\\, b\\; c\\nd' &&
+                    folded.every(line => Buffer.byteLength(line, 'utf8') <= 75) &&
+                    folded.slice(1).every(line => line.startsWith(' '));
+            }
+        },
+        {
+            name: 'ics.js builds web calendar links in UTC',
+            test: () => {
+                const ICS = require('../js/ics.js');
+                const links = ICS.buildCalendarLinks({
+                    uid: 'test', title: 'Test', startDate: '2026-01-24', startTime: '18:00', endTime: '19:00', zone: 'Asia/Kolkata'
+                });
+                return links.google.includes('dates=20260124T123000Z%2F20260124T133000Z') &&
+                    links.outlook.includes('startdt=2026-01-24T12%3A30%3A00Z');
+            }
+        },
+        {
+            name: 'ics.js ends an all-day range the day after its last day',
+            test: () => {
+                const ICS = require('../js/ics.js');
+                const lines = ICS.buildEvent({ uid: 'test', title: 'Test', startDate: '2026-12-01', endDate: '2026-12-06' });
+                return lines.includes('DTSTART;VALUE=DATE:20261201') && lines.includes('DTEND;VALUE=DATE:20261207');
+            }
+        },
+        {
+            name: 'recurrence.js expands a weekly rule without its exceptions',
+            test: () => {
+                const Recurrence = require('../js/recurrence.js');
+                const event = { startDate: '2026-06-02', recurrence: 'FREQ=WEEKLY;BYDAY=TU;COUNT=4', recurrenceExceptions: '2026-06-16' };
+                return Recurrence.occurrences(event, '2026-01-01', '2026-12-31').join('|') === '2026-06-02|2026-06-09|2026-06-23' &&
+                    Recurrence.describe(Recurrence.parse('FREQ=MONTHLY;BYDAY=1WE')) === 'Monthly on the first Wednesday' &&
+                    Recurrence.parse('FREQ=WEEKLY;BYDAY=1TU') === null;
+            }
+        },
+        {
+            name: 'recurrence.js follows RFC 5545 for BYDAY with BYMONTHDAY and an off-rule start',
+            test: () => {
+                const Recurrence = require('../js/recurrence.js');
+                const fridays = { startDate: '2026-02-13', recurrence: 'FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13' };
+                const offRule = { startDate: '2026-03-02', recurrence: 'FREQ=WEEKLY;BYDAY=FR;COUNT=3' };
+                return Recurrence.occurrences(fridays, '2026-01-01', '2026-12-31').join('|') === '2026-02-13|2026-03-13|2026-11-13' &&
+                    Recurrence.occurrences(offRule, '2026-01-01', '2026-12-31').join('|') === '2026-03-02|2026-03-06|2026-03-13' &&
+                    Recurrence.describe(Recurrence.parse('FREQ=MONTHLY;BYDAY=-2TH')) === 'Monthly on the second to last Thursday';
+            }
+        },
+        {
+            name: 'recurrence.js puts the past dates of a running weekly series in the archive',
+            test: () => {
+                const Recurrence = require('../js/recurrence.js');
+                const event = { title: 'Clinic', startDate: '2026-09-15', recurrence: 'FREQ=WEEKLY' };
+                const archived = Recurrence.occurrencesSoFar(event, '2026-10-19');
+                return archived.map(occurrence => occurrence.startDate).join('|') === '2026-09-15|2026-09-22|2026-09-29|2026-10-06|2026-10-13' &&
+                    archived.every(occurrence => occurrence.series === event) &&
+                    Recurrence.occurrencesSoFar({ startDate: '2026-09-15' }, '2026-10-19').length === 1;
+            }
+        },
+        {
+            name: 'recurrence.js saves an ongoing series as its next date, repeating from there',
+            test: () => {
+                const Recurrence = require('../js/recurrence.js');
+                const ICS = require('../js/ics.js');
+                const event = { title: 'Study group', startDate: '2026-06-02', endDate: '2026-06-03', recurrence: 'FREQ=WEEKLY;BYDAY=TU;COUNT=10' };
+                const current = Recurrence.currentOccurrence(event, '2026-06-25');
+                const rest = Recurrence.startingFrom(event, current.startDate);
+                const lines = ICS.buildEvent({ ...ICS.fromCommunityEvent(event), startDate: rest.startDate, endDate: rest.endDate, recurrence: rest.recurrence });
+                return current.startDate === '2026-06-30' && current.endDate === '2026-07-01' &&
+                    Recurrence.currentOccurrence(event, '2026-06-24').startDate === '2026-06-23' &&
+                    Recurrence.currentOccurrence(event, '2026-12-01').startDate === '2026-08-04' &&
+                    lines.includes('DTSTART;VALUE=DATE:20260630') && lines.includes('RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20260804') &&
+                    Recurrence.occurrences(rest, '2026-01-01', '2026-12-31').join('|') === Recurrence.occurrences(event, '2026-06-30', '2026-12-31').join('|');
+            }
+        },
+        {
+            name: 'ics.js writes RRULE and EXDATE for a recurring event',
+            test: () => {
+                const ICS = require('../js/ics.js');
+                const lines = ICS.buildEvent(ICS.fromCommunityEvent({
+                    title: 'Study group', startDate: '2026-06-02', startTime: '14:00', timeZone: 'CET', region: 'Europe',
+                    recurrence: 'FREQ=WEEKLY;BYDAY=TU;UNTIL=2026-12-15', recurrenceExceptions: '2026-08-04'
+                }));
+                return lines.includes('RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20261215T130000Z') &&
+                    lines.includes('EXDATE;TZID=Europe/Paris:20260804T140000');
+            }
+        },
+        {
+            name: 'feeds.js maps region spellings to one feed',
+            test: () => {
+                const Feeds = require('../js/feeds.js');
+                return Feeds.feedPath('region', 'Latin America and The Caribbean', 'ics') === 'data/feeds/region/latin-america-caribbean.ics' &&
+                    Feeds.feedPath('region', 'Latin America & Caribbean', 'ics') === 'data/feeds/region/latin-america-caribbean.ics';
+            }
+        },
+        {
+            name: 'generate_ical.js puts only opportunities in facet calendars',
+            test: () => {
+                const { processOpportunities, processEvents, buildFacetCalendars } = require('./generate_ical.js');
+                const opps = processOpportunities([{ 'Outreach Activity [Title]': 'Policy call', Date: '2099-01-15', Region: 'Africa', Type: 'Calls' }]);
+                const events = processEvents([{ title: 'Chapter meetup', startDate: '2099-01-20', region: 'Africa', type: 'Meetup' }]);
+                const uids = buildFacetCalendars(opps, [...opps, ...events])
+                    .map(calendar => calendar.ical.match(/^UID:.*$/gm) || [])
+                    .reduce((all, calendarUids) => all.concat(calendarUids), []);
+                return uids.length > 0 && uids.every(uid => uid === `UID:${opps[0].uid}`);
+            }
+        },
+        {
+            name: 'vocabulary.js splits and canonicalizes multi-value cells',
+            test: () => {
+                const Vocabulary = require('../js/vocabulary.js');
+                return Vocabulary.region('Asia-Pacific') === Vocabulary.region('Asia Pacific') &&
+                    Vocabulary.regions('Africa, Europe, Global').join('|') === 'Africa|Europe|Global' &&
+                    Vocabulary.languages('Español e Inglés').join('|') === 'Spanish|English' &&
+                    Vocabulary.languages('English/ Kiswahili').join('|') === 'English|Swahili';
+            }
+        },
+        {
+            name: 'vocabulary.js finds the ISOC organizers in an organizer cell',
+            test: () => {
+                const Vocabulary = require('../js/vocabulary.js');
+                return Vocabulary.organizers('ISOC Armenia Chapter as Co-organizer').join('|') === 'ISOC Armenia Chapter' &&
+                    Vocabulary.organizers('ISOC Saint Vincent and the Grenadines Chapter and ISOC Trinidad and Tobago Chapter').join('|') ===
+                        'ISOC Saint Vincent and the Grenadines Chapter|ISOC Trinidad and Tobago Chapter' &&
+                    Vocabulary.organizers('LACNOG, ISOC Venezuela Chapter y VENOG').join('|') === 'ISOC Venezuela Chapter';
+            }
+        },
+        {
+            name: 'vocabulary.js leaves unknown organizer names as written and flags respelled ones',
+            test: () => {
+                const Vocabulary = require('../js/vocabulary.js');
+                const respelled = Vocabulary.inspectOrganizers('ISOC Artificial intelligence (AI) SIG');
+                return Vocabulary.organizers('ISOC LAC Working Group').join('|') === 'ISOC LAC Working Group' &&
+                    Vocabulary.organizers('ISOC Grupo de Trabajo de Redes Comunitarias LAC').join('|') === 'ISOC Grupo de Trabajo de Redes Comunitarias LAC' &&
+                    !Vocabulary.inspectOrganizers('ISOC Grupo de Trabajo de Redes Comunitarias LAC').recognized &&
+                    respelled.recognized && JSON.stringify(respelled.aliased) === '[["ISOC Artificial intelligence (AI) SIG","ISOC Artificial Intelligence (AI) SIG"]]' &&
+                    Vocabulary.inspectOrganizers('ISOC Kenya Chapter').aliased.length === 0;
+            }
+        },
+        {
+            name: 'calendar-menu.js exists',
+            test: () => fs.existsSync(path.join(__dirname, '../js/calendar-menu.js'))
+        },
+        {
+            name: 'cards.js and embed.js exist',
+            test: () => ['cards.js', 'embed.js'].every(file => fs.existsSync(path.join(__dirname, '../js', file)))
+        },
+        {
+            name: 'embed.js selects upcoming events by filter, a series by its next date',
+            test: () => {
+                const ISOC = loadBrowserScripts(
+                    ['js/vocabulary.js', 'js/ids.js', 'js/recurrence.js', 'js/utils.js', 'js/cards.js', 'js/embed.js'],
+                    { document: { currentScript: null }, location: { href: 'https://example.org/' }, HTMLElement: class {}, customElements: { get: () => true } }
+                );
+                const selected = ISOC.Embed.selectEvents([
+                    { title: 'Past', startDate: '2020-01-01', region: 'Africa', organizer: 'ISOC Kenya Chapter', language: 'English' },
+                    { title: 'Later', startDate: localDate(30), region: 'Africa', organizer: 'ISOC Kenya Chapter', language: 'English' },
+                    { title: 'Other chapter', startDate: localDate(1), region: 'Africa', organizer: 'ISOC Ghana Chapter', language: 'English' },
+                    { title: 'Daily', startDate: '2020-01-06', recurrence: 'FREQ=DAILY', region: 'Africa', organizer: 'ISOC Kenya Chapter', language: 'Inglés' }
+                ], { region: ['Africa'], language: ['English'], organizer: ['ISOC Kenya Chapter'] });
+                return selected.map(event => event.title).join('|') === 'Daily|Later' &&
+                    selected[0].startDate === localDate() && selected[0].series.startDate === '2020-01-06';
+            }
+        },
+        {
+            name: 'event-calendar.js exists',
+            test: () => fs.existsSync(path.join(__dirname, '../js/event-calendar.js'))
+        },
+        {
+            name: 'event-calendar.js moves a timed event to the days it covers in the display zone',
+            test: () => {
+                const ISOC = loadBrowserScripts(['js/timezones.js', 'js/recurrence.js', 'js/cards.js', 'js/event-calendar.js']);
+                const span = ISOC.EventCalendar.getSpan({ startDate: '2026-03-10', startTime: '17:00', endTime: '20:00', timeZone: 'UTC' }, 'Asia/Kolkata');
+                return span.start === '2026-03-10' && span.end === '2026-03-11' && span.time === '22:30';
+            }
+        },
+        {
+            name: 'event-calendar.js packs bars into lanes and splits them at week ends',
+            test: () => {
+                const ISOC = loadBrowserScripts(['js/timezones.js', 'js/recurrence.js', 'js/cards.js', 'js/event-calendar.js']);
+                const events = ['A', 'B', 'C', 'D'].map(title => ({ title, startDate: '2026-03-11' }))
+                    .concat({ title: 'Summit', startDate: '2026-03-14', endDate: '2026-03-17' });
+                const html = ISOC.EventCalendar.render(events, { mode: 'month', date: '2026-03-01', zone: 'UTC', zoneLabel: 'UTC' });
+                const bars = html.match(/class="calendar-event[^"]*"[^>]*style="[^"]*"/g) || [];
+                return bars.length === 5 &&
+                    ['grid-row: 2;', 'grid-row: 3;', 'grid-row: 4;'].every(row => bars.some(bar => bar.includes('column: 3 ') && bar.includes(row))) &&
+                    bars.some(bar => bar.includes('continues-after') && bar.includes('grid-column: 6 / span 2')) &&
+                    bars.some(bar => bar.includes('continues-before') && bar.includes('grid-column: 1 / span 2')) &&
+                    (html.match(/\+\d+ more/g) || []).join() === '+1 more';
+            }
+        },
+        {
+            name: 'utils.js pages a list and clamps the page number',
+            test: () => {
+                const ISOC = loadBrowserScripts(['js/utils.js']);
+                const items = Array.from({ length: 50 }, (_, index) => index);
+                const last = ISOC.Utils.paginate(items, 3, 24);
+                const clamped = ISOC.Utils.paginate(items, 9, 24);
+                return ISOC.Utils.paginate(items, 1, 24).items.length === 24 &&
+                    last.items.join() === '48,49' && last.pageCount === 3 &&
+                    clamped.page === 3 && ISOC.Utils.paginate(items, 0, 24).page === 1 &&
+                    ISOC.Utils.paginate([], 2, 24).pageCount === 1;
+            }
+        },
+        {
+            name: 'organizer profiles count events by type and link the organizer feeds',
+            test: () => {
+                const ISOC = loadBrowserScripts(['js/utils.js', 'js/vocabulary.js', 'js/feeds.js']);
+                const events = [
+                    { type: 'Workshop', organizer: 'ISOC Kenya Chapter' },
+                    { type: 'Webinar', organizer: 'ISOC Kenya Chapter, KICTANet' },
+                    { type: 'Webinar', organizer: 'ISOC Kenya Chapter as co-organizer' },
+                    { type: '', organizer: 'ISOC Kenya Chapter' }
+                ];
+                return events.every(event => ISOC.Vocabulary.organizers(event.organizer).join() === 'ISOC Kenya Chapter') &&
+                    JSON.stringify(ISOC.Utils.countValues(events, 'type')) === '[["Webinar",2],["Workshop",1]]' &&
+                    ISOC.Feeds.organizerFeedPath('ISOC Kenya Chapter', 'rss') === 'community-events/data/feeds/organizer/isoc-kenya-chapter.rss';
+            }
+        },
+        {
+            name: 'shortlist.js exists',
+            test: () => fs.existsSync(path.join(__dirname, '../js/shortlist.js'))
+        },
+        {
+            name: 'manifest.webmanifest is valid and its icons exist',
+            test: () => {
+                try {
+                    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '../manifest.webmanifest'), 'utf8'));
+                    return manifest.icons.length > 0 &&
+                        manifest.icons.every(icon => fs.existsSync(path.join(__dirname, '..', icon.src)));
+                } catch (e) {
+                    return false;
+                }
+            }
+        },
+        {
+            name: 'sw.js precaches files that exist',
+            test: () => {
+                const source = fs.readFileSync(path.join(__dirname, '../sw.js'), 'utf8');
+                const list = source.match(/const PRECACHE_URLS = \[([\s\S]*?)\];/);
+                if (!list) return false;
+                return list[1].match(/'[^']+'/g).map(url => url.slice(1, -1)).every(url =>
+                    fs.existsSync(path.join(__dirname, '..', url.endsWith('/') ? `${url}index.html` : url)));
+            }
+        },
+        {
+            name: 'asset ?v= stamps match js/version.js',
+            test: () => {
+                const { findHtmlFiles, stamp } = require('./cache_busting.js');
+                const version = require('../js/version.js').ASSETS;
+                const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+                return findHtmlFiles(path.join(__dirname, '..')).every(file => {
+                    const html = fs.readFileSync(file, 'utf8');
+                    return stamp(html, version) === html;
+                }) &&
+                    read('index.html').includes(`?v=${version}`) &&
+                    /importScripts\('\/js\/version\.js'\)/.test(read('sw.js')) &&
+                    !/\d{8}-\d{4}/.test(read('sw.js') + read('js/embed.js') + read('scripts/generate_pages.js'));
+            }
+        },
+        {
+            name: 'schemas are valid JSON',
+            test: () => ['opportunity', 'community-event'].every(name => {
+                try {
+                    JSON.parse(fs.readFileSync(path.join(__dirname, `../schemas/${name}.schema.json`), 'utf8'));
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            })
+        },
+        {
+            name: 'schema_validator.js checks enums and dates',
+            test: () => {
+                const { validate } = require('./schema_validator.js');
+                const schema = { type: 'object', required: ['a'], properties: { a: { enum: ['x'] }, b: { type: 'string', format: 'date' } } };
+                return validate(schema, { a: 'x', b: '2026-01-31' }).length === 0 &&
+                    validate(schema, { a: 'y', b: '2026-02-30' }).length === 2;
+            }
+        },
+        {
+            name: 'generate_pages.js exists',
+            test: () => fs.existsSync(path.join(__dirname, 'generate_pages.js'))
+        },
         {
             name: 'styles.css exists',
             test: () => fs.existsSync(path.join(__dirname, '../css/styles.css'))
@@ -7,34 +7,43 @@
 
 const fs = require('fs');
 const path = require('path');
+const Timezones = require('../js/timezones.js');
+const Recurrence = require('../js/recurrence.js');
+const Vocabulary = require('../js/vocabulary.js');
+const { validate } = require('./schema_validator.js');
 
 const OPPORTUNITIES_FILE = path.join(__dirname, '../data/opportunities.json');
 const EVENTS_FILE = path.join(__dirname, '../community-events/data/events.json');
+const OPPORTUNITY_SCHEMA = path.join(__dirname, '../schemas/opportunity.schema.json');
+const EVENT_SCHEMA = path.join(__dirname, '../schemas/community-event.schema.json');
+
+// Optional machine-readable reports: --report <file.json> and --junit <file.xml>
+function getArg(name) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] || null : null;
+}
+const JSON_REPORT_FILE = getArg('--report');
+const JUNIT_REPORT_FILE = getArg('--junit');
 
 let hasErrors = false;
 let warningCount = 0;
 
 /**
- * @typedef {Object} ValidationResult
- * @property {boolean} valid
- * @property {string[]} errors
+ * @typedef {Object} ValidationIssue
+ * @property {number} item - Index of the row in the JSON file
+ * @property {string} title
+ * @property {string} field - Column the issue is about, or '' for the whole row
+ * @property {string} rule - Schema keyword or cross-field rule that failed
+ * @property {string} message
+ * @property {'error'|'warning'} severity
  */
 
 /**
- * Validate a date string
- * @param {string} dateStr 
- * @returns {boolean}
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid
+ * @property {ValidationIssue[]} errors
+ * @property {ValidationIssue[]} warnings
  */
-function isValidDate(dateStr) {
-    if (!dateStr) return true; // null dates are allowed
-    if (dateStr.toLowerCase() === 'ongoing') return true;
-
-    // Check YYYY-MM-DD format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
-
-    const date = new Date(dateStr);
-    return !isNaN(date.getTime());
-}
 
 /**
  * Normalize and validate a web URL.
@@ -75,17 +84,36 @@ function normalizeWebUrl(rawValue) {
     }
 }
 
+// Split schema issues into errors and warnings for a row
+function addSchemaIssues(schema, item, index, title, errors, warnings) {
+    validate(schema, item).forEach(issue => {
+        const entry = { item: index, title, field: issue.field, rule: issue.rule, message: issue.message, severity: issue.severity };
+        (issue.severity === 'warning' ? warnings : errors).push(entry);
+    });
+}
+
+// URL columns are normalized by the feeds and pages, so problems are only warnings
+function addUrlWarnings(field, value, index, title, warnings) {
+    const normalized = normalizeWebUrl(value);
+    if (normalized.status === 'autofixed') {
+        warnings.push({ item: index, title, field, rule: 'url', severity: 'warning', message: `${field} missing protocol, auto-normalized to "${normalized.normalizedUrl}"` });
+    } else if (normalized.status === 'invalid') {
+        warnings.push({ item: index, title, field, rule: 'url', severity: 'warning', message: `${field} is invalid and will be ignored ("${String(value).trim()}")` });
+    }
+}
+
 /**
  * Validate opportunities.json
- * @param {Array} data 
+ * @param {Array} data
+ * @param {Object} schema
  * @returns {ValidationResult}
  */
-function validateOpportunities(data) {
+function validateOpportunities(data, schema) {
     const errors = [];
     const warnings = [];
 
     if (!Array.isArray(data)) {
-        return { valid: false, errors: ['Data must be an array'] };
+        return { valid: false, errors: [{ item: -1, title: '', field: '', rule: 'type', severity: 'error', message: 'Data must be an array' }], warnings };
     }
 
     data.forEach((item, index) => {
@@ -100,37 +128,22 @@ function validateOpportunities(data) {
             return;
         }
 
-        // Require title
-        const title = item["Outreach Activity [Title]"] || item.title;
-        if (!title || typeof title !== 'string' || title.trim() === '') {
+        const title = item["Outreach Activity [Title]"] || '';
+        if (!title.trim()) {
             // Treat untitled placeholder rows as ignorable when they only
             // contain metadata fields that Smartsheet may auto-populate.
             const substantiveFields = Object.entries(item).filter(([key, value]) => {
                 if (value === null || value === undefined) return false;
                 if (typeof value === 'string' && value.trim() === '') return false;
-                return !['Archived', 'Creation date'].includes(key);
+                return !['Archived', 'Creation date', 'row_id'].includes(key);
             });
             if (substantiveFields.length <= 1) {
                 return;
             }
-
-            errors.push(`Item ${index}: Missing or empty title`);
         }
 
-        // Validate date if present
-        const date = item["Deadline"] || item["Date"] || item.date;
-        if (date && !isValidDate(date)) {
-            errors.push(`Item ${index} ("${title}"): Invalid date format "${date}". Expected YYYY-MM-DD or "Ongoing"`);
-        }
-
-        // Link should be a valid URL if present
-        const link = item["Link"] || item.link;
-        const normalized = normalizeWebUrl(link);
-        if (normalized.status === 'autofixed') {
-            warnings.push(`Item ${index} ("${title}"): Link missing protocol, auto-normalized to "${normalized.normalizedUrl}"`);
-        } else if (normalized.status === 'invalid') {
-            warnings.push(`Item ${index} ("${title}"): Link is invalid and will be ignored ("${String(link).trim()}")`);
-        }
+        addSchemaIssues(schema, item, index, title, errors, warnings);
+        addUrlWarnings('Link', item.Link, index, title, warnings);
     });
 
     return {
@@ -140,42 +153,77 @@ function validateOpportunities(data) {
     };
 }
 
+// Minutes since midnight for H:MM
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
 /**
  * Validate events.json
- * @param {Array} data 
+ * @param {Array} data
+ * @param {Object} schema
  * @returns {ValidationResult}
  */
-function validateEvents(data) {
+function validateEvents(data, schema) {
     const errors = [];
     const warnings = [];
 
     if (!Array.isArray(data)) {
-        return { valid: false, errors: ['Data must be an array'] };
+        return { valid: false, errors: [{ item: -1, title: '', field: '', rule: 'type', severity: 'error', message: 'Data must be an array' }], warnings };
     }
 
     data.forEach((item, index) => {
-        // Require title
-        if (!item.title || typeof item.title !== 'string' || item.title.trim() === '') {
-            errors.push(`Item ${index}: Missing or empty title`);
+        const title = item.title || '';
+        const schemaErrorCount = errors.length;
+        addSchemaIssues(schema, item, index, title, errors, warnings);
+        const fieldErrors = new Set(errors.slice(schemaErrorCount).map(issue => issue.field));
+
+        // Cross-field rules, checked only when the fields themselves are valid
+        const hasEndDate = item.endDate && !fieldErrors.has('endDate');
+        if (hasEndDate && !fieldErrors.has('startDate') && item.endDate < item.startDate) {
+            errors.push({ item: index, title, field: 'endDate', rule: 'endDate >= startDate', severity: 'error', message: `endDate ${item.endDate} is before startDate ${item.startDate}` });
         }
 
-        // Validate start date
-        if (item.startDate && !isValidDate(item.startDate)) {
-            errors.push(`Item ${index} ("${item.title}"): Invalid startDate format "${item.startDate}". Expected YYYY-MM-DD`);
+        // An end time before the start time on a one-day event is most likely a typo;
+        // the feeds fall back to a one-hour event, so it doesn't block the import
+        const sameDay = !item.endDate || item.endDate === item.startDate;
+        if (sameDay && item.startTime && item.endTime && !fieldErrors.has('startTime') && !fieldErrors.has('endTime') &&
+            toMinutes(item.endTime) <= toMinutes(item.startTime)) {
+            warnings.push({ item: index, title, field: 'endTime', rule: 'endTime > startTime', severity: 'warning', message: `endTime ${item.endTime} is not after startTime ${item.startTime}; calendars will show a one-hour event` });
         }
 
-        // Validate end date
-        if (item.endDate && !isValidDate(item.endDate)) {
-            errors.push(`Item ${index} ("${item.title}"): Invalid endDate format "${item.endDate}". Expected YYYY-MM-DD`);
+        // Timed events need a timezone we can map to an IANA zone for feeds and local times;
+        // an abbreviation that names a zone only outside the event's region needs the IANA name
+        if (item.startTime && item.timeZone && !Timezones.resolve(item.timeZone, item.region)) {
+            const elsewhere = Timezones.resolve(item.timeZone);
+            const message = elsewhere
+                ? `timeZone "${item.timeZone}" means ${elsewhere}, outside ${item.region}; set the IANA zone ("${elsewhere}" if that is meant). Calendar feeds will use floating local time`
+                : `Unrecognized timeZone "${item.timeZone}"; calendar feeds will use floating local time`;
+            warnings.push({ item: index, title, field: 'timeZone', rule: 'timeZone', severity: 'warning', message });
         }
 
-        // Registration URL should be valid if present
-        const normalized = normalizeWebUrl(item.registrationUrl);
-        if (normalized.status === 'autofixed') {
-            warnings.push(`Item ${index} ("${item.title}"): registrationUrl missing protocol, auto-normalized to "${normalized.normalizedUrl}"`);
-        } else if (normalized.status === 'invalid') {
-            warnings.push(`Item ${index} ("${item.title}"): registrationUrl is invalid and will be ignored ("${String(item.registrationUrl).trim()}")`);
+        // The pattern only checks the shape; the rule must also parse in the subset the page and feeds expand
+        if (item.recurrence && !fieldErrors.has('recurrence') && !Recurrence.parse(item.recurrence)) {
+            errors.push({ item: index, title, field: 'recurrence', rule: 'recurrence', severity: 'error', message: `recurrence "${item.recurrence}" is not a supported RRULE (FREQ, INTERVAL, COUNT or UNTIL, BYDAY, BYMONTHDAY)` });
+        }
+        if (item.recurrenceExceptions && !item.recurrence) {
+            warnings.push({ item: index, title, field: 'recurrenceExceptions', rule: 'recurrenceExceptions', severity: 'warning', message: 'recurrenceExceptions is set but the event has no recurrence; the dates are ignored' });
+        }
+
+        // The page and organizer feeds group events by the ISOC chapters and groups named
+        // in the cell; a name they can't place, or only through an alias, needs fixing in the sheet
+        if (item.organizer) {
+            const organizers = Vocabulary.inspectOrganizers(item.organizer);
+            if (!organizers.recognized) {
+                warnings.push({ item: index, title, field: 'organizer', rule: 'organizer', severity: 'warning', message: `organizer "${item.organizer}" names no ISOC chapter or group ("ISOC <name> Chapter", "... SIG", "... Working Group"); it is listed as written` });
+            }
+            organizers.aliased.forEach(([name, canonicalName]) => {
+                warnings.push({ item: index, title, field: 'organizer', rule: 'organizer', severity: 'warning', message: `organizer "${name}" matches "${canonicalName}" only through an alias; use that spelling` });
+            });
         }
+
+        addUrlWarnings('registrationUrl', item.registrationUrl, index, title, warnings);
     });
 
     return {
@@ -185,61 +233,131 @@ function validateEvents(data) {
     };
 }
 
-// Run validation
-console.log('🔍 Validating ISOC Opportunities data files...\n');
+// Console line for an issue, e.g. Item 3 ("Title"): Type "X" is not one of the allowed values
+function formatIssue(issue) {
+    if (issue.item < 0) return issue.message;
+    return `Item ${issue.item}${issue.title ? ` ("${issue.title}")` : ''}: ${issue.message}`;
+}
 
-// Validate opportunities.json
-if (fs.existsSync(OPPORTUNITIES_FILE)) {
-    try {
-        const data = JSON.parse(fs.readFileSync(OPPORTUNITIES_FILE, 'utf8'));
-        const result = validateOpportunities(data);
-
-        if (result.valid) {
-            console.log(`✅ opportunities.json is valid (${data.length} items)`);
-        } else {
-            console.error(`❌ opportunities.json has ${result.errors.length} error(s):`);
-            result.errors.forEach(err => console.error(`   - ${err}`));
-            hasErrors = true;
-        }
-        if (result.warnings && result.warnings.length > 0) {
-            console.warn(`⚠️  opportunities.json has ${result.warnings.length} warning(s):`);
-            result.warnings.forEach(warn => console.warn(`   - ${warn}`));
-            warningCount += result.warnings.length;
-        }
-    } catch (err) {
-        console.error(`❌ Failed to parse opportunities.json: ${err.message}`);
-        hasErrors = true;
-    }
-} else {
-    console.warn(`⚠️  opportunities.json not found`);
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * JUnit XML with one test case per row, failing on its errors; warnings go to system-out
+ * @param {Object[]} files - Results from validateFile, with the title of every row
+ * @returns {string}
+ */
+function buildJUnitReport(files) {
+    const suites = files.map(file => {
+        const rows = new Map();
+        for (let index = 0; index < file.items; index++) rows.set(index, { errors: [], warnings: [] });
+        [...file.errors, ...file.warnings].forEach(issue => {
+            if (!rows.has(issue.item)) rows.set(issue.item, { errors: [], warnings: [] });
+            rows.get(issue.item)[issue.severity === 'error' ? 'errors' : 'warnings'].push(issue);
+        });
+
+        const failedRows = Array.from(rows.values()).filter(row => row.errors.length > 0).length;
+        const cases = Array.from(rows.entries()).map(([index, row]) => {
+            const title = file.titles[index] || '';
+            const name = index < 0 ? 'file' : `Item ${index}${title ? `: ${title}` : ''}`;
+            const failures = row.errors.map(issue =>
+                `\n      <failure type="${escapeXml(issue.rule)}" message="${escapeXml(issue.message)}"></failure>`).join('');
+            const output = row.warnings.length
+                ? `\n      <system-out>${escapeXml(row.warnings.map(issue => `Warning: ${issue.message}`).join('\n'))}</system-out>`
+                : '';
+            return `    <testcase classname="${escapeXml(file.file)}" name="${escapeXml(name)}">${failures}${output}${failures || output ? '\n    ' : ''}</testcase>`;
+        }).join('\n');
+
+        return `  <testsuite name="${escapeXml(file.file)}" tests="${rows.size}" failures="${failedRows}">\n${cases}\n  </testsuite>`;
+    });
+
+    const tests = files.reduce((sum, file) => sum + Math.max(file.items, 1), 0);
+    const failures = files.reduce((sum, file) => sum + new Set(file.errors.map(issue => issue.item)).size, 0);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Data validation" tests="${tests}" failures="${failures}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+function writeReport(filePath, content) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    console.log(`📝 Wrote ${filePath}`);
 }
 
-// Validate events.json
-if (fs.existsSync(EVENTS_FILE)) {
+/**
+ * Validate one data file against its schema and print the result
+ * @param {string} filePath
+ * @param {string} schemaPath
+ * @param {Function} validator - validateOpportunities or validateEvents
+ * @returns {Object|null} Report entry, or null if the file doesn't exist
+ */
+function validateFile(filePath, schemaPath, validator) {
+    const name = path.basename(filePath);
+    const entry = {
+        file: path.relative(path.join(__dirname, '..'), filePath),
+        schema: path.relative(path.join(__dirname, '..'), schemaPath),
+        items: 0,
+        titles: [],
+        valid: false,
+        errors: [],
+        warnings: []
+    };
+
+    if (!fs.existsSync(filePath)) {
+        console.warn(`⚠️  ${name} not found`);
+        return null;
+    }
+
     try {
-        const data = JSON.parse(fs.readFileSync(EVENTS_FILE, 'utf8'));
-        const result = validateEvents(data);
-
-        if (result.valid) {
-            console.log(`✅ events.json is valid (${data.length} items)`);
-        } else {
-            console.error(`❌ events.json has ${result.errors.length} error(s):`);
-            result.errors.forEach(err => console.error(`   - ${err}`));
-            hasErrors = true;
-        }
-        if (result.warnings && result.warnings.length > 0) {
-            console.warn(`⚠️  events.json has ${result.warnings.length} warning(s):`);
-            result.warnings.forEach(warn => console.warn(`   - ${warn}`));
-            warningCount += result.warnings.length;
-        }
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+        const result = validator(data, schema);
+        Object.assign(entry, { items: Array.isArray(data) ? data.length : 0, ...result });
+        if (Array.isArray(data)) entry.titles = data.map(item => (item && (item.title || item['Outreach Activity [Title]'])) || '');
     } catch (err) {
-        console.error(`❌ Failed to parse events.json: ${err.message}`);
+        entry.errors = [{ item: -1, title: '', field: '', rule: 'parse', severity: 'error', message: `Failed to parse: ${err.message}` }];
+    }
+
+    if (entry.valid) {
+        console.log(`✅ ${name} is valid (${entry.items} items)`);
+    } else {
+        console.error(`❌ ${name} has ${entry.errors.length} error(s):`);
+        entry.errors.forEach(err => console.error(`   - ${formatIssue(err)}`));
         hasErrors = true;
     }
-} else {
-    console.warn(`⚠️  events.json not found`);
+    if (entry.warnings.length > 0) {
+        console.warn(`⚠️  ${name} has ${entry.warnings.length} warning(s):`);
+        entry.warnings.forEach(warn => console.warn(`   - ${formatIssue(warn)}`));
+        warningCount += entry.warnings.length;
+    }
+    return entry;
 }
 
+// Run validation
+console.log('🔍 Validating ISOC Opportunities data files...\n');
+
+const results = [
+    validateFile(OPPORTUNITIES_FILE, OPPORTUNITY_SCHEMA, validateOpportunities),
+    validateFile(EVENTS_FILE, EVENT_SCHEMA, validateEvents)
+].filter(Boolean);
+
 console.log(`\nSummary: ${hasErrors ? 'errors present' : 'no blocking errors'}, ${warningCount} warning(s)`);
+
+if (JSON_REPORT_FILE) {
+    writeReport(JSON_REPORT_FILE, `${JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        valid: !hasErrors,
+        errorCount: results.reduce((sum, file) => sum + file.errors.length, 0),
+        warningCount,
+        files: results.map(({ titles, ...file }) => file)
+    }, null, 2)}\n`);
+}
+if (JUNIT_REPORT_FILE) {
+    writeReport(JUNIT_REPORT_FILE, buildJUnitReport(results));
+}
+
 console.log('\n' + (hasErrors ? '❌ Validation failed' : '✅ All validations passed'));
 process.exit(hasErrors ? 1 : 0);
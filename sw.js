@@ -0,0 +1,173 @@
+// Service worker: keeps the dashboard and the community events page usable offline
+//
+// The shell (pages, CSS, JS, images) is precached on install. Pages are
+// network-first; the shell's CSS, JS and images and the data files are served
+// stale-while-revalidate: the cached copy answers at once and the network
+// refreshes it for the next load, so a deploy reaches visitors even when an
+// asset keeps its ?v= stamp. The shell cache is named after the stamp in
+// js/version.js, the same one the pages' ?v= queries carry, so a new stamp
+// fetches the shell again as soon as the pages ask for it.
+importScripts('/js/version.js');
+const CACHE_VERSION = self.ISOC.Version.ASSETS;
+const SHELL_CACHE = `isoc-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'isoc-data';
+const CDN_CACHE = 'isoc-cdn';
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/css/styles.css',
+    '/css/community-events.css',
+    '/js/analytics.js',
+    '/js/version.js',
+    '/js/vocabulary.js',
+    '/js/ids.js',
+    '/js/timezones.js',
+    '/js/recurrence.js',
+    '/js/ics.js',
+    '/js/feeds.js',
+    '/js/calendar-menu.js',
+    '/js/cards.js',
+    '/js/event-calendar.js',
+    '/js/shortlist.js',
+    '/js/offline.js',
+    '/js/utils.js',
+    '/js/search.js',
+    '/js/main.js',
+    '/community-events/',
+    '/community-events/index.html',
+    '/community-events/js/events.js',
+    '/img/isoc-logo.png',
+    '/img/header-background.webp',
+    '/img/event-bg-white.jpg',
+    '/img/event-bg-neutral.jpg',
+    '/img/icon-192.png',
+    '/img/icon-512.png'
+];
+
+const DATA_URLS = [
+    '/data/opportunities.json',
+    '/community-events/data/events.json'
+];
+
+// Response header recording when a cached data file was fetched, read by js/offline.js
+const FETCHED_AT_HEADER = 'X-Fetched-At';
+
+// Font Awesome and Google Fonts, so icons and text render offline too
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS)),
+            caches.open(DATA_CACHE).then(cache => Promise.all(DATA_URLS.map(url =>
+                fetch(url)
+                    .then(response => response.ok && stamp(response).then(stamped => cache.put(url, stamped)))
+                    .catch(() => {})
+            )))
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+// Drop shell caches from earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('isoc-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (DATA_URLS.includes(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(event, url.pathname));
+        } else if (request.mode === 'navigate') {
+            event.respondWith(networkFirst(request));
+        } else if (/\.(css|js|png|jpe?g|webp|svg|webmanifest)$/.test(url.pathname)) {
+            event.respondWith(revalidateAsset(event));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CDN_CACHE));
+    }
+});
+
+// Copy of a response with the time it was fetched
+function stamp(response) {
+    const headers = new Headers(response.headers);
+    headers.set(FETCHED_AT_HEADER, new Date().toISOString());
+    return response.blob().then(body => new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    }));
+}
+
+// Data files are cached under their path, whatever query string the page used
+function staleWhileRevalidate(event, key) {
+    return caches.open(DATA_CACHE).then(cache => cache.match(key).then(cached => {
+        const refresh = fetch(event.request).then(response => {
+            if (!response.ok) return response;
+            return stamp(response.clone()).then(stamped => cache.put(key, stamped)).then(() => response);
+        });
+        if (cached) {
+            // Keep the worker alive until the cache is refreshed
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        return refresh;
+    }));
+}
+
+// Pages come from the network so a deploy shows up at once, and from the cache offline
+function networkFirst(request) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })
+            .then(cached => cached || caches.match(new URL(request.url).pathname.startsWith('/community-events/') ? '/community-events/' : '/')));
+}
+
+// Shell assets answer from the cache and are refreshed for the next load; a new
+// ?v= stamp misses the cache and is fetched at once. Offline, any cached
+// version will do.
+function revalidateAsset(event) {
+    const request = event.request;
+    return caches.open(SHELL_CACHE).then(cache => cache.match(request).then(cached => {
+        const refresh = fetch(request).then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+        if (cached) {
+            // Keep the worker alive until the cache is refreshed
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        return refresh.catch(() => caches.match(request, { ignoreSearch: true }).then(match => match || Response.error()));
+    }));
+}
+
+// Third-party assets don't change under the same URL; offline, any cached version will do
+function cacheFirst(request, cacheName = SHELL_CACHE) {
+    return caches.match(request).then(cached => cached || fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                const copy = response.clone();
+                caches.open(cacheName).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => cached || Response.error())));
+}